@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * The NWS "feels like" formulas, for condition modules and for providers that
+ * don't give us an apparent temperature. Everything here is in US units.
+ */
+module.exports = {
+    windChill: getWindChill,
+    heatIndex: getHeatIndex
+};
+
+
+/**
+ * Calculate the wind chill using the NWS formula (which is only valid for
+ * temperatures at or below 50F with wind over 3 mph)
+ * @param  {Number} temp      The temperature in degrees F
+ * @param  {Number} windSpeed The wind speed in mph
+ * @return {Number}           The wind chill (or the temperature if there isn't any)
+ */
+function getWindChill(temp, windSpeed) {
+    if (temp > 50 || typeof(windSpeed) !== 'number' || windSpeed <= 3) {
+        return temp;
+    }
+    let wind = Math.pow(windSpeed, 0.16);
+    return Math.min(temp, 35.74 + (0.6215 * temp) - (35.75 * wind) + (0.4275 * temp * wind));
+}
+
+
+/**
+ * Calculate the heat index using the NWS (Rothfusz) formula (which is only
+ * valid for temperatures at or above 80F)
+ * @param  {Number} temp     The temperature in degrees F
+ * @param  {Number} humidity The relative humidity (0-1)
+ * @return {Number}          The heat index (or the temperature if there isn't any)
+ */
+function getHeatIndex(temp, humidity) {
+    if (temp < 80 || typeof(humidity) !== 'number') {
+        return temp;
+    }
+    let rh = humidity * 100;
+    return -42.379 + (2.04901523 * temp) + (10.14333127 * rh) - (0.22475541 * temp * rh) -
+        (0.00683783 * temp * temp) - (0.05481717 * rh * rh) + (0.00122874 * temp * temp * rh) +
+        (0.00085282 * temp * rh * rh) - (0.00000199 * temp * temp * rh * rh);
+}
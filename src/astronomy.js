@@ -0,0 +1,191 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:astronomy'),
+    debugOut = require('debug')('fuzzy-weather:astronomy:output'),
+    moment = require('moment-timezone'),
+    locales = require('./locales');
+
+/**
+ * Sunrise, sunset, and moon phase. Not every provider gives us these, so they
+ * can be calculated from the location (within a minute or so for the sun, which
+ * is plenty for conversation). The sun calculations follow the NOAA "sunrise
+ * equation" and the moon phase is just its age in the synodic month.
+ */
+module.exports = {
+    sunTimes: getSunTimes,
+    moonPhase: getMoonPhase,
+    fill: fillDailyData,
+    summary: getSummary,
+    values: getValues
+};
+
+const RAD = Math.PI / 180;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const SUN_ALTITUDE = -0.833;           // degrees, accounts for refraction and the size of the sun's disc
+const OBLIQUITY = 23.4397;             // degrees, the tilt of the earth
+const SYNODIC_MONTH = 29.530588853;    // days between new moons
+const KNOWN_NEW_MOON = 2451550.1;      // Julian date of the new moon on Jan 6, 2000
+const PHASE_NAMES = [
+    'new', 'waxingCrescent', 'firstQuarter', 'waxingGibbous',
+    'full', 'waningGibbous', 'lastQuarter', 'waningCrescent'
+];
+
+
+/**
+ * Calculate sunrise and sunset for the day of the given time
+ *
+ * @param  {Number} time      Any unix timestamp (in seconds) during the day
+ * @param  {Object} location  The location: { lat: Number, lng: Number }
+ * @param  {String} timezone  The timezone for the location
+ * @return {Object}           { sunriseTime, sunsetTime } in unix seconds (either will be null
+ *                            if the sun doesn't rise or set that day)
+ */
+function getSunTimes(time, location, timezone) {
+    let noon = moment.tz(time * 1000, 'GMT').tz(timezone).startOf('day').add(12, 'h');
+    let lw = -location.lng * RAD,
+        phi = location.lat * RAD,
+        days = (noon.valueOf() / 86400000) - 0.5 + J1970 - J2000;
+
+    let cycle = Math.round(days - J0 - (lw / (2 * Math.PI))),
+        approx = J0 + (lw / (2 * Math.PI)) + cycle,
+        anomaly = RAD * (357.5291 + (0.98560028 * approx)),
+        center = RAD * ((1.9148 * Math.sin(anomaly)) + (0.02 * Math.sin(2 * anomaly)) + (0.0003 * Math.sin(3 * anomaly))),
+        longitude = anomaly + center + (RAD * 102.9372) + Math.PI,
+        transit = J2000 + approx + (0.0053 * Math.sin(anomaly)) - (0.0069 * Math.sin(2 * longitude)),
+        declination = Math.asin(Math.sin(longitude) * Math.sin(RAD * OBLIQUITY));
+
+    let cosHourAngle = (Math.sin(RAD * SUN_ALTITUDE) - (Math.sin(phi) * Math.sin(declination))) /
+        (Math.cos(phi) * Math.cos(declination));
+
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        debug('the sun does not rise or set at %d,%d on %s', location.lat, location.lng, noon.format('YYYY-MM-DD'));
+        return { sunriseTime: null, sunsetTime: null };
+    }
+
+    let hourAngle = Math.acos(cosHourAngle) / (2 * Math.PI);
+    return {
+        sunriseTime: fromJulian(transit - hourAngle),
+        sunsetTime: fromJulian(transit + hourAngle)
+    };
+}
+
+
+/**
+ * Calculate the phase of the moon at the given time
+ *
+ * @param  {Number} time Any unix timestamp (in seconds)
+ * @return {Number}      The phase, from 0-1 (0 is a new moon, 0.25 first quarter, 0.5 full, 0.75 last quarter)
+ */
+function getMoonPhase(time) {
+    let age = ((time / 86400) + J1970 - 0.5 - KNOWN_NEW_MOON) / SYNODIC_MONTH;
+    return Math.round((age - Math.floor(age)) * 100) / 100;
+}
+
+
+/**
+ * Fill in any missing sunrise, sunset, and moon phase values for the daily data
+ *
+ * @param  {Array} days       The daily data points as normalized from the weather provider
+ * @param  {Object} location  The location: { lat: Number, lng: Number }
+ * @param  {String} timezone  The timezone for the location
+ * @return {Array}            The same daily data points (which are modified in place)
+ */
+function fillDailyData(days, location, timezone) {
+    (days || []).forEach(function(day) {
+        if (typeof(day.sunriseTime) !== 'number' || typeof(day.sunsetTime) !== 'number') {
+            let sun = getSunTimes(day.time, location, timezone);
+            day.sunriseTime = (typeof(day.sunriseTime) === 'number') ? day.sunriseTime : sun.sunriseTime;
+            day.sunsetTime = (typeof(day.sunsetTime) === 'number') ? day.sunsetTime : sun.sunsetTime;
+        }
+        if (typeof(day.moonPhase) !== 'number') {
+            day.moonPhase = getMoonPhase(moment.tz(day.time * 1000, 'GMT').tz(timezone).startOf('day').add(12, 'h').unix());
+        }
+    });
+    return days;
+}
+
+
+/**
+ * Get the astronomy values for a day: sunrise, sunset, how much the sunset
+ * moved since the day before, and the moon phase
+ *
+ * @param  {Object} dailyData The daily data point (with sunrise, sunset, and moon phase filled in)
+ * @param  {Object} location  The location: { lat: Number, lng: Number }
+ * @param  {String} timezone  The timezone for the location
+ * @param  {Object} o         The options for this instance of fuzzy weather (OPTIONAL, for the locale)
+ * @return {Object}           { sunriseTime, sunsetTime, sunsetChange, moonPhase, moonPhaseName }
+ *                            (the sunset change is in minutes, negative is earlier than yesterday)
+ */
+function getValues(dailyData, location, timezone, o) {
+    // Always compare calculated times so we don't mix sources (the provider may only give us today)
+    let today = getSunTimes(dailyData.time, location, timezone),
+        yesterday = getSunTimes(dailyData.time - 86400, location, timezone),
+        sunsetChange = null;
+
+    if (today.sunsetTime && yesterday.sunsetTime) {
+        sunsetChange = Math.round((today.sunsetTime - yesterday.sunsetTime - 86400) / 60);
+    }
+
+    return {
+        sunriseTime: dailyData.sunriseTime,
+        sunsetTime: dailyData.sunsetTime,
+        sunsetChange: sunsetChange,
+        moonPhase: dailyData.moonPhase,
+        moonPhaseName: getPhaseName(dailyData.moonPhase, o)
+    };
+}
+
+
+/**
+ * Get the text for sunrise, sunset, and the moon phase for a day
+ *
+ * @param  {Object} values    The astronomy values from getValues()
+ * @param  {String} timezone  The timezone for the location
+ * @param  {Object} o         The options for this instance of fuzzy weather (OPTIONAL, for the locale)
+ * @return {String}           The astronomy text
+ */
+function getSummary(values, timezone, o) {
+    let text = [];
+    let format = function(time) {
+        return locales.time(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    if (values.sunriseTime && values.sunsetTime) {
+        let sunValues = { sunrise: format(values.sunriseTime), sunset: format(values.sunsetTime) };
+        if (values.sunsetChange === 0) {
+            text.push(locales.translate(o, 'astronomy.sunSame', sunValues));
+        } else if (values.sunsetChange !== null) {
+            let minutes = Math.abs(values.sunsetChange);
+            sunValues.minutes = locales.translate(o, 'astronomy.minutes', { count: minutes, word: locales.numberWord(o, minutes) });
+            text.push(locales.translate(o, (values.sunsetChange < 0) ? 'astronomy.sunEarlier' : 'astronomy.sunLater', sunValues));
+        } else {
+            text.push(locales.translate(o, 'astronomy.sun', sunValues));
+        }
+    }
+
+    if (values.moonPhaseName) {
+        text.push(locales.translate(o, 'astronomy.moon', { phase: values.moonPhaseName }));
+    }
+
+    let output = text.join(' ');
+    debugOut(output);
+    return output;
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function fromJulian(julian) {
+    return Math.round((julian + 0.5 - J1970) * 86400);
+}
+
+function getPhaseName(phase, o) {
+    if (typeof(phase) !== 'number') {
+        return null;
+    }
+    return locales.translate(o, `astronomy.phase.${PHASE_NAMES[Math.round(phase * 8) % 8]}`);
+}
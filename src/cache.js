@@ -0,0 +1,175 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:cache'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    errors = require('./errors');
+
+/**
+ * All cache stores must implement this interface (both methods return a Promise):
+ *   {
+ *     get: Function(key),              // resolve with the stored value (or undefined/null if there is none)
+ *     set: Function(key, value, ttl)   // store the value, the ttl (in seconds) is only a hint, expiration
+ *                                      // of entries is handled by the cache itself
+ *   }
+ * Stored values will always be JSON-serializable.
+ */
+module.exports = {
+    create: createCache,
+    memoryStore: createMemoryStore,
+    fileStore: createFileStore
+};
+
+
+/**
+ * Create a cache for provider data given the `cache` option
+ *
+ * @param  {Object} options The cache options: { ttl: Number, store: String|Object, dir: String }
+ * @return {Object}         The cache: { wrap: Function(key, load) }
+ */
+function createCache(options) {
+    options = options || {};
+    let ttl = Number(options.ttl) || 0;
+    let store = getStore(options);
+
+    return {
+        wrap: wrap
+    };
+
+    /**
+     * Get the cached value for the given key, or load (and cache) it if there
+     * isn't one (or it has expired). Problems with the store are logged, but
+     * will not stop the value from being loaded.
+     *
+     * @param  {String} key    The cache key
+     * @param  {Function} load Called to load the value when not cached, must return a Promise
+     * @return {Promise}       Resolves with the cached or loaded value
+     */
+    function wrap(key, load) {
+        if (!store || ttl <= 0) {
+            return load();
+        }
+
+        return Promise.resolve()
+            .then(function() { return store.get(key); })
+            .catch(function(err) {
+                debug('Unable to read %s from cache:', key, err.message);
+                return null;
+            })
+            .then(function(entry) {
+                if (entry && entry.expires > Date.now()) {
+                    debug('Using cached data for %s', key);
+                    return entry.value;
+                }
+
+                return load()
+                    .then(function(value) {
+                        return Promise.resolve()
+                            .then(function() {
+                                return store.set(key, { expires: Date.now() + (ttl * 1000), value: value }, ttl);
+                            })
+                            .catch(function(err) {
+                                debug('Unable to write %s to cache:', key, err.message);
+                            })
+                            .then(function() { return value; });
+                    });
+            });
+    }
+}
+
+function getStore(options) {
+    if (options.store && typeof(options.store) === 'object') {
+        if (typeof(options.store.get) !== 'function' || typeof(options.store.set) !== 'function') {
+            throw new errors.ConfigError(
+                'Cache stores must have get() and set() methods',
+                errors.CODES.INVALID_CACHE_STORE,
+                { option: 'cache.store' }
+            );
+        }
+        return options.store;
+    } else if (options.store === 'file') {
+        return createFileStore(options.dir);
+    } else if (!options.store || options.store === 'memory') {
+        return createMemoryStore();
+    }
+    throw new errors.ConfigError(`Unknown cache store (${options.store})`, errors.CODES.INVALID_CACHE_STORE, { option: 'cache.store' });
+}
+
+
+/**
+ * A simple in-memory store (data is lost when the process ends)
+ *
+ * @return {Object} The cache store
+ */
+function createMemoryStore() {
+    let entries = {};
+
+    // We store the serialized value so that nobody can change the cached
+    // data by modifying the forecast they got back.
+    return {
+        get: function get(key) {
+            return Promise.resolve(entries[key] && JSON.parse(entries[key].json));
+        },
+        set: function set(key, value) {
+            entries[key] = { expires: value.expires, json: JSON.stringify(value) };
+
+            // clean out anything that has expired while we're here
+            Object.keys(entries).forEach(function(entryKey) {
+                if (entries[entryKey].expires <= Date.now()) {
+                    delete entries[entryKey];
+                }
+            });
+            return Promise.resolve();
+        }
+    };
+}
+
+
+/**
+ * A store which writes each entry to a JSON file in the given directory
+ *
+ * @param  {String} dir The directory for cache files (OPTIONAL, defaults to a directory in the OS temp dir)
+ * @return {Object}     The cache store
+ */
+function createFileStore(dir) {
+    dir = dir || path.join(os.tmpdir(), 'fuzzy-weather');
+
+    return {
+        get: function get(key) {
+            return new Promise(function(resolve, reject) {
+                fs.readFile(getFilename(key), 'utf8', function(err, contents) {
+                    if (err && err.code === 'ENOENT') {
+                        return resolve(null);
+                    } else if (err) {
+                        return reject(err);
+                    }
+
+                    try {
+                        resolve(JSON.parse(contents));
+                    } catch(e) {
+                        debug('Invalid cache file for %s', key);
+                        resolve(null);
+                    }
+                });
+            });
+        },
+        set: function set(key, value) {
+            return new Promise(function(resolve, reject) {
+                fs.mkdir(dir, { recursive: true }, function(err) {
+                    if (err) { return reject(err); }
+
+                    fs.writeFile(getFilename(key), JSON.stringify(value), function(err) {
+                        if (err) { return reject(err); }
+                        resolve();
+                    });
+                });
+            });
+        }
+    };
+
+    function getFilename(key) {
+        return path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+    }
+}
@@ -0,0 +1,260 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:clouds'),
+    debugOut = require('debug')('fuzzy-weather:clouds:output'),
+    moment = require('moment-timezone'),
+    locales = require('../locales');
+require('../array-util');
+
+// Sky cover periods shorter than this (in hours) are folded into the one before
+const MIN_PERIOD_LENGTH = 2;
+
+// Sky categories, clearest first (the "partly" to "cloudy" break is the `cloudBreak` option)
+const SUNNY = 0;
+const PARTLY = 1;
+const CLOUDY = 2;
+const CATEGORY_NAMES = ['sunny', 'partly', 'cloudy'];
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly,
+    currentText: getCurrentText
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'clouds.headline');
+}
+
+
+/**
+ * Get text for a cloudy day
+ * @param  {Object} condition The condition info: topic: { clouds, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for cloud information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the clouds for the day
+ * @param  {Object} condition The condition info: topic: { clouds, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts: { type: 'clouds-day', cover } (the cloud cover is 0-1)
+ */
+function getDailyFacts(condition, data) {
+    debug('getting cloud facts for cover of %d', data.cloudCover);
+
+    return [{ type: 'clouds-day', cover: data.cloudCover }];
+}
+
+
+/**
+ * Get the text for the cloud facts from getDailyFacts()
+ * @param  {Array} facts      The cloud facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for cloud information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'clouds-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let output = locales.translate(o, 'clouds.daily', {
+        sky: getSkyText(day.cover, o, true),
+        percent: Math.round(day.cover * 100)
+    });
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for the sky cover through the day, split into sunny, partly cloudy,
+ * and cloudy periods, with the transitions between them
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly cloud information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone, dailyData, o), timezone, o);
+}
+
+
+/**
+ * Get the facts about the sky cover through the day, split into sunny, partly
+ * cloudy, and cloudy periods
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather (for the `cloudBreak`)
+ * @return {Array}            The facts (all times are unix timestamps in seconds):
+ *                            { type: 'clouds-period', start, end, category } ("sunny", "partly", or "cloudy")
+ */
+function getHourlyFacts(data, timezone, dailyData, o) {
+    let periods = [];
+
+    data.forEach(function determinePeriods(hourData) {
+        let category = getCategory(hourData.cloudCover, o);
+        let last = periods[periods.length - 1];
+
+        if (last && last.category === category) {
+            last.length++;
+        } else {
+            periods.push({
+                category: category,
+                start: hourData.time,
+                length: 1
+            });
+        }
+    });
+
+    // short blips in the sky cover aren't worth talking about
+    periods = periods.reduce(function(merged, period) {
+        let last = merged[merged.length - 1];
+        if (last && (period.length < MIN_PERIOD_LENGTH || last.category === period.category)) {
+            last.length += period.length;
+        } else {
+            merged.push(period);
+        }
+        return merged;
+    }, []);
+
+    debug('sky cover periods', periods.map(function(p) { return `${p.category} at ${p.start} for ${p.length}`; }));
+
+    return periods.map(function(period) {
+        return {
+            type: 'clouds-period',
+            start: period.start,
+            end: period.start + (period.length * 3600),
+            category: CATEGORY_NAMES[period.category]
+        };
+    });
+}
+
+
+/**
+ * Get the text for the cloud facts from getHourlyFacts()
+ * @param  {Array} facts      The cloud facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly cloud information
+ */
+function renderHourly(facts, timezone, o) {
+    let periods = facts.filter(function(fact) { return fact.type === 'clouds-period'; });
+    if (!periods.length) {
+        return '';
+    }
+
+    let category = function(period) {
+        return CATEGORY_NAMES.indexOf(period.category);
+    };
+    let text;
+    if (periods.length === 1) {
+        text = locales.translate(o, 'clouds.stay', { category: getCategoryText(category(periods[0]), o) });
+    } else {
+        let transitions = periods.slice(1).map(function(period, i) {
+            return locales.translate(o, 'clouds.transitionBy', {
+                transition: getTransitionText(category(periods[i]), category(period), o),
+                time: getTimeOfDay(moment.tz(period.start * 1000, 'GMT').tz(timezone), o)
+            });
+        });
+        text = locales.translate(o, 'clouds.change', {
+            category: getCategoryText(category(periods[0]), o),
+            transitions: locales.list(o, transitions)
+        });
+    }
+
+    debugOut(text);
+    return text;
+}
+
+
+/**
+ * Get text for the current sky cover
+ * @param  {Number} cover   The current cloud cover (0-1)
+ * @param  {Object} o       The options for this instance of fuzzy weather
+ * @param  {Boolean} isDay  Whether the sun is up (OPTIONAL, defaults to true)
+ * @return {String}         The text for the current sky (with no ending punctuation)
+ */
+function getCurrentText(cover, o, isDay) {
+    return locales.translate(o, 'clouds.current', { sky: getSkyText(cover, o, (isDay !== false)) });
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function getCategory(cover, o) {
+    if (cover < 0.4) {
+        return SUNNY;
+    } else if (cover < o.cloudBreak) {
+        return PARTLY;
+    }
+    return CLOUDY;
+}
+
+function getCategoryText(category, o) {
+    return locales.translate(o, 'clouds.sky.' + ['mostlyClear', 'partlyCloudy', 'mostlyCloudy'][category]);
+}
+
+function getSkyText(cover, o, isDay) {
+    let sky = 'overcast';
+    if (cover < 0.1) {
+        sky = isDay ? 'sunny' : 'clear';
+    } else if (cover < 0.4) {
+        sky = isDay ? 'mostlySunny' : 'mostlyClear';
+    } else if (cover < o.cloudBreak) {
+        sky = 'partlyCloudy';
+    } else if (cover < 0.9) {
+        sky = 'mostlyCloudy';
+    }
+    return locales.translate(o, `clouds.sky.${sky}`);
+}
+
+function getTransitionText(from, to, o) {
+    let transition = (from === CLOUDY) ? 'breaks' : 'fewClouds';
+    if (to === SUNNY) {
+        transition = 'clearing';
+    } else if (to === CLOUDY) {
+        transition = 'movingIn';
+    }
+    return locales.translate(o, `clouds.transition.${transition}`);
+}
+
+function getTimeOfDay(time, o) {
+    let hour = time.hours();
+    let timeOfDay = 'lateEvening';
+    if (hour < 5) {
+        timeOfDay = 'overnight';
+    } else if (hour < 9) {
+        timeOfDay = 'earlyMorning';
+    } else if (hour < 11) {
+        timeOfDay = 'midMorning';
+    } else if (hour < 12) {
+        timeOfDay = 'lateMorning';
+    } else if (hour < 14) {
+        timeOfDay = 'midday';
+    } else if (hour < 16) {
+        timeOfDay = 'midAfternoon';
+    } else if (hour < 18) {
+        timeOfDay = 'lateAfternoon';
+    } else if (hour < 20) {
+        timeOfDay = 'earlyEvening';
+    }
+    return locales.translate(o, `clouds.time.${timeOfDay}`);
+}
@@ -0,0 +1,82 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:cold-wind'),
+    debugOut = require('debug')('fuzzy-weather:cold-wind:output'),
+    cold = require('./cold'),
+    wind = require('./wind'),
+    units = require('../units'),
+    locales = require('../locales');
+require('../array-util');
+
+/**
+ * Cold AND windy days are handled just like cold ones (see cold.js), but we
+ * also describe the wind that makes it feel even colder.
+ */
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: cold.hourlyText,
+    hourlyFacts: cold.hourlyFacts,
+    renderHourly: cold.renderHourly
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'cold-wind.headline');
+}
+
+
+/**
+ * Get text for a cold and windy day
+ * @param  {Object} condition The condition info: topic: { cold-wind, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for cold and wind information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone, o), timezone, o);
+}
+
+
+/**
+ * Get the facts about the cold and wind for the day
+ * @param  {Object} condition The condition info: topic: { cold-wind, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather (for the normal low)
+ * @return {Array}            The cold facts (see cold.js) and the wind facts (see wind.js)
+ */
+function getDailyFacts(condition, data, timezone, o) {
+    debug('getting wind facts for speed %d (gusts %d)', data.windSpeed, data.windGust);
+
+    return cold.dailyFacts(condition, data, timezone, o).concat(wind.dailyFacts(condition, data, timezone));
+}
+
+
+/**
+ * Get the text for the cold and wind facts from getDailyFacts()
+ * @param  {Array} facts      The cold and wind facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for cold and wind information
+ */
+function renderDaily(facts, timezone, o) {
+    let text = [cold.renderDaily(facts, timezone, o)];
+
+    let windy = facts.filter(function(fact) { return fact.type === 'wind-day'; })[0];
+    if (windy) {
+        let values = { speed: units.speedText(windy.speed, o), gust: units.speed(windy.gust, o) };
+        if (windy.gust > (windy.speed + 5)) {
+            text.push(locales.translate(o, 'cold-wind.windGusts', values));
+        } else {
+            text.push(locales.translate(o, 'cold-wind.wind', values));
+        }
+    }
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
@@ -0,0 +1,253 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:cold'),
+    debugOut = require('debug')('fuzzy-weather:cold:output'),
+    moment = require('moment-timezone'),
+    units = require('../units'),
+    locales = require('../locales'),
+    apparent = require('../apparent-temperature');
+require('../array-util');
+
+// Wind chill levels (in degrees F) where we want to warn people
+const CHILL_COLD = 0;
+const CHILL_FROSTBITE = -18;  // frostbite in 30 minutes or less (per NWS)
+// We only talk about the commute if it feels this cold (or colder)
+const COMMUTE_CHILL = 40;
+const COMMUTE_HOURS = [6, 7, 8, 9];
+// Hours which feel within this many degrees of the coldest are part of the "coldest" window
+const COLDEST_RANGE = 3;
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'cold.headline');
+}
+
+
+/**
+ * Get text for a cold day
+ * @param  {Object} condition The condition info: topic: { cold, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for cold information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone, o), timezone, o);
+}
+
+
+/**
+ * Get the facts about the cold for the day
+ * @param  {Object} condition The condition info: topic: { cold, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather (for the normal low)
+ * @return {Array}            The facts (the time is a unix timestamp in seconds, temperatures in degrees F):
+ *                            { type: 'cold-day', low, normal, feelsLike, feelsLikeTime }
+ *                            (`normal` is the usual low for the month, `feelsLike` is the lowest wind
+ *                            chill, or the low if there isn't any, `feelsLikeTime` could be null)
+ */
+function getDailyFacts(condition, data, timezone, o) {
+    let normal = o.avgTemps[(new Date(data.time * 1000)).getMonth()].low;
+    debug('getting cold facts for low of %d (normal is %d)', data.temperatureMin, normal);
+
+    let feelsLike = (typeof(data.apparentTemperatureMin) === 'number') ?
+        Math.min(data.temperatureMin, data.apparentTemperatureMin) : data.temperatureMin;
+    return [{
+        type: 'cold-day',
+        low: data.temperatureMin,
+        normal: normal,
+        feelsLike: feelsLike,
+        feelsLikeTime: data.apparentTemperatureMinTime || null
+    }];
+}
+
+
+/**
+ * Get the text for the cold facts from getDailyFacts()
+ * @param  {Array} facts      The cold facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for cold information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'cold-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let text = [];
+    let below = Math.round(day.normal - day.low);
+    let low = units.temperatureText(day.low, o);
+    if (below > 0) {
+        text.push(locales.translate(o, 'cold.lowBelow', { temp: low, below: getBelowText(below, o) }));
+    } else {
+        text.push(locales.translate(o, 'cold.low', { temp: low }));
+    }
+
+    if ((day.low - day.feelsLike) >= 2) {
+        if (day.feelsLikeTime) {
+            let coldest = moment.tz(day.feelsLikeTime * 1000, 'GMT').tz(timezone);
+            text.push(locales.translate(o, 'cold.feelsLikeAround', {
+                temp: units.temperatureText(day.feelsLike, o),
+                hour: locales.hour(o, coldest)
+            }));
+        } else {
+            text.push(locales.translate(o, 'cold.feelsLike', { temp: units.temperatureText(day.feelsLike, o) }));
+        }
+    }
+
+    text.push(getChillWarning(day.feelsLike, o));
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for the coldest part of the day using the wind chill for each hour,
+ * plus what it will feel like during the morning commute
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly cold information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the coldest part of the day (using the wind chill for
+ * each hour) and the coldest it will feel during the morning commute
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @return {Array}            The facts (all times are unix timestamps in seconds, temperatures in degrees F):
+ *                            { type: 'cold-coldest', start, end, time, temperature, feelsLike }
+ *                            (the hours that feel about as cold as the coldest one, at `time`)
+ *                            { type: 'cold-commute', time, feelsLike } (if the commute is in the hours we have)
+ */
+function getHourlyFacts(data, timezone) {
+    let facts = [];
+    if (!data || !data.length) {
+        return facts;
+    }
+
+    let hours = data.map(function(hourData) {
+        return {
+            time: hourData.time,
+            hour: moment.tz(hourData.time * 1000, 'GMT').tz(timezone),
+            temperature: hourData.temperature,
+            feelsLike: apparent.windChill(hourData.temperature, hourData.windSpeed)
+        };
+    });
+
+    let coldest = hours.reduce(function(min, hour) {
+        return (hour.feelsLike < min.feelsLike) ? hour : min;
+    }, hours[0]);
+
+    // find the window of hours around the coldest one that feel about as cold
+    let index = hours.indexOf(coldest);
+    let start = index;
+    let end = index;
+    while (start > 0 && (hours[start - 1].feelsLike - coldest.feelsLike) <= COLDEST_RANGE) {
+        start--;
+    }
+    while (end < (hours.length - 1) && (hours[end + 1].feelsLike - coldest.feelsLike) <= COLDEST_RANGE) {
+        end++;
+    }
+    debug('coldest window from %s to %s', hours[start].hour.format(), hours[end].hour.format());
+
+    facts.push({
+        type: 'cold-coldest',
+        start: hours[start].time,
+        end: hours[end].time + 3600,
+        time: coldest.time,
+        temperature: coldest.temperature,
+        feelsLike: coldest.feelsLike
+    });
+
+    let commute = hours.filter(function(hour) {
+        return COMMUTE_HOURS.indexOf(hour.hour.hours()) > -1;
+    });
+    if (commute.length) {
+        let commuteMin = commute.reduce(function(min, hour) {
+            return (hour.feelsLike < min.feelsLike) ? hour : min;
+        }, commute[0]);
+        facts.push({ type: 'cold-commute', time: commuteMin.time, feelsLike: commuteMin.feelsLike });
+    }
+
+    return facts;
+}
+
+
+/**
+ * Get the text for the cold facts from getHourlyFacts()
+ * @param  {Array} facts      The cold facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly cold information
+ */
+function renderHourly(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    facts.forEach(function addFact(fact) {
+        if (fact.type === 'cold-coldest') {
+            let values = {
+                temp: units.temperatureText(fact.feelsLike, o),
+                hour: hour(fact.time),
+                start: hour(fact.start),
+                end: hour(fact.end)
+            };
+            let id = ((fact.end - fact.start) <= 3600) ? 'cold.coldest' : 'cold.coldestWindow';
+            if ((fact.temperature - fact.feelsLike) >= 2) {
+                id += 'WindChill';
+            }
+            text.push(locales.translate(o, id, values));
+
+        } else if (fact.type === 'cold-commute' && fact.feelsLike <= COMMUTE_CHILL) {
+            text.push(locales.translate(o, 'cold.commute', {
+                temp: units.temperatureText(fact.feelsLike, o),
+                hour: hour(fact.time)
+            }));
+        }
+    });
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
+
+
+function getChillWarning(feelsLike, o) {
+    if (feelsLike <= CHILL_FROSTBITE) {
+        return locales.translate(o, 'cold.frostbite');
+    } else if (feelsLike <= CHILL_COLD) {
+        return locales.translate(o, 'cold.dangerous');
+    }
+    return '';
+}
+
+function getBelowText(degrees, o) {
+    if (degrees < 4) {
+        return locales.translate(o, 'cold.below.bit');
+    } else if (degrees < 10) {
+        return locales.translate(o, 'cold.below.degrees', { count: units.temperatureDifference(degrees, o) });
+    }
+    return locales.translate(o, 'cold.below.frigid', { count: units.temperatureDifference(degrees, o) });
+}
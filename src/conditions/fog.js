@@ -0,0 +1,255 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:fog'),
+    debugOut = require('debug')('fuzzy-weather:fog:output'),
+    moment = require('moment-timezone'),
+    units = require('../units'),
+    locales = require('../locales');
+require('../array-util');
+
+const FOG_TEXT = /fog/i;
+const FOG_VISIBILITY = 1;        // miles, any less than this (when the air is near saturation) is fog
+const DENSE_VISIBILITY = 0.25;   // miles
+const SATURATION_SPREAD = 4;     // degrees between the temperature and dew point where the air is near saturation
+const DAILY_VISIBILITY = 3;      // miles, a daily average this low likely means fog for at least part of the day
+const COMMUTE_HOURS = [6, 7, 8, 9];
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly,
+    isFoggy: isFoggy
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'fog.headline');
+}
+
+
+/**
+ * Get text for a foggy day
+ * @param  {Object} condition The condition info: topic: { fog, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for fog information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the fog for the day
+ * @param  {Object} condition The condition info: topic: { fog, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts: { type: 'fog-day', visibility } (null if we don't know the visibility)
+ */
+function getDailyFacts(condition, data) {
+    debug('getting fog facts for visibility of %d', data.visibility);
+
+    return [{
+        type: 'fog-day',
+        visibility: (typeof(data.visibility) === 'number') ? data.visibility : null
+    }];
+}
+
+
+/**
+ * Get the text for the fog facts from getDailyFacts()
+ * @param  {Array} facts      The fog facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for fog information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'fog-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let output = locales.translate(o, 'fog.daily');
+    if (day.visibility !== null && day.visibility < DAILY_VISIBILITY) {
+        output = locales.translate(o, 'fog.dailyVisibility', { distance: getDistanceText(day.visibility, o) });
+    }
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for when fog forms and burns off during the day
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly fog information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about each window of fog during the day
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @return {Array}            The facts (all times are unix timestamps in seconds):
+ *                            { type: 'fog-window', start, end, atStart, atEnd, visibility, visibilityTime, commute }
+ *                            (`atStart` and `atEnd` are true if it is foggy at the start or end of the
+ *                            hours we have, `visibility` is the lowest, and `commute` is true if it
+ *                            overlaps the morning commute)
+ */
+function getHourlyFacts(data, timezone) {
+    let facts = [];
+    let holdWindow = null;
+
+    data.forEach(function determineWindows(hourData, i) {
+        let hour = moment.tz(hourData.time * 1000, 'GMT').tz(timezone);
+
+        if (isFoggyHour(hourData)) {
+            if (holdWindow === null) {
+                holdWindow = {
+                    type: 'fog-window',
+                    start: hourData.time,
+                    end: null,
+                    atStart: i === 0,
+                    atEnd: false,
+                    visibility: hourData.visibility,
+                    visibilityTime: hourData.time,
+                    commute: false
+                };
+            } else if (hourData.visibility < holdWindow.visibility) {
+                holdWindow.visibility = hourData.visibility;
+                holdWindow.visibilityTime = hourData.time;
+            }
+            holdWindow.end = hourData.time + 3600;
+            holdWindow.atEnd = i === data.length - 1;
+            holdWindow.commute = holdWindow.commute || COMMUTE_HOURS.indexOf(hour.hours()) > -1;
+
+        } else if (holdWindow) {
+            facts.push(holdWindow);
+            holdWindow = null;
+        }
+    });
+
+    if (holdWindow) {
+        facts.push(holdWindow);
+        holdWindow = null;
+    }
+
+    debug('fog facts', facts);
+    return facts;
+}
+
+
+/**
+ * Get the text for the fog facts from getHourlyFacts()
+ * @param  {Array} facts      The fog facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly fog information
+ */
+function renderHourly(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    facts.filter(function(fact) { return fact.type === 'fog-window'; }).forEach(function addWindow(window) {
+        let id = 'fog.window';
+        if (window.atStart && window.atEnd) {
+            id = 'fog.allDay';
+        } else if (window.atStart) {
+            id = 'fog.burnOff';
+        } else if (window.atEnd) {
+            id = 'fog.form';
+        }
+        let description = locales.translate(o, id, { start: hour(window.start), end: hour(window.end) });
+        if (window.commute) {
+            description += locales.translate(o, 'fog.commute');
+        }
+        text.push(description + '.');
+
+        if (window.visibility < DENSE_VISIBILITY) {
+            let distance = locales.translate(o, units.usesKilometres(o) ? 'fog.denseKilometres' : 'fog.denseMiles');
+            text.push(locales.translate(o, 'fog.dense', { distance: distance, hour: hour(window.visibilityTime) }));
+        }
+    });
+
+    let output = text.join(' ');
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Determine if there is likely fog for the day, using the icon or summary
+ * from the provider or the visibility (with the air near saturation)
+ * @param  {Object} data The daily data as normalized from the weather provider
+ * @return {Boolean}     Whether there is likely fog
+ */
+function isFoggy(data) {
+    if (data.icon === 'fog' || FOG_TEXT.test(data.summary || '')) {
+        return true;
+    }
+    if (typeof(data.visibility) !== 'number') {
+        return false;
+    }
+    // heavy precip also drops visibility, but that's not fog
+    if (data.precipProbability > 0.5 && data.precipIntensityMax > 0.01) {
+        return false;
+    }
+    if (data.visibility < FOG_VISIBILITY) {
+        return true;
+    }
+    // the coolest part of the day is when the air is closest to saturation
+    return data.visibility < DAILY_VISIBILITY && (data.temperatureMin - data.dewPoint) <= SATURATION_SPREAD;
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function isFoggyHour(hourData) {
+    if (typeof(hourData.visibility) !== 'number' || hourData.visibility >= FOG_VISIBILITY) {
+        return false;
+    }
+    // heavy precip also drops visibility, but that's not fog
+    if (hourData.precipProbability > 0.5 && hourData.precipIntensity > 0.01) {
+        return false;
+    }
+    return (hourData.temperature - hourData.dewPoint) <= SATURATION_SPREAD;
+}
+
+function getDistanceText(miles, o) {
+    if (units.usesKilometres(o)) {
+        return getKilometresText(miles, o);
+    }
+    if (miles < DENSE_VISIBILITY) {
+        return locales.translate(o, 'fog.distance.lessThanQuarter');
+    } else if (miles < 0.75) {
+        return locales.translate(o, 'fog.distance.aboutHalf');
+    } else if (miles < 1.5) {
+        return locales.translate(o, 'fog.distance.aboutOne');
+    }
+    return locales.translate(o, 'fog.distance.about', { count: Math.round(miles) });
+}
+
+function getKilometresText(miles, o) {
+    let kilometres = units.distance(miles, o);
+    if (miles < DENSE_VISIBILITY) {
+        return locales.translate(o, 'fog.distance.lessThanQuarterMetric');
+    } else if (kilometres < 0.75) {
+        return locales.translate(o, 'fog.distance.aboutHalfMetric');
+    } else if (kilometres < 1.5) {
+        return locales.translate(o, 'fog.distance.aboutOneMetric');
+    }
+    return locales.translate(o, 'fog.distance.aboutMetric', { count: Math.round(kilometres) });
+}
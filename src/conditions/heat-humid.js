@@ -0,0 +1,90 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:heat-humid'),
+    debugOut = require('debug')('fuzzy-weather:heat-humid:output'),
+    heat = require('./heat'),
+    units = require('../units'),
+    locales = require('../locales');
+require('../array-util');
+
+/**
+ * Hot AND humid days are handled just like hot ones (see heat.js), but we
+ * also describe how sticky the air will be.
+ */
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: heat.hourlyText,
+    hourlyFacts: heat.hourlyFacts,
+    renderHourly: heat.renderHourly
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'heat-humid.headline');
+}
+
+
+/**
+ * Get text for a hot and humid day
+ * @param  {Object} condition The condition info: topic: { heat-humid, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for heat and humidity information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone, o), timezone, o);
+}
+
+
+/**
+ * Get the facts about the heat and humidity for the day
+ * @param  {Object} condition The condition info: topic: { heat-humid, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather (for the normal high)
+ * @return {Array}            The heat facts (see heat.js) and { type: 'humidity-day', dewPoint, humidity }
+ *                            (the dew point is in degrees F, the humidity is 0-1)
+ */
+function getDailyFacts(condition, data, timezone, o) {
+    debug('getting humidity facts for dew point %d and humidity %d', data.dewPoint, data.humidity);
+
+    return heat.dailyFacts(condition, data, timezone, o).concat([{
+        type: 'humidity-day',
+        dewPoint: data.dewPoint,
+        humidity: data.humidity
+    }]);
+}
+
+
+/**
+ * Get the text for the heat and humidity facts from getDailyFacts()
+ * @param  {Array} facts      The heat and humidity facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for heat and humidity information
+ */
+function renderDaily(facts, timezone, o) {
+    let text = [heat.renderDaily(facts, timezone, o)];
+
+    let humidity = facts.filter(function(fact) { return fact.type === 'humidity-day'; })[0];
+    if (humidity) {
+        let isMuggy = humidity.dewPoint > o.dewPointBreak;
+        let isDamp = humidity.humidity > o.humidityBreak;
+        let values = { dewPoint: units.temperatureText(humidity.dewPoint, o), percent: Math.round(humidity.humidity * 100) };
+        if (isMuggy && isDamp) {
+            text.push(locales.translate(o, 'heat-humid.sticky', values));
+        } else if (isMuggy) {
+            text.push(locales.translate(o, 'heat-humid.stickyDewPoint', values));
+        } else if (isDamp) {
+            text.push(locales.translate(o, 'heat-humid.stickyHumidity', values));
+        }
+    }
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
@@ -0,0 +1,230 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:heat'),
+    debugOut = require('debug')('fuzzy-weather:heat:output'),
+    moment = require('moment-timezone'),
+    units = require('../units'),
+    locales = require('../locales');
+require('../array-util');
+
+// NWS heat index categories (in degrees F)
+const HEAT_INDEX_CAUTION = 90;
+const HEAT_INDEX_DANGER = 103;
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'heat.headline');
+}
+
+
+/**
+ * Get text for a hot day
+ * @param  {Object} condition The condition info: topic: { heat, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for heat information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone, o), timezone, o);
+}
+
+
+/**
+ * Get the facts about the heat for the day
+ * @param  {Object} condition The condition info: topic: { heat, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather (for the normal high)
+ * @return {Array}            The facts (the time is a unix timestamp in seconds, temperatures in degrees F):
+ *                            { type: 'heat-day', high, normal, feelsLike, feelsLikeTime }
+ *                            (`normal` is the usual high for the month, `feelsLike` is the highest
+ *                            heat index, both it and its time are null if the provider doesn't have them)
+ */
+function getDailyFacts(condition, data, timezone, o) {
+    let normal = o.avgTemps[(new Date(data.time * 1000)).getMonth()].high;
+    debug('getting heat facts for high of %d (normal is %d)', data.temperatureMax, normal);
+
+    let hasFeelsLike = typeof(data.apparentTemperatureMax) === 'number';
+    return [{
+        type: 'heat-day',
+        high: data.temperatureMax,
+        normal: normal,
+        feelsLike: hasFeelsLike ? data.apparentTemperatureMax : null,
+        feelsLikeTime: (hasFeelsLike && data.apparentTemperatureMaxTime) || null
+    }];
+}
+
+
+/**
+ * Get the text for the heat facts from getDailyFacts()
+ * @param  {Array} facts      The heat facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for heat information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'heat-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let text = [];
+    let above = Math.round(day.high - day.normal);
+    let high = units.temperatureText(day.high, o);
+    if (above > 0) {
+        text.push(locales.translate(o, 'heat.highAbove', { temp: high, above: getAboveText(above, o) }));
+    } else {
+        text.push(locales.translate(o, 'heat.high', { temp: high }));
+    }
+
+    text.push(getHeatIndexText(day, timezone, o));
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for the hours of the day where the heat index is high enough
+ * that people should take care outside
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly heat information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about each window of time where the heat index is high enough
+ * that people should take care outside
+ * @param  {Array} data       The hourly weather data from the API
+ * @return {Array}            The facts (all times are unix timestamps in seconds, temperatures in degrees F):
+ *                            { type: 'heat-window', start, end, feelsLike, feelsLikeTime } (the highest heat index)
+ */
+function getHourlyFacts(data) {
+    let facts = [];
+    let holdWindow = null;
+
+    data.forEach(function determineWindows(hourData) {
+        let feelsLike = Math.max(hourData.temperature, hourData.apparentTemperature);
+
+        if (feelsLike >= HEAT_INDEX_CAUTION) {
+            if (holdWindow === null) {
+                holdWindow = {
+                    type: 'heat-window',
+                    start: hourData.time,
+                    end: null,
+                    feelsLike: feelsLike,
+                    feelsLikeTime: hourData.time
+                };
+            } else if (feelsLike > holdWindow.feelsLike) {
+                holdWindow.feelsLike = feelsLike;
+                holdWindow.feelsLikeTime = hourData.time;
+            }
+            holdWindow.end = hourData.time + 3600;
+
+        } else if (holdWindow) {
+            facts.push(holdWindow);
+            holdWindow = null;
+        }
+    });
+
+    if (holdWindow) {
+        facts.push(holdWindow);
+        holdWindow = null;
+    }
+
+    debug('heat facts', facts);
+    return facts;
+}
+
+
+/**
+ * Get the text for the heat facts from getHourlyFacts()
+ * @param  {Array} facts      The heat facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly heat information
+ */
+function renderHourly(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    facts.filter(function(fact) { return fact.type === 'heat-window'; }).forEach(function addWindow(window) {
+        let description = locales.translate(o, 'heat.window', {
+            temp: units.temperatureText(HEAT_INDEX_CAUTION, o),
+            start: hour(window.start),
+            end: hour(window.end),
+            max: units.temperatureText(window.feelsLike, o),
+            hour: hour(window.feelsLikeTime)
+        });
+
+        if (window.feelsLike >= HEAT_INDEX_DANGER) {
+            description += ' ' + locales.translate(o, 'heat.windowDangerous');
+        }
+        text.push(description);
+    });
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Describe the peak heat index (apparent temperature) for the day, if it is
+ * noticeably higher than the actual temperature or high enough to be a concern
+ * @param  {Object} day       The heat-day fact
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text for the heat index (may be empty)
+ */
+function getHeatIndexText(day, timezone, o) {
+    let feelsLike = day.feelsLike;
+    if (feelsLike === null || (feelsLike - day.high) < 2) {
+        return '';
+    }
+
+    let text;
+    if (day.feelsLikeTime) {
+        let peak = moment.tz(day.feelsLikeTime * 1000, 'GMT').tz(timezone);
+        text = locales.translate(o, 'heat.feelsLikeAround', { temp: units.temperatureText(feelsLike, o), hour: locales.hour(o, peak) });
+    } else {
+        text = locales.translate(o, 'heat.feelsLike', { temp: units.temperatureText(feelsLike, o) });
+    }
+
+    if (feelsLike >= HEAT_INDEX_DANGER) {
+        text += ' ' + locales.translate(o, 'heat.dangerous');
+    } else if (feelsLike >= HEAT_INDEX_CAUTION) {
+        text += ' ' + locales.translate(o, 'heat.caution');
+    }
+    return text;
+}
+
+
+function getAboveText(degrees, o) {
+    if (degrees < 4) {
+        return locales.translate(o, 'heat.above.bit');
+    } else if (degrees < 10) {
+        return locales.translate(o, 'heat.above.degrees', { count: units.temperatureDifference(degrees, o) });
+    }
+    return locales.translate(o, 'heat.above.whopping', { count: units.temperatureDifference(degrees, o) });
+}
@@ -0,0 +1,220 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:humidity'),
+    debugOut = require('debug')('fuzzy-weather:humidity:output'),
+    moment = require('moment-timezone'),
+    units = require('../units'),
+    locales = require('../locales');
+require('../array-util');
+
+// Dew point comfort bands, the sticky and oppressive bands are based on the `dewPointBreak` option
+const DRY = 0;
+const COMFORTABLE = 1;
+const STICKY = 2;
+const OPPRESSIVE = 3;
+const BAND_NAMES = ['dry', 'comfortable', 'sticky', 'oppressive'];
+
+const DRY_DEW_POINT = 50;       // anything below this (in degrees F) is dry
+const OPPRESSIVE_DIFFERENCE = 5; // degrees over the dewPointBreak where it becomes oppressive
+const DAMP_DIFFERENCE = 9;       // degrees under the dewPointBreak where high humidity still feels sticky
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'humidity.headline');
+}
+
+
+/**
+ * Get text for a humid day
+ * @param  {Object} condition The condition info: topic: { humidity, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for humidity information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the humidity for the day
+ * @param  {Object} condition The condition info: topic: { humidity, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts: { type: 'humidity-day', dewPoint, humidity }
+ *                            (the dew point is in degrees F, the humidity is 0-1)
+ */
+function getDailyFacts(condition, data) {
+    return [{
+        type: 'humidity-day',
+        dewPoint: data.dewPoint,
+        humidity: data.humidity
+    }];
+}
+
+
+/**
+ * Get the text for the humidity facts from getDailyFacts()
+ * @param  {Array} facts      The humidity facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for humidity information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'humidity-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let band = getBand(day, o);
+    debug('getting humidity text for dew point %d and humidity %d (%s)', day.dewPoint, day.humidity, BAND_NAMES[band]);
+
+    let output = locales.translate(o, 'humidity.daily', {
+        band: getBandText(band, o),
+        dewPoint: units.temperatureText(day.dewPoint, o),
+        percent: Math.round(day.humidity * 100)
+    });
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for when the muggy (sticky or oppressive) stretch of the day begins and ends
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly humidity information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone, dailyData, o), timezone, o);
+}
+
+
+/**
+ * Get the facts about the muggy (sticky or oppressive) stretch of the day
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather (for the `dewPointBreak`)
+ * @return {Array}            The facts (all times are unix timestamps in seconds):
+ *                            { type: 'humidity-stretch', start, end, atStart, atEnd, band, dewPoint, peak }
+ *                            (`atStart` and `atEnd` are true if it is muggy at the start or end of the
+ *                            hours we have, the `band` ("sticky" or "oppressive") and `dewPoint` are at the `peak`)
+ */
+function getHourlyFacts(data, timezone, dailyData, o) {
+    let start = null;
+    let end = null;
+    let peak = null;
+
+    data.forEach(function determineStretch(hourData, i) {
+        let band = getBand(hourData, o);
+        if (band < STICKY) { return; }
+
+        if (start === null) {
+            start = i;
+        }
+        end = i;
+        if (!peak || hourData.dewPoint > peak.dewPoint) {
+            peak = { band: band, dewPoint: hourData.dewPoint, index: i };
+        }
+    });
+
+    if (start === null) {
+        return [];
+    }
+    debug('muggy stretch from hour %d to %d, peak:', start, end, peak);
+
+    return [{
+        type: 'humidity-stretch',
+        start: data[start].time,
+        end: data[end].time + 3600,
+        atStart: start === 0,
+        atEnd: end === data.length - 1,
+        band: BAND_NAMES[peak.band],
+        dewPoint: peak.dewPoint,
+        peak: data[peak.index].time
+    }];
+}
+
+
+/**
+ * Get the text for the humidity facts from getHourlyFacts()
+ * @param  {Array} facts      The humidity facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly humidity information
+ */
+function renderHourly(facts, timezone, o) {
+    let stretch = facts.filter(function(fact) { return fact.type === 'humidity-stretch'; })[0];
+    if (!stretch) {
+        return '';
+    }
+
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+    let band = BAND_NAMES.indexOf(stretch.band);
+    let stretchText;
+    if (stretch.atStart && stretch.atEnd) {
+        stretchText = locales.translate(o, 'humidity.allDay', { band: getBandText(band, o) });
+    } else if (stretch.atStart) {
+        stretchText = locales.translate(o, 'humidity.until', { end: hour(stretch.end) });
+    } else if (stretch.atEnd) {
+        stretchText = locales.translate(o, 'humidity.after', { start: hour(stretch.start) });
+    } else {
+        stretchText = locales.translate(o, 'humidity.window', { start: hour(stretch.start), end: hour(stretch.end) });
+    }
+    text.push(stretchText);
+
+    if (band === OPPRESSIVE && (!stretch.atStart || !stretch.atEnd)) {
+        text.push(locales.translate(o, 'humidity.oppressive', {
+            hour: hour(stretch.peak),
+            dewPoint: units.temperatureText(stretch.dewPoint, o)
+        }));
+    }
+
+    let output = text.join(' ');
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Determine the comfort band for some weather data
+ * @param  {Object} data The data (hourly or daily) with `dewPoint` and `humidity`
+ * @param  {Object} o    The options for this instance of fuzzy weather
+ * @return {Number}      The band (DRY, COMFORTABLE, STICKY, or OPPRESSIVE)
+ */
+function getBand(data, o) {
+    if (data.dewPoint >= (o.dewPointBreak + OPPRESSIVE_DIFFERENCE)) {
+        return OPPRESSIVE;
+    } else if (data.dewPoint >= o.dewPointBreak ||
+        (data.humidity >= o.humidityBreak && data.dewPoint >= (o.dewPointBreak - DAMP_DIFFERENCE))) {
+        return STICKY;
+    } else if (data.dewPoint >= DRY_DEW_POINT) {
+        return COMFORTABLE;
+    }
+    return DRY;
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function getBandText(band, o) {
+    return locales.translate(o, `humidity.band.${BAND_NAMES[band]}`);
+}
@@ -0,0 +1,245 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:ice'),
+    debugOut = require('debug')('fuzzy-weather:ice:output'),
+    moment = require('moment-timezone'),
+    units = require('../units'),
+    locales = require('../locales');
+require('../array-util');
+
+const FREEZING = 32;             // degrees F, rain at or below this can freeze on contact
+// Ice amounts (inches, as liquid equivalent) where things get worse than just slick roads
+const ICE_SIGNIFICANT = 0.1;     // enough to glaze everything over
+const ICE_DAMAGING = 0.25;       // enough to bring down branches and power lines
+// Daily precip intensity (in/hr) that heavy means the ice will build up quickly
+const HEAVY_INTENSITY = 0.1;
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly,
+    isIcy: isIcy
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'ice.headline');
+}
+
+
+/**
+ * Get text for an icy day (sleet or freezing rain)
+ * @param  {Object} condition The condition info: topic: { ice, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for ice information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the sleet or freezing rain for the day
+ * @param  {Object} condition The condition info: topic: { ice, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts (the time is a unix timestamp in seconds):
+ *                            { type: 'ice-day', precipType, probability, intensity, intensityPeak }
+ *                            (`intensityPeak` is null if the provider doesn't have it)
+ */
+function getDailyFacts(condition, data) {
+    debug('getting ice facts for %s with a low of %d', data.precipType, data.temperatureMin);
+
+    return [{
+        type: 'ice-day',
+        precipType: data.precipType,
+        probability: data.precipProbability,
+        intensity: data.precipIntensityMax,
+        intensityPeak: data.precipIntensityMaxTime || null
+    }];
+}
+
+
+/**
+ * Get the text for the ice facts from getDailyFacts()
+ * @param  {Array} facts      The ice facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for ice information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'ice-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let text = [];
+    let values = {
+        precip: getPrecipText(day.precipType, o),
+        percent: Math.round(day.probability * 100)
+    };
+    if (day.intensityPeak) {
+        values.hour = locales.hour(o, moment.tz(day.intensityPeak * 1000, 'GMT').tz(timezone));
+        text.push(capitalize(locales.translate(o, 'ice.dailyAround', values)));
+    } else {
+        text.push(capitalize(locales.translate(o, 'ice.daily', values)));
+    }
+    text.push(locales.translate(o, 'ice.roads'));
+
+    if (day.intensity >= HEAVY_INTENSITY) {
+        text.push(locales.translate(o, 'ice.outages'));
+    }
+
+    let output = text.join(' ');
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for the icy windows through the day (any hours with sleet, or rain
+ * at or below freezing) and how much ice could build up
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly ice information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about each icy window through the day (any hours with sleet,
+ * or rain at or below freezing)
+ * @param  {Array} data       The hourly weather data from the API
+ * @return {Array}            The facts (all times are unix timestamps in seconds):
+ *                            { type: 'ice-window', start, end, sleet, iceAccumulation }
+ *                            (`sleet` is true if any of it is sleet, `iceAccumulation` is inches of liquid)
+ */
+function getHourlyFacts(data) {
+    let facts = [];
+    let holdWindow = null;
+
+    data.forEach(function determineWindows(hourData) {
+        if (isIcyHour(hourData)) {
+            if (holdWindow === null) {
+                holdWindow = {
+                    type: 'ice-window',
+                    start: hourData.time,
+                    end: null,
+                    sleet: false,
+                    iceAccumulation: 0
+                };
+            }
+            holdWindow.end = hourData.time + 3600;
+            holdWindow.sleet = holdWindow.sleet || hourData.precipType === 'sleet';
+            holdWindow.iceAccumulation += hourData.precipIntensity;
+
+        } else if (holdWindow) {
+            facts.push(holdWindow);
+            holdWindow = null;
+        }
+    });
+
+    if (holdWindow) {
+        facts.push(holdWindow);
+        holdWindow = null;
+    }
+
+    debug('ice facts', facts);
+    return facts;
+}
+
+
+/**
+ * Get the text for the ice facts from getHourlyFacts()
+ * @param  {Array} facts      The ice facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly ice information
+ */
+function renderHourly(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    let windows = facts.filter(function(fact) { return fact.type === 'ice-window'; });
+    if (!windows.length) {
+        return '';
+    }
+
+    let accumulation = 0;
+    let windowText = windows.map(function(window, i) {
+        let values = { start: hour(window.start), end: hour(window.end) };
+        accumulation += window.iceAccumulation;
+        if (i === 0) {
+            values.precip = getPrecipText(window.sleet ? 'sleet' : 'rain', o);
+            return locales.translate(o, 'ice.window', values);
+        }
+        return locales.translate(o, 'ice.windowAgain', values);
+    });
+    text.push(windowText.join(', ') + '.');
+
+    let damaging = units.isMetric(o) ?
+        locales.translate(o, 'ice.damagingMetric', { count: Math.round(units.precipitation(ICE_DAMAGING, o)) }) :
+        locales.translate(o, 'ice.damaging');
+    if (accumulation >= ICE_DAMAGING) {
+        text.push(capitalize(locales.translate(o, 'ice.buildUpDamaging', { amount: damaging })));
+    } else if (accumulation >= ICE_SIGNIFICANT) {
+        text.push(locales.translate(o, 'ice.buildUp', { amount: damaging }));
+    } else {
+        text.push(locales.translate(o, 'ice.glaze'));
+    }
+
+    let output = text.join(' ');
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Determine if there is likely sleet or freezing rain for the day. Freezing rain
+ * needs the hours with rain to be at or below freezing (the coldest part of the
+ * day is usually overnight, not when the rain falls), so without hourly data
+ * only sleet will be found.
+ * @param  {Object} data       The daily data as normalized from the weather provider
+ * @param  {Array} hourlyData  The hourly data for the same day (OPTIONAL)
+ * @return {Boolean}           Whether there is likely icing
+ */
+function isIcy(data, hourlyData) {
+    if (data.precipProbability <= 0.1) {
+        return false;
+    }
+    if (data.precipType === 'sleet') {
+        return data.precipIntensityMax > 0.005;
+    }
+    return data.precipType === 'rain' && data.precipIntensityMax > 0.01 && (hourlyData || []).some(isIcyHour);
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function isIcyHour(hourData) {
+    if (hourData.precipProbability <= 0.33 || (hourData.precipIntensity || 0) <= 0.005) {
+        return false;
+    }
+    return hourData.precipType === 'sleet' || (hourData.precipType === 'rain' && hourData.temperature <= FREEZING);
+}
+
+function getPrecipText(type, o) {
+    return locales.translate(o, (type === 'sleet') ? 'ice.precip.sleet' : 'ice.precip.rain');
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.substr(1);
+}
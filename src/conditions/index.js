@@ -0,0 +1,151 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:conditions'),
+    errors = require('../errors');
+
+/**
+ * All condition modules must implement this interface:
+ *   {
+ *     headline: Function(o),                                  // return a headline with a "{day}" placeholder
+ *     dailyText: Function(condition, data, timezone, o),      // return the text for the day's summary
+ *     hourlyText: Function(hourly, timezone, dailyData, o)    // return the text for the hour-by-hour detail
+ *   }
+ * A module can also split the daily summary and the hour-by-hour detail into facts
+ * (plain objects with a `type`, see the README) and the text for them, each pair
+ * is then used instead of dailyText() or hourlyText() so the facts can be in the
+ * response (all of the built-in modules do):
+ *   {
+ *     dailyFacts: Function(condition, data, timezone, o),     // OPTIONAL, return an array of facts
+ *     renderDaily: Function(facts, timezone, o),              // OPTIONAL, return the text for those facts
+ *     hourlyFacts: Function(hourly, timezone, dailyData, o),  // OPTIONAL, return an array of facts
+ *     renderHourly: Function(facts, timezone, o)              // OPTIONAL, return the text for those facts
+ *   }
+ * Custom conditions (see register()) also need to tell us when they apply, and
+ * may add to the current conditions and range overviews:
+ *   {
+ *     detect: Function(data, o),        // return falsey if the condition does not apply to the daily data, otherwise
+ *                                       // `true` or { level: Number, probability: Number } (both default to 1)
+ *     currentText: Function(currently, o),  // OPTIONAL, return text for the current conditions (or falsey for none)
+ *     overview: String                  // OPTIONAL, how to describe the condition in a range overview ("high pollen")
+ *   }
+ */
+const BUILT_IN = {
+    'storm': require('./storm'),
+    'rain': require('./rain'),
+    'snow': require('./snow'),
+    'ice': require('./ice'),
+    'fog': require('./fog'),
+    'heat': require('./heat'),
+    'heat-humid': require('./heat-humid'),
+    'humidity': require('./humidity'),
+    'cold': require('./cold'),
+    'cold-wind': require('./cold-wind'),
+    'clouds': require('./clouds'),
+    'uv': require('./uv'),
+    'wind': require('./wind')
+};
+const REQUIRED_METHODS = ['detect', 'headline', 'dailyText'];
+const OPTIONAL_METHODS = ['hourlyText', 'currentText', 'dailyFacts', 'renderDaily', 'hourlyFacts', 'renderHourly'];
+
+let custom = {};
+
+module.exports = {
+    get: getCondition,
+    custom: getCustomConditions,
+    register: registerCondition,
+    unregister: unregisterCondition
+};
+
+
+/**
+ * Find the module for a condition topic
+ *
+ * @param  {String} topic The condition topic, for example "rain" or "pollen"
+ * @return {Object|null}  The condition module (custom or built-in), or null if there is none
+ */
+function getCondition(topic) {
+    return custom[topic] || BUILT_IN[topic] || null;
+}
+
+
+/**
+ * Get all of the registered custom conditions
+ *
+ * @return {Array} The custom conditions: { topic: String, module: Object }
+ */
+function getCustomConditions() {
+    return Object.keys(custom).map(function(topic) {
+        return { topic: topic, module: custom[topic] };
+    });
+}
+
+
+/**
+ * Add a custom condition (replacing any custom condition with the same topic)
+ *
+ * @param  {String} topic           The condition topic, for example "pollen" (can't be a built-in topic)
+ * @param  {Object} conditionModule The condition module (see the interface above)
+ * @return {void}                   Will throw a ConfigError if the topic or module is not usable
+ */
+function registerCondition(topic, conditionModule) {
+    if (!topic || typeof(topic) !== 'string') {
+        throw new errors.ConfigError(
+            'Condition topics must be a non-empty string',
+            errors.CODES.INVALID_CONDITION,
+            { topic: topic }
+        );
+    }
+    if (BUILT_IN[topic]) {
+        throw new errors.ConfigError(
+            `The "${topic}" condition is built in and cannot be replaced`,
+            errors.CODES.INVALID_CONDITION,
+            { topic: topic }
+        );
+    }
+    if (!conditionModule || typeof(conditionModule) !== 'object') {
+        throw new errors.ConfigError(
+            `The "${topic}" condition must be an object`,
+            errors.CODES.INVALID_CONDITION,
+            { topic: topic }
+        );
+    }
+
+    let missing = REQUIRED_METHODS.filter(function(method) {
+        return typeof(conditionModule[method]) !== 'function';
+    }).concat(OPTIONAL_METHODS.filter(function(method) {
+        return conditionModule[method] !== undefined && typeof(conditionModule[method]) !== 'function';
+    }));
+    if (missing.length) {
+        throw new errors.ConfigError(
+            `The "${topic}" condition is missing or has invalid methods: ${missing.join(', ')}`,
+            errors.CODES.INVALID_CONDITION,
+            { topic: topic, methods: missing }
+        );
+    }
+    if (conditionModule.overview !== undefined && typeof(conditionModule.overview) !== 'string') {
+        throw new errors.ConfigError(
+            `The "${topic}" condition overview must be a string`,
+            errors.CODES.INVALID_CONDITION,
+            { topic: topic }
+        );
+    }
+
+    debug('registering custom condition %s', topic);
+    custom[topic] = conditionModule;
+}
+
+
+/**
+ * Remove a custom condition
+ *
+ * @param  {String} topic The condition topic
+ * @return {Boolean}      Whether there was a custom condition to remove
+ */
+function unregisterCondition(topic) {
+    if (!custom[topic]) {
+        return false;
+    }
+    debug('removing custom condition %s', topic);
+    delete custom[topic];
+    return true;
+}
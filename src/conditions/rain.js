@@ -3,24 +3,23 @@
 let debug = require('debug')('fuzzy-weather:rain'),
     debugOut = require('debug')('fuzzy-weather:rain:output'),
     moment = require('moment-timezone'),
-    lsq = require('least-squares');
+    lsq = require('least-squares'),
+    locales = require('../locales');
 require('../array-util');
 
 module.exports = {
     headline: getHeadline,
     dailyText: getDailyText,
-    hourlyText: getHourlyText
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly
 };
 
 
-function getHeadline() {
-    return [
-        `Don't forget your umbrella {day}!`,
-        `Remember the umbrella {day}.`,
-        `Prepare for some wet weather {day}.`,
-        `It's going to be wet {day}.`,
-        `You'll need the umbrella {day}.`
-    ].sample();
+function getHeadline(o) {
+    return locales.translate(o, 'rain.headline');
 }
 
 
@@ -29,38 +28,99 @@ function getHeadline() {
  * @param  {Object} condition The condition info: topic: { snow, probability, level }
  * @param  {Object} data      The weather data from the API
  * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
  * @return {String}           The text to use for rain information given the data provided
  */
-function getDailyText(condition, data, timezone) {
-    debug('getting rain text if prob is up:', data.precipProbability);
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the rain for the day
+ * @param  {Object} condition The condition info: topic: { rain, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts (the time is a unix timestamp in seconds):
+ *                            { type: 'rain-day', precipType, probability, intensity, intensityPeak }
+ *                            (none if there isn't really a chance of rain)
+ */
+function getDailyFacts(condition, data) {
+    debug('getting rain facts if prob is up:', data.precipProbability);
 
     if (data.precipProbability < 0.1) {
+        return [];
+    }
+    return [{
+        type: 'rain-day',
+        precipType: data.precipType,
+        probability: data.precipProbability,
+        intensity: data.precipIntensityMax,
+        intensityPeak: data.precipIntensityMaxTime
+    }];
+}
+
+
+/**
+ * Get the text for the rain facts from getDailyFacts()
+ * @param  {Array} facts      The rain facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for rain information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'rain-day'; })[0];
+    if (!day) {
         return '';
     }
 
-    let peak = moment.tz(data.precipIntensityMaxTime * 1000, 'GMT').tz(timezone);
+    let peak = moment.tz(day.intensityPeak * 1000, 'GMT').tz(timezone);
 
     // TODO:
     // * base text on level
     // * create array of possible phrases
 
-    let output =
-`You should expect ${getPrecipIntensityText(data.precipIntensityMax, data.precipType)} peaking at around ${peak.format('ha')}.
-There is a ${Math.round(data.precipProbability * 100)} percent chance overall.`;
+    let output = locales.translate(o, 'rain.daily', {
+        intensity: getPrecipIntensityText(day.intensity, day.precipType, o),
+        hour: locales.hour(o, peak),
+        percent: Math.round(day.probability * 100)
+    });
     debugOut(output);
     return output;
 }
 
 
-function getHourlyText(data, timezone) {
-    let text = [];
-    let strongInstances = [];
-    let holdInstance = null;
+/**
+ * Get text for the rain through the hours of the day
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly rain information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the rain through the hours of the day: the trend in rain
+ * chances, and each episode of steady rain
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @return {Array}            The facts (all times are unix timestamps in seconds):
+ *                            { type: 'rain-trend', trend: 'increasing' | 'decreasing' | 'steady', start, end }
+ *                            (only steady trends have a start and end)
+ *                            { type: 'rain-episode', start, end, peak, probability, startProbability,
+ *                              intensity, intensityPeak } (the peak is when the chance is highest)
+ */
+function getHourlyFacts(data, timezone) {
+    let facts = [];
+    let holdEpisode = null;
 
     let xValues = [];
     let yValues = [];
 
-    data.forEach(function determineInstances(hourData) {
+    data.forEach(function determineEpisodes(hourData) {
         let hour = moment.tz(hourData.time * 1000, 'GMT').tz(timezone);
 
         // Track X and Y values to do linear regression later...
@@ -71,48 +131,44 @@ function getHourlyText(data, timezone) {
 
         if (hourData.precipType !== 'rain') { return; }
 
-        // Track any "strong" instances through the day...
+        // Track any "strong" episodes through the day...
         if (hourData.precipProbability > 0.33 && hourData.precipIntensity > 0.03) {
             // there's some rain this hour...
-            if (holdInstance === null) {
-                // we need a new rain instance
-                holdInstance = {
-                    startTime: hourData.time,
-                    startHour: hour.format('ha'),
-                    startPercent: hourData.precipProbability,
-                    length: 1,
-                    maxPrecipProbability: hourData.precipProbability,
-                    maxPrecipProbabilityTime: hourData.time,
-                    maxPrecipProbabilityHour: hour.format('ha'),
-                    maxIntensity: hourData.precipIntensity,
-                    maxIntensityTime: hourData.time,
-                    maxIntensityHour: hour.format('ha')
+            if (holdEpisode === null) {
+                // we need a new rain episode
+                holdEpisode = {
+                    type: 'rain-episode',
+                    start: hourData.time,
+                    end: hourData.time + 3600,
+                    peak: hourData.time,
+                    probability: hourData.precipProbability,
+                    startProbability: hourData.precipProbability,
+                    intensity: hourData.precipIntensity,
+                    intensityPeak: hourData.time
                 };
             } else {
-                // add to existing instance
-                holdInstance.length++;
-                if (hourData.precipIntensity >= holdInstance.maxIntensity) {
-                    holdInstance.maxIntensity = hourData.precipIntensity;
-                    holdInstance.maxIntensityTime = hourData.time;
-                    holdInstance.maxIntensityHour = hour.format('ha');
+                // add to existing episode
+                holdEpisode.end = hourData.time + 3600;
+                if (hourData.precipIntensity >= holdEpisode.intensity) {
+                    holdEpisode.intensity = hourData.precipIntensity;
+                    holdEpisode.intensityPeak = hourData.time;
                 }
-                if (hourData.precipProbability >= holdInstance.maxPrecipProbability) {
-                    holdInstance.maxPrecipProbability = hourData.precipProbability;
-                    holdInstance.maxPrecipProbabilityTime = hourData.time;
-                    holdInstance.maxPrecipProbabilityHour = hour.format('ha');
+                if (hourData.precipProbability >= holdEpisode.probability) {
+                    holdEpisode.probability = hourData.precipProbability;
+                    holdEpisode.peak = hourData.time;
                 }
             }
-        } else if (holdInstance) {
-            // No rain this hour, but we have a previous rain instance!
-            strongInstances.push(holdInstance);
-            holdInstance = null;
+        } else if (holdEpisode) {
+            // No rain this hour, but we have a previous rain episode!
+            facts.push(holdEpisode);
+            holdEpisode = null;
         }
     });
 
-    if (holdInstance) {
-        // leftover strong instance at the end of the day?
-        strongInstances.push(holdInstance);
-        holdInstance = null;
+    if (holdEpisode) {
+        // leftover strong episode at the end of the day?
+        facts.push(holdEpisode);
+        holdEpisode = null;
     }
 
     if (xValues.length) {
@@ -126,61 +182,74 @@ function getHourlyText(data, timezone) {
         debug(regr(xMin), regr(xMax), regrData);
         if (regrData.bErr < 0.05 && regrData.mErr < 0.005) {
             if (regr(xMin) < regr(xMax) && (regr(xMax) - regr(xMin)) > 0.4) {
-                text.push('There is an increasing rain chance through {day}.');
+                facts.unshift({ type: 'rain-trend', trend: 'increasing' });
             } else if (regr(xMin) > regr(xMax) && (regr(xMin) - regr(xMax)) > 0.4) {
-                text.push('Rain chances decrease through {day}.');
+                facts.unshift({ type: 'rain-trend', trend: 'decreasing' });
             } else if (Math.abs(regr(xMin) - regr(xMax)) < 0.3) {
                 let hours = moment.tz(data[0].time * 1000, 'GMT').tz(timezone);
                 hours.add(xValues[xMin], 'h');
-                let evenText = `Chances for rain are pretty steady from about ${hours.format('ha')} through`;
+                let start = hours.unix();
                 hours.add(xValues.length, 'h');
-                evenText += ` ${hours.format('ha')}.`;
-                text.push(evenText);
+                facts.unshift({ type: 'rain-trend', trend: 'steady', start: start, end: hours.unix() });
             }
         }
     }
 
-    if (strongInstances.length) {
-        debug('strong rain instances', strongInstances);
+    debug('rain facts', facts);
+    return facts;
+}
+
+
+/**
+ * Get the text for the rain facts from getHourlyFacts()
+ * @param  {Array} facts      The rain facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly rain information
+ */
+function renderHourly(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    facts.filter(function(fact) { return fact.type === 'rain-trend'; }).forEach(function(trend) {
+        if (trend.trend === 'steady') {
+            text.push(locales.translate(o, 'rain.steady', { start: hour(trend.start), end: hour(trend.end) }));
+        } else {
+            text.push(locales.translate(o, `rain.${trend.trend}`));
+        }
+    });
 
-        if (strongInstances.length > 1) {
-            text.push(`It looks like there will be multiple rain chances {day}.`);
+    let episodes = facts.filter(function(fact) { return fact.type === 'rain-episode'; });
+    if (episodes.length) {
+        if (episodes.length > 1) {
+            text.push(locales.translate(o, 'rain.multiple'));
         }
 
-        let holdMaxIntensity = null;
-        strongInstances.forEach(function addInstance(instance, i) {
+        let heaviest = null;
+        episodes.forEach(function addEpisode(episode, i) {
             let description;
-
-            // ${getPrecipIntensityText(data.precipIntensityMax, data.precipType)}
+            let values = {
+                start: hour(episode.start),
+                startPercent: Math.round(episode.startProbability * 100),
+                peak: hour(episode.peak),
+                peakPercent: Math.round(episode.probability * 100)
+            };
 
             if (i > 0) {
-                description =
-`There's another chance beginning about ${instance.startHour}
-peaking at ${instance.maxPrecipProbabilityHour} with a
-${Math.round(instance.maxPrecipProbability * 100)} percent chance.`;
+                description = locales.translate(o, 'rain.another', values);
+            } else if (episode.start === episode.peak || episode.startProbability === episode.probability) {
+                description = locales.translate(o, 'rain.first', values);
             } else {
-                description =
-`Chances are good for rain starting about ${instance.startHour} with a
-${Math.round(instance.startPercent * 100)} percent chance`;
-                if (instance.startHour === instance.maxPrecipProbabilityHour ||
-                    instance.startPercent === instance.maxPrecipProbability) {
-                    description += '.';
-                } else {
-                    description +=
-` rising to
-${Math.round(instance.maxPrecipProbability * 100)} percent at
-${instance.maxPrecipProbabilityHour}.`;
-                }
+                description = locales.translate(o, 'rain.firstRising', values);
             }
-            if (!holdMaxIntensity || instance.maxIntensity > holdMaxIntensity.value) {
-                holdMaxIntensity = {
-                    value: instance.maxIntensity,
-                    hour: instance.maxIntensityHour
-                };
+            if (!heaviest || episode.intensity > heaviest.intensity) {
+                heaviest = episode;
             }
             text.push(description);
         });
-        text.push(`The heaviest bit should be around ${holdMaxIntensity.hour}.`);
+        text.push(locales.translate(o, 'rain.heaviest', { hour: hour(heaviest.intensityPeak) }));
     }
 
     debugOut(text.join(' ').replace(/\s{2,}/g, ' '));
@@ -188,10 +257,10 @@ ${instance.maxPrecipProbabilityHour}.`;
 }
 
 
-function getPrecipIntensityText(intensity, type) {
-    let intensityText = 'no';
+function getPrecipIntensityText(intensity, type, o) {
+    let intensityText = 'none';
     if (intensity > 0.7) {
-        intensityText = 'extremely heavy';
+        intensityText = 'extremelyHeavy';
     } else if (intensity > 0.2) {
         intensityText = 'heavy';
     } else if (intensity > 0.07) {
@@ -201,5 +270,5 @@ function getPrecipIntensityText(intensity, type) {
     } else if (intensity > 0) {
         intensityText = 'drizzling';
     }
-    return intensityText + ' ' + type;
+    return locales.translate(o, `precip.${intensityText}`, { type: locales.translate(o, `precip.${type}`) });
 }
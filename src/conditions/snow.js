@@ -0,0 +1,277 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:snow'),
+    debugOut = require('debug')('fuzzy-weather:snow:output'),
+    moment = require('moment-timezone'),
+    units = require('../units'),
+    locales = require('../locales');
+require('../array-util');
+
+// Precip intensity is liquid equivalent, this is (roughly) how many inches of
+// snow you get from an inch of water
+const SNOW_RATIO = 10;
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'snow.headline');
+}
+
+
+/**
+ * Get text for snowy day
+ * @param  {Object} condition The condition info: topic: { snow, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for snow information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the snow for the day
+ * @param  {Object} condition The condition info: topic: { snow, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts (the time is a unix timestamp in seconds):
+ *                            { type: 'snow-day', probability, intensity, intensityPeak, accumulation, visibility }
+ *                            (none if there isn't really a chance of snow, `visibility` is null if we don't know it)
+ */
+function getDailyFacts(condition, data) {
+    debug('getting snow facts if prob is up:', data.precipProbability);
+
+    if (data.precipProbability < 0.1) {
+        return [];
+    }
+    return [{
+        type: 'snow-day',
+        probability: data.precipProbability,
+        intensity: data.precipIntensityMax,
+        intensityPeak: data.precipIntensityMaxTime,
+        accumulation: data.precipAccumulation || 0,
+        visibility: (typeof(data.visibility) === 'number') ? data.visibility : null
+    }];
+}
+
+
+/**
+ * Get the text for the snow facts from getDailyFacts()
+ * @param  {Array} facts      The snow facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for snow information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'snow-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let text = [];
+    let peak = moment.tz(day.intensityPeak * 1000, 'GMT').tz(timezone);
+
+    text.push(locales.translate(o, 'snow.daily', {
+        intensity: getSnowIntensityText(day.intensity, o),
+        hour: locales.hour(o, peak)
+    }));
+
+    let percent = Math.round(day.probability * 100);
+    let accumulation = getAccumulationText(day.accumulation, o);
+    if (accumulation) {
+        text.push(locales.translate(o, 'snow.chanceAccumulation', { percent: percent, accumulation: accumulation }));
+    } else {
+        text.push(locales.translate(o, 'snow.chance', { percent: percent }));
+    }
+
+    if (day.visibility !== null && day.visibility < 1) {
+        let distance = locales.translate(o, units.usesKilometres(o) ? 'snow.visibilityKilometres' : 'snow.visibilityMiles');
+        text.push(locales.translate(o, 'snow.visibilityLow', { distance: distance }));
+    } else if (day.visibility !== null && day.visibility < 3) {
+        text.push(locales.translate(o, 'snow.visibilityReduced'));
+    }
+
+    let output = text.join('\n');
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for the snow through the hours of the day
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly snow information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about each episode of steady snow through the hours of the day
+ * @param  {Array} data       The hourly weather data from the API
+ * @return {Array}            The facts (all times are unix timestamps in seconds):
+ *                            { type: 'snow-episode', start, end, probability, accumulation, intensity, intensityPeak }
+ */
+function getHourlyFacts(data) {
+    let facts = [];
+    let holdEpisode = null;
+
+    data.forEach(function determineEpisodes(hourData) {
+        if (hourData.precipType === 'snow' && hourData.precipProbability > 0.33 && hourData.precipIntensity > 0.005) {
+            // there's some snow this hour...
+            if (holdEpisode === null) {
+                // we need a new snow episode
+                holdEpisode = {
+                    type: 'snow-episode',
+                    start: hourData.time,
+                    end: hourData.time + 3600,
+                    probability: hourData.precipProbability,
+                    accumulation: 0,
+                    intensity: hourData.precipIntensity,
+                    intensityPeak: hourData.time
+                };
+            } else {
+                // add to existing episode
+                holdEpisode.end = hourData.time + 3600;
+                holdEpisode.probability = Math.max(holdEpisode.probability, hourData.precipProbability);
+                if (hourData.precipIntensity >= holdEpisode.intensity) {
+                    holdEpisode.intensity = hourData.precipIntensity;
+                    holdEpisode.intensityPeak = hourData.time;
+                }
+            }
+            holdEpisode.accumulation += hourData.precipIntensity * SNOW_RATIO;
+
+        } else if (holdEpisode) {
+            // No snow this hour, but we have a previous snow episode!
+            facts.push(holdEpisode);
+            holdEpisode = null;
+        }
+    });
+
+    if (holdEpisode) {
+        // leftover episode at the end of the day?
+        facts.push(holdEpisode);
+        holdEpisode = null;
+    }
+
+    debug('snow facts', facts);
+    return facts;
+}
+
+
+/**
+ * Get the text for the snow facts from getHourlyFacts()
+ * @param  {Array} facts      The snow facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly snow information
+ */
+function renderHourly(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    let episodes = facts.filter(function(fact) { return fact.type === 'snow-episode'; });
+    if (episodes.length) {
+        if (episodes.length > 1) {
+            text.push(locales.translate(o, 'snow.multiple'));
+        }
+
+        let heaviest = null;
+        episodes.forEach(function addEpisode(episode, i) {
+            let accumulation = getAccumulationText(episode.accumulation, o);
+            let id = (i > 0) ? 'snow.another' : 'snow.first';
+            let description = locales.translate(o, accumulation ? `${id}Accumulation` : id, {
+                start: hour(episode.start),
+                end: hour(episode.end),
+                accumulation: accumulation
+            });
+
+            if (!heaviest || episode.intensity > heaviest.intensity) {
+                heaviest = episode;
+            }
+            text.push(description);
+        });
+
+        let rate = heaviest.intensity * SNOW_RATIO;
+        if (rate >= 1) {
+            text.push(locales.translate(o, 'snow.heaviestRate', { hour: hour(heaviest.intensityPeak), rate: getRateText(rate, o) }));
+        } else {
+            text.push(locales.translate(o, 'snow.heaviest', { hour: hour(heaviest.intensityPeak) }));
+        }
+    }
+
+    debugOut(text.join(' ').replace(/\s{2,}/g, ' '));
+    return text.join(' ').replace(/\s{2,}/g, ' ');
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function getSnowIntensityText(intensity, o) {
+    let intensityText = 'none';
+    if (intensity > 0.15) {
+        intensityText = 'veryHeavy';
+    } else if (intensity > 0.06) {
+        intensityText = 'heavy';
+    } else if (intensity > 0.02) {
+        intensityText = 'moderate';
+    } else if (intensity > 0.005) {
+        intensityText = 'light';
+    } else if (intensity > 0) {
+        intensityText = 'flurries';
+    }
+    return locales.translate(o, `snow.intensity.${intensityText}`);
+}
+
+function getAccumulationText(inches, o) {
+    if (!inches || inches < 0.1) {
+        return null;
+    } else if (units.isMetric(o)) {
+        return getMetricAccumulationText(units.snowDepth(inches, o), o);
+    } else if (inches < 1) {
+        return locales.translate(o, 'snow.accumulation.lessThanOne');
+    } else if (inches < 1.5) {
+        return locales.translate(o, 'snow.accumulation.aboutOne');
+    } else if (inches < 6) {
+        return locales.translate(o, 'snow.accumulation.about', { count: Math.round(inches) });
+    }
+    let low = Math.floor(inches / 2) * 2;
+    return locales.translate(o, 'snow.accumulation.range', { low: low, high: low + 2 });
+}
+
+function getMetricAccumulationText(centimetres, o) {
+    if (centimetres < 1) {
+        return locales.translate(o, 'snow.accumulation.lessThanOneMetric');
+    } else if (centimetres < 1.5) {
+        return locales.translate(o, 'snow.accumulation.aboutOneMetric');
+    } else if (centimetres < 15) {
+        return locales.translate(o, 'snow.accumulation.aboutMetric', { count: Math.round(centimetres) });
+    }
+    let low = Math.floor(centimetres / 5) * 5;
+    return locales.translate(o, 'snow.accumulation.rangeMetric', { low: low, high: low + 5 });
+}
+
+function getRateText(inches, o) {
+    if (units.isMetric(o)) {
+        return locales.translate(o, 'snow.rateMetric', { count: Math.round(units.snowDepth(inches, o)) });
+    }
+    return locales.translate(o, 'snow.rate', { count: (inches < 1.5) ? 1 : Math.round(inches) });
+}
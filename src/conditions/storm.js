@@ -0,0 +1,213 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:storm'),
+    debugOut = require('debug')('fuzzy-weather:storm:output'),
+    moment = require('moment-timezone'),
+    locales = require('../locales');
+require('../array-util');
+
+const STORM_TEXT = /thunder|t-storm|tstorm/i;
+// CAPE (J/kg) where the atmosphere is unstable enough for storms, and where they could be strong
+const CAPE_STORMS = 1000;
+const CAPE_STRONG = 2500;
+// Precip intensity (in/hr) bursts that heavy are very likely convective
+const BURST_INTENSITY = 0.3;
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly,
+    isStormy: isStormy
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'storm.headline');
+}
+
+
+/**
+ * Get text for a stormy day
+ * @param  {Object} condition The condition info: topic: { storm, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for thunderstorm information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the thunderstorms for the day
+ * @param  {Object} condition The condition info: topic: { storm, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts (the time is a unix timestamp in seconds):
+ *                            { type: 'storm-day', intensityPeak, cape }
+ *                            (either could be null if the provider doesn't have it)
+ */
+function getDailyFacts(condition, data) {
+    debug('getting storm facts for', data.summary, data.capeMax);
+
+    return [{
+        type: 'storm-day',
+        intensityPeak: data.precipIntensityMaxTime || null,
+        cape: (typeof(data.capeMax) === 'number') ? data.capeMax : null
+    }];
+}
+
+
+/**
+ * Get the text for the thunderstorm facts from getDailyFacts()
+ * @param  {Array} facts      The thunderstorm facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for thunderstorm information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'storm-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let text = [];
+    if (day.intensityPeak) {
+        let hour = locales.hour(o, moment.tz(day.intensityPeak * 1000, 'GMT').tz(timezone));
+        text.push(locales.translate(o, 'storm.dailyAround', { hour: hour }));
+    } else {
+        text.push(locales.translate(o, 'storm.daily'));
+    }
+
+    if (day.cape >= CAPE_STRONG) {
+        text.push(locales.translate(o, 'storm.unstable'));
+    }
+
+    let output = text.join(' ');
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for the windows of time where thunderstorms are likely
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly thunderstorm information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about each window of time where thunderstorms are likely
+ * @param  {Array} data       The hourly weather data from the API
+ * @return {Array}            The facts (all times are unix timestamps in seconds):
+ *                            { type: 'storm-window', start, end, intensity, intensityPeak }
+ */
+function getHourlyFacts(data) {
+    let facts = [];
+    let holdWindow = null;
+
+    data.forEach(function determineWindows(hourData) {
+        if (isStormy(hourData)) {
+            if (holdWindow === null) {
+                holdWindow = {
+                    type: 'storm-window',
+                    start: hourData.time,
+                    end: null,
+                    intensity: hourData.precipIntensity,
+                    intensityPeak: hourData.time
+                };
+            } else if (hourData.precipIntensity > holdWindow.intensity) {
+                holdWindow.intensity = hourData.precipIntensity;
+                holdWindow.intensityPeak = hourData.time;
+            }
+            holdWindow.end = hourData.time + 3600;
+
+        } else if (holdWindow) {
+            facts.push(holdWindow);
+            holdWindow = null;
+        }
+    });
+
+    if (holdWindow) {
+        facts.push(holdWindow);
+        holdWindow = null;
+    }
+
+    debug('storm facts', facts);
+    return facts;
+}
+
+
+/**
+ * Get the text for the thunderstorm facts from getHourlyFacts()
+ * @param  {Array} facts      The thunderstorm facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly thunderstorm information
+ */
+function renderHourly(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    let windows = facts.filter(function(fact) { return fact.type === 'storm-window'; });
+    if (!windows.length) {
+        return '';
+    }
+
+    let strongest = windows[0];
+    windows.forEach(function addWindow(window, i) {
+        let values = { start: hour(window.start), end: hour(window.end) };
+        text.push(locales.translate(o, (i === 0) ? 'storm.window' : 'storm.windowAgain', values));
+        if (window.intensity > strongest.intensity) {
+            strongest = window;
+        }
+    });
+
+    let output = text.join(', ') + '.';
+    if (strongest.intensity > 0) {
+        output += ' ' + locales.translate(o, 'storm.strongest', { hour: hour(strongest.intensityPeak) });
+    }
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Determine if there are likely thunderstorms given hourly or daily data, using
+ * the icon or summary from the provider, the CAPE (if we have it), and any
+ * very heavy bursts of rain
+ * @param  {Object} data A data point (hourly or daily) as normalized from the weather provider
+ * @return {Boolean}     Whether there are likely thunderstorms
+ */
+function isStormy(data) {
+    if (data.icon === 'thunderstorm' || STORM_TEXT.test(data.summary || '')) {
+        return true;
+    }
+    if (data.precipType && data.precipType !== 'rain') {
+        return false;
+    }
+
+    let intensity = (typeof(data.precipIntensityMax) === 'number') ? data.precipIntensityMax : data.precipIntensity;
+    let cape = (typeof(data.capeMax) === 'number') ? data.capeMax : data.cape;
+    if (data.precipProbability > 0.3) {
+        if (cape >= CAPE_STORMS && intensity > 0.05) {
+            return true;
+        }
+        if (intensity >= BURST_INTENSITY) {
+            return true;
+        }
+    }
+    return false;
+}
@@ -3,27 +3,69 @@
 let debug = require('debug')('fuzzy-weather:temp'),
     debugOut = require('debug')('fuzzy-weather:temp:output'),
     moment = require('moment-timezone'),
-    lsq = require('least-squares');
+    lsq = require('least-squares'),
+    units = require('../units'),
+    locales = require('../locales');
 require('../array-util');
 
+// The afternoon "plateau" is any hours within this many degrees of the high (for at least the min length)
+const PLATEAU_RANGE = 2;
+const MIN_PLATEAU_LENGTH = 2;
+// The morning low and warming are only narrated when it warms up at least this many degrees
+const MIN_WARMING = 3;
+// The evening drop is narrated to this hour (or the end of the data) when it cools off at least EVENING_DROP degrees
+const EVENING_HOUR = 21;
+const EVENING_DROP = 3;
+// Changes at least this big (in degrees) within SHARP_CHANGE_HOURS are more than the daily curve, likely a front
+const SHARP_DROP = 8;
+const SHARP_RISE = 10;
+const SHARP_CHANGE_HOURS = 2;
+
 module.exports = {
     summary: getSummary,
-    detail: getDetail
+    summaryFacts: getSummaryFacts,
+    renderSummary: renderSummary,
+    detail: getDetail,
+    detailFacts: getDetailFacts,
+    renderDetail: renderDetail
 };
 
-function getSummary(timezone, dailyData, hourlyData) {
-    let text = [];
+function getSummary(timezone, dailyData, hourlyData, o) {
+    return renderSummary(getSummaryFacts(dailyData, hourlyData, timezone), timezone, o);
+}
 
-    if (!dailyData && !hourlyData) {
-        return '';
+
+/**
+ * Get the facts about the temperatures for the day, and with hourly data, how
+ * the day will go: the outlook (which way the temperatures are heading) and the
+ * temperatures at a few times worth mentioning (the end of the work day, later
+ * in the evening, or to finish out the day)
+ * @param  {Object} dailyData  The daily weather data from the API
+ * @param  {Array} hourlyData  The hourly weather data from the API (OPTIONAL)
+ * @param  {String} timezone   The timezone for weather data (OPTIONAL, only needed with hourly data)
+ * @return {Array}             The facts (times are unix timestamps in seconds, temperatures in degrees F):
+ *                             { type: 'temperature-range', low, lowTime, high, highTime }
+ *                             { type: 'temperature-outlook', trend, temperature, time }
+ *                             ("rising" to the evening high, "falling" to the low, or "peaking" at the high)
+ *                             { type: 'temperature-reading', temperature, time }
+ */
+function getSummaryFacts(dailyData, hourlyData, timezone) {
+    if (!dailyData) {
+        return [];
     }
+    let facts = [{
+        type: 'temperature-range',
+        low: dailyData.temperatureMin,
+        lowTime: dailyData.temperatureMinTime,
+        high: dailyData.temperatureMax,
+        highTime: dailyData.temperatureMaxTime
+    }];
     if (!hourlyData) {
-        return simpleSummary(timezone, dailyData);
+        return facts;
     }
 
 
     let xValues = [];
-    let yValues = [];
     let maxTemp = -100;
     let maxHour = 0;
     let minTemp = 200;
@@ -35,7 +77,6 @@ function getSummary(timezone, dailyData, hourlyData) {
     hourlyData.forEach(function determineInstances(hourData, i) {
         let hour = moment.tz(hourData.time * 1000, 'GMT').tz(timezone);
         xValues.push(hour.hours());
-        yValues.push(hourData.temperature);
 
         if (hourData.temperature > maxTemp) {
             maxHour = i;
@@ -55,90 +96,112 @@ function getSummary(timezone, dailyData, hourlyData) {
     // day. For now, I'm going to manually look at peak hours and try to
     // determine if this is a typical temp curve day or not.
 
-    let maxHours = moment.tz(hourlyData[0].time * 1000, 'GMT').tz(timezone);
-    maxHours.add(maxHour, 'h');
-    let minHours = moment.tz(hourlyData[0].time * 1000, 'GMT').tz(timezone);
-    minHours.add(minHour, 'h');
+    let addReadings = function(hours) {
+        xValues.forEach(function findReadings(hour, i) {
+            if (hours.indexOf(Number(hour)) > -1) {
+                facts.push({ type: 'temperature-reading', temperature: hourlyData[i].temperature, time: hourlyData[i].time });
+            }
+        });
+    };
+    let addOutlook = function(trend, i) {
+        facts.push({ type: 'temperature-outlook', trend: trend, temperature: hourlyData[i].temperature, time: hourlyData[i].time });
+    };
 
     if (dailyMaxTime.format('H') > 17) {
-        text.push(
-`Temperatures {day} it will be climbing through the evening, peaking at about
-${Math.round(maxTemp)} degrees around ${maxHours.format('h a')}.`
-        );
-
+        addOutlook('rising', maxHour);
         if (xValues[0] < 16) {
-            xValues.forEach(function findSixPM(hour, i) {
-                if (Number(hour) === 17) {
-                    text.push(`It'll be about ${Math.round(yValues[i])} at the end of the work day.`);
-                }
-            });
+            addReadings([17]);
         }
 
     } else if (dailyMaxTime.format('H') < 12) {
-        text.push(
-            `Temperatures will be heading down through {day} getting down to about ${Math.round(minTemp)} degrees by ${minHours.format('h a')}.`
-        );
-
+        addOutlook('falling', minHour);
         if (xValues[0] < 16) {
-            xValues.forEach(function findCommuteTime(hour, i) {
-                if (Number(hour) === 17) {
-                    text.push(`It'll be about ${Math.round(yValues[i])} at the end of the work day.`);
-                }
-            });
+            addReadings([17]);
         }
 
     } else if (xValues[0] < 11) {
-        text.push(`You'll see a high of ${Math.round(maxTemp)} degrees {day} around ${maxHours.format('h a')}.`);
-
-        xValues.forEach(function findSixPM(hour, i) {
-            if (Number(hour) === 17) {
-                text.push(`It'll be about ${Math.round(yValues[i])} at the end of the work day.`);
-            }
-        });
+        addOutlook('peaking', maxHour);
+        addReadings([17]);
     } else if (xValues[0] < 17) {
-        xValues.forEach(function findSixPM(hour, i) {
-            if (Number(hour) === 17) {
-                text.push(`It'll be about ${Math.round(yValues[i])} at the end of the work day`);
-            }
-            if (Number(hour) === 21) {
-                text.push(`and ${Math.round(yValues[i])} by 9 pm.`);
-            }
-        });
+        addReadings([17, 21]);
     } else {
-        xValues.forEach(function findSixPM(hour, i) {
-            if (Number(hour) === 23) {
-                text.push(`It'll be ${Math.round(yValues[i])} around 11pm to finish out your day.`);
-            }
-        });
+        addReadings([23]);
     }
 
+    return facts;
+}
+
+
+/**
+ * Get the text for the temperature facts from getSummaryFacts()
+ * @param  {Array} facts      The temperature facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather (OPTIONAL, for the units)
+ * @return {String}           The text to use for the temperatures in the daily summary
+ */
+function renderSummary(facts, timezone, o) {
+    let text = [];
+    let range = facts.filter(function(fact) { return fact.type === 'temperature-range'; })[0];
+    let outlook = facts.filter(function(fact) { return fact.type === 'temperature-outlook'; })[0];
+    let readings = facts.filter(function(fact) { return fact.type === 'temperature-reading'; });
+
+    if (!outlook && !readings.length) {
+        return range ? simpleSummary(timezone, range, o) : '';
+    }
+
+    let localTime = function(time) {
+        return moment.tz(time * 1000, 'GMT').tz(timezone);
+    };
+
+    if (outlook) {
+        let id = { rising: 'temp.climbing', falling: 'temp.headingDown', peaking: 'temp.high' }[outlook.trend];
+        text.push(locales.translate(o, id, {
+            temp: units.temperatureText(outlook.temperature, o),
+            hour: locales.hour(o, localTime(outlook.time), true)
+        }));
+    }
+
+    readings.forEach(function addReading(reading) {
+        let hour = localTime(reading.time);
+        let values = { temp: units.temperatureText(reading.temperature, o) };
+        if (hour.hours() === 17) {
+            // without an outlook, the end of the work day leads into the evening
+            text.push(locales.translate(o, 'temp.endOfWorkDay', values) + (outlook ? '.' : ''));
+        } else if (hour.hours() === 21) {
+            values.hour = locales.hour(o, hour, true);
+            text.push(locales.translate(o, 'temp.andLater', values));
+        } else {
+            values.hour = locales.hour(o, hour);
+            text.push(locales.translate(o, 'temp.finish', values));
+        }
+    });
+
     debugOut(text.join(' ').replace(/\n/g, ' '));
     return text.join(' ').replace(/\n/g, ' ');
 }
 
 
-function simpleSummary(timezone, data) {
+function simpleSummary(timezone, range, o) {
     let output;
 
     debug('no hourly data, only getting general daily summary');
 
-    let low = moment.tz(data.temperatureMinTime * 1000, 'GMT').tz(timezone);
-    let peak = moment.tz(data.temperatureMaxTime * 1000, 'GMT').tz(timezone);
+    let low = moment.tz(range.lowTime * 1000, 'GMT').tz(timezone);
+    let peak = moment.tz(range.highTime * 1000, 'GMT').tz(timezone);
 
-    if (peak.format('H') < 12) {
-        output =
-`Temperatures will be heading down {day}. The high of ${Math.round(data.temperatureMax)} degrees will be at
-${peak.format('h a')} and temps will get down to ${Math.round(data.temperatureMin)} at ${low.format('h a')}.`;
+    let values = {
+        low: units.temperatureText(range.low, o),
+        lowHour: locales.hour(o, low, true),
+        high: units.temperatureText(range.high, o),
+        highHour: locales.hour(o, peak, true)
+    };
 
+    if (peak.format('H') < 12) {
+        output = locales.translate(o, 'temp.simpleHeadingDown', values);
     } else if (peak.format('H') > 17) {
-        output =
-`Temperatures will increase throughout the day {day}. The low will be ${Math.round(data.temperatureMin)}
-degrees at ${low.format('h a')} and rise to ${Math.round(data.temperatureMax)} at ${peak.format('h a')}.`;
-
+        output = locales.translate(o, 'temp.simpleIncreasing', values);
     } else {
-        output =
-`The low {day} will be ${Math.round(data.temperatureMin)} degrees at around ${low.format('h a')}. You should expect a
-high of ${Math.round(data.temperatureMax)} degrees around ${peak.format('h a')}.`;
+        output = locales.translate(o, 'temp.simple', values);
     }
 
     debugOut(output);
@@ -146,7 +209,169 @@ high of ${Math.round(data.temperatureMax)} degrees around ${peak.format('h a')}.
 }
 
 
-function getDetail(data, timezone, dailyData) {
-    // TODO: more detailed temp info for the days...
-    return 'temps';
+/**
+ * Get an hour-by-hour temperature narrative: the morning low, how fast it warms
+ * up, how long the afternoon high holds, the evening drop, and any sharp changes
+ * (usually fronts moving through) along the way
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather (OPTIONAL, for the units)
+ * @return {String}           The text to use for hourly temperature information
+ */
+function getDetail(data, timezone, o) {
+    return renderDetail(getDetailFacts(data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the temperature curve through the hours of the day
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @return {Array}            The facts, in the order we narrate them (times are unix timestamps in seconds,
+ *                            and temperatures are in degrees F, rounded the way we say them):
+ *                            { type: 'temperature-warming', start, low, end, high, rate } (rate in degrees per hour)
+ *                            { type: 'temperature-plateau', temperature, end }
+ *                            { type: 'temperature-drop', start, high, end, temperature }
+ *                            { type: 'temperature-change', start, end, change } (a sharp rise or drop, likely a front)
+ */
+function getDetailFacts(data, timezone) {
+    let facts = [];
+
+    if (!data || !data.length) {
+        return facts;
+    }
+
+    let temps = data.map(function(hourData) { return hourData.temperature; });
+    let hour = function(index) {
+        return data[index].time;
+    };
+
+    let peakIndex = temps.indexOf(Math.max.apply(Math, temps));
+    let peak = Math.round(temps[peakIndex]);
+    let lowIndex = temps.indexOf(Math.min.apply(Math, temps.slice(0, peakIndex + 1)));
+    debug(`hourly low of ${temps[lowIndex]} (${lowIndex}) before the peak of ${temps[peakIndex]} (${peakIndex})`);
+
+    // -------- MORNING LOW AND WARMING
+    let low = Math.round(temps[lowIndex]);
+    if (lowIndex < peakIndex && (peak - low) >= MIN_WARMING) {
+        facts.push({
+            type: 'temperature-warming',
+            start: hour(lowIndex),
+            low: low,
+            end: hour(peakIndex),
+            high: peak,
+            rate: (peak - low) / (peakIndex - lowIndex)
+        });
+    }
+
+    // -------- AFTERNOON PLATEAU (only after warming up, otherwise it's just a slow drop)
+    let plateauEnd = peakIndex;
+    while (lowIndex < peakIndex && plateauEnd < temps.length - 1 && temps[plateauEnd + 1] >= (temps[peakIndex] - PLATEAU_RANGE)) {
+        plateauEnd++;
+    }
+    if ((plateauEnd - peakIndex) >= MIN_PLATEAU_LENGTH) {
+        facts.push({ type: 'temperature-plateau', temperature: peak, end: hour(plateauEnd) + 3600 });
+    }
+
+    // -------- EVENING DROP
+    if (plateauEnd < temps.length - 1) {
+        let endIndex = temps.length - 1;
+        for (let i=plateauEnd + 1; i<temps.length; ++i) {
+            if (moment.tz(hour(i) * 1000, 'GMT').tz(timezone).hours() === EVENING_HOUR) {
+                endIndex = i;
+            }
+        }
+        let evening = Math.round(temps[endIndex]);
+        if ((peak - evening) >= EVENING_DROP) {
+            facts.push({ type: 'temperature-drop', start: hour(peakIndex), high: peak, end: hour(endIndex), temperature: evening });
+        }
+    }
+
+    // -------- SHARP CHANGES
+    getSharpChanges(temps).forEach(function(change) {
+        facts.push({ type: 'temperature-change', start: hour(change.start), end: hour(change.end), change: change.difference });
+    });
+
+    return facts;
+}
+
+
+/**
+ * Get the text for the temperature facts from getDetailFacts()
+ * @param  {Array} facts      The temperature facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather (OPTIONAL, for the units)
+ * @return {String}           The text to use for hourly temperature information
+ */
+function renderDetail(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+    let degrees = function(temp) {
+        return units.temperatureText(temp, o);
+    };
+
+    facts.forEach(function(fact) {
+        if (fact.type === 'temperature-warming') {
+            let rate = units.temperatureDifference(fact.rate, o);
+            text.push(locales.translate(o, 'temp.detail.warming', {
+                low: degrees(fact.low),
+                lowHour: hour(fact.start),
+                warming: (rate < 1) ?
+                    locales.translate(o, 'temp.detail.warmingSlowly') :
+                    locales.translate(o, 'temp.detail.warmingRate', { count: rate }),
+                high: degrees(fact.high),
+                highHour: hour(fact.end)
+            }));
+
+        } else if (fact.type === 'temperature-plateau') {
+            text.push(locales.translate(o, 'temp.detail.plateau', { temp: degrees(fact.temperature), hour: hour(fact.end) }));
+
+        } else if (fact.type === 'temperature-drop') {
+            let values = {
+                high: degrees(fact.high),
+                highHour: hour(fact.start),
+                temp: degrees(fact.temperature),
+                hour: hour(fact.end)
+            };
+            text.push(locales.translate(o, text.length ? 'temp.detail.coolOff' : 'temp.detail.drop', values));
+
+        } else if (fact.type === 'temperature-change') {
+            let values = { count: units.temperatureDifference(Math.abs(fact.change), o), hour: hour(fact.end) };
+            text.push(locales.translate(o, (fact.change < 0) ? 'temp.detail.sharpDrop' : 'temp.detail.sharpRise', values));
+        }
+    });
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Find any changes in temperature too quick to be the normal daily curve
+ * @param  {Array} temps The hourly temperatures
+ * @return {Array}       The changes: { start: Number, end: Number, difference: Number }
+ */
+function getSharpChanges(temps) {
+    let changes = [];
+
+    for (let i=0; i<temps.length - 1; ++i) {
+        for (let j=i + 1; j<=Math.min(i + SHARP_CHANGE_HOURS, temps.length - 1); ++j) {
+            let difference = temps[j] - temps[i];
+            if (difference <= -SHARP_DROP || difference >= SHARP_RISE) {
+                // keep going as long as it is still changing quickly in the same direction
+                let step = (difference < 0) ? -SHARP_DROP / SHARP_CHANGE_HOURS : SHARP_RISE / SHARP_CHANGE_HOURS;
+                while (j < temps.length - 1 && ((temps[j + 1] - temps[j]) / step) >= 1) {
+                    j++;
+                }
+                changes.push({ start: i, end: j, difference: temps[j] - temps[i] });
+                i = j - 1;
+                break;
+            }
+        }
+    }
+
+    return changes;
 }
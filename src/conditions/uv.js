@@ -0,0 +1,195 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:uv'),
+    debugOut = require('debug')('fuzzy-weather:uv:output'),
+    moment = require('moment-timezone'),
+    locales = require('../locales');
+require('../array-util');
+
+// The (WHO) exposure categories, each is the lowest UV index in that category
+const EXPOSURE = [
+    { index: 11, text: 'extreme' },
+    { index: 8, text: 'veryHigh' },
+    { index: 6, text: 'high' },
+    { index: 3, text: 'moderate' },
+    { index: 0, text: 'low' }
+];
+const UV_EXTREME = 11;
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'uv.headline');
+}
+
+
+/**
+ * Get text for a day with a high UV index
+ * @param  {Object} condition The condition info: topic: { uv, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for UV information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the UV index for the day
+ * @param  {Object} condition The condition info: topic: { uv, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts (the time is a unix timestamp in seconds):
+ *                            { type: 'uv-day', uvIndex, peak } (the peak is null if the provider doesn't have it)
+ */
+function getDailyFacts(condition, data) {
+    debug('getting uv facts for index %d', data.uvIndex);
+
+    return [{
+        type: 'uv-day',
+        uvIndex: data.uvIndex,
+        peak: data.uvIndexTime || null
+    }];
+}
+
+
+/**
+ * Get the text for the UV facts from getDailyFacts()
+ * @param  {Array} facts      The UV facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for UV information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'uv-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let text = [];
+    let values = { index: Math.round(day.uvIndex), exposure: getExposureText(day.uvIndex, o) };
+    if (day.peak) {
+        values.hour = locales.hour(o, moment.tz(day.peak * 1000, 'GMT').tz(timezone));
+        text.push(locales.translate(o, 'uv.dailyAround', values));
+    } else {
+        text.push(locales.translate(o, 'uv.daily', values));
+    }
+
+    if (day.uvIndex >= UV_EXTREME) {
+        text.push(locales.translate(o, 'uv.extreme'));
+    } else if (day.uvIndex >= o.uvBreak) {
+        text.push(locales.translate(o, 'uv.sunscreen'));
+    }
+
+    let output = text.join(' ');
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for the window of time when the UV index is at or above the `uvBreak`
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly UV information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone, dailyData, o), timezone, o);
+}
+
+
+/**
+ * Get the facts about the window of time when the UV index is at or above the `uvBreak`
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather (for the `uvBreak`)
+ * @return {Array}            The facts (all times are unix timestamps in seconds):
+ *                            { type: 'uv-window', start, end, uvIndex, peak } (the highest UV index, at the peak)
+ */
+function getHourlyFacts(data, timezone, dailyData, o) {
+    let start = null;
+    let end = null;
+    let peak = null;
+
+    data.forEach(function determineWindow(hourData, i) {
+        if (typeof(hourData.uvIndex) !== 'number' || hourData.uvIndex < o.uvBreak) { return; }
+
+        if (start === null) {
+            start = i;
+        }
+        end = i;
+        if (!peak || hourData.uvIndex > peak.uvIndex) {
+            peak = { uvIndex: hourData.uvIndex, index: i };
+        }
+    });
+
+    if (start === null) {
+        return [];
+    }
+    debug('strong sun from hour %d to %d, peak:', start, end, peak);
+
+    return [{
+        type: 'uv-window',
+        start: data[start].time,
+        end: data[end].time + 3600,
+        uvIndex: peak.uvIndex,
+        peak: data[peak.index].time
+    }];
+}
+
+
+/**
+ * Get the text for the UV facts from getHourlyFacts()
+ * @param  {Array} facts      The UV facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly UV information
+ */
+function renderHourly(facts, timezone, o) {
+    let window = facts.filter(function(fact) { return fact.type === 'uv-window'; })[0];
+    if (!window) {
+        return '';
+    }
+
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    let output = locales.translate(o, 'uv.window', {
+        start: hour(window.start),
+        end: hour(window.end),
+        index: Math.round(window.uvIndex),
+        hour: hour(window.peak)
+    });
+    debugOut(output);
+    return output;
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function getExposureText(uvIndex, o) {
+    let exposure = 'low';
+    for (let i=0; i<EXPOSURE.length; ++i) {
+        if (uvIndex >= EXPOSURE[i].index) {
+            exposure = EXPOSURE[i].text;
+            break;
+        }
+    }
+    return locales.translate(o, `uv.exposure.${exposure}`);
+}
@@ -0,0 +1,250 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:wind'),
+    debugOut = require('debug')('fuzzy-weather:wind:output'),
+    moment = require('moment-timezone'),
+    units = require('../units'),
+    locales = require('../locales');
+require('../array-util');
+
+const DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+// Gusts need to be at least this much (mph) over the wind speed to be worth mentioning
+const GUST_DIFFERENCE = 5;
+
+module.exports = {
+    headline: getHeadline,
+    dailyText: getDailyText,
+    dailyFacts: getDailyFacts,
+    renderDaily: renderDaily,
+    hourlyText: getHourlyText,
+    hourlyFacts: getHourlyFacts,
+    renderHourly: renderHourly,
+    directionText: getDirectionText
+};
+
+
+function getHeadline(o) {
+    return locales.translate(o, 'wind.headline');
+}
+
+
+/**
+ * Get text for a windy day
+ * @param  {Object} condition The condition info: topic: { wind, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for wind information given the data provided
+ */
+function getDailyText(condition, data, timezone, o) {
+    return renderDaily(getDailyFacts(condition, data, timezone), timezone, o);
+}
+
+
+/**
+ * Get the facts about the wind for the day
+ * @param  {Object} condition The condition info: topic: { wind, probability, level }
+ * @param  {Object} data      The weather data from the API
+ * @return {Array}            The facts (the time is a unix timestamp in seconds, speeds in mph):
+ *                            { type: 'wind-day', speed, bearing, gust, gustTime }
+ *                            (the bearing, gust, and gust time are null if the provider doesn't have them)
+ */
+function getDailyFacts(condition, data) {
+    debug('getting wind facts for speed %d, gusts %d, bearing %d', data.windSpeed, data.windGust, data.windBearing);
+
+    return [{
+        type: 'wind-day',
+        speed: data.windSpeed,
+        bearing: (typeof(data.windBearing) === 'number') ? data.windBearing : null,
+        gust: (typeof(data.windGust) === 'number') ? data.windGust : null,
+        gustTime: data.windGustTime || null
+    }];
+}
+
+
+/**
+ * Get the text for the wind facts from getDailyFacts()
+ * @param  {Array} facts      The wind facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for wind information
+ */
+function renderDaily(facts, timezone, o) {
+    let day = facts.filter(function(fact) { return fact.type === 'wind-day'; })[0];
+    if (!day) {
+        return '';
+    }
+
+    let text = [];
+    let values = {
+        speed: units.speedText(day.speed, o),
+        direction: getOutOfText(day.bearing, o),
+        gusts: ''
+    };
+
+    if (day.gust !== null && day.gust >= (day.speed + GUST_DIFFERENCE)) {
+        let gust = units.speed(day.gust, o);
+        if (day.gustTime) {
+            let hour = locales.hour(o, moment.tz(day.gustTime * 1000, 'GMT').tz(timezone));
+            values.gusts = locales.translate(o, 'wind.gustsAround', { gust: gust, hour: hour });
+        } else {
+            values.gusts = locales.translate(o, 'wind.gusts', { gust: gust });
+        }
+    }
+    text.push(locales.translate(o, 'wind.daily', values));
+
+    let strongest = Math.max(day.speed, day.gust || 0);
+    if (strongest > 50) {
+        text.push(locales.translate(o, 'wind.damaging'));
+    } else if (strongest > 30) {
+        text.push(locales.translate(o, 'wind.blustery'));
+    }
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get text for the windy periods through the day (any hours above the `windBreak`)
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly wind information
+ */
+function getHourlyText(data, timezone, dailyData, o) {
+    return renderHourly(getHourlyFacts(data, timezone, dailyData, o), timezone, o);
+}
+
+
+/**
+ * Get the facts about the windy periods through the day (any hours above the
+ * `windBreak`) and the strongest gust
+ * @param  {Array} data       The hourly weather data from the API
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} dailyData The daily weather data from the API
+ * @param  {Object} o         The options for this instance of fuzzy weather (for the `windBreak`)
+ * @return {Array}            The facts (all times are unix timestamps in seconds, speeds in mph):
+ *                            { type: 'wind-period', start, end, speed, speedTime, bearing }
+ *                            (the strongest wind in the period, and where it is coming from)
+ *                            { type: 'wind-gust', gust, time } (the strongest gust well over the wind speed)
+ */
+function getHourlyFacts(data, timezone, dailyData, o) {
+    let facts = [];
+    let holdPeriod = null;
+    let maxGust = null;
+
+    data.forEach(function determinePeriods(hourData) {
+        if (hourData.windGust >= (hourData.windSpeed + GUST_DIFFERENCE) && (!maxGust || hourData.windGust > maxGust.gust)) {
+            maxGust = {
+                type: 'wind-gust',
+                gust: hourData.windGust,
+                time: hourData.time
+            };
+        }
+
+        if (hourData.windSpeed > o.windBreak) {
+            // it's windy this hour...
+            if (holdPeriod === null) {
+                // we need a new windy period
+                holdPeriod = {
+                    type: 'wind-period',
+                    start: hourData.time,
+                    end: null,
+                    speed: hourData.windSpeed,
+                    speedTime: hourData.time,
+                    bearing: hourData.windBearing
+                };
+            } else if (hourData.windSpeed > holdPeriod.speed) {
+                holdPeriod.speed = hourData.windSpeed;
+                holdPeriod.speedTime = hourData.time;
+                holdPeriod.bearing = hourData.windBearing;
+            }
+            holdPeriod.end = hourData.time + 3600;
+
+        } else if (holdPeriod) {
+            // Not windy this hour, but we have a previous windy period!
+            facts.push(holdPeriod);
+            holdPeriod = null;
+        }
+    });
+
+    if (holdPeriod) {
+        // leftover windy period at the end of the day?
+        facts.push(holdPeriod);
+        holdPeriod = null;
+    }
+
+    if (maxGust) {
+        facts.push(maxGust);
+    }
+
+    debug('wind facts', facts);
+    return facts;
+}
+
+
+/**
+ * Get the text for the wind facts from getHourlyFacts()
+ * @param  {Array} facts      The wind facts
+ * @param  {String} timezone  The timezone for weather data
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @return {String}           The text to use for hourly wind information
+ */
+function renderHourly(facts, timezone, o) {
+    let text = [];
+    let hour = function(time) {
+        return locales.hour(o, moment.tz(time * 1000, 'GMT').tz(timezone));
+    };
+
+    let periods = facts.filter(function(fact) { return fact.type === 'wind-period'; });
+    if (periods.length > 1) {
+        text.push(locales.translate(o, 'wind.multiple'));
+    }
+
+    periods.forEach(function addPeriod(period, i) {
+        text.push(locales.translate(o, (i > 0) ? 'wind.periodAgain' : 'wind.period', {
+            start: hour(period.start),
+            end: hour(period.end),
+            direction: getOutOfText(period.bearing, o),
+            speed: units.speedText(period.speed, o),
+            hour: hour(period.speedTime)
+        }));
+    });
+
+    let maxGust = facts.filter(function(fact) { return fact.type === 'wind-gust'; })[0];
+    if (maxGust && (periods.length || maxGust.gust > o.windBreak)) {
+        text.push(locales.translate(o, 'wind.gustsHourly', { speed: units.speedText(maxGust.gust, o), hour: hour(maxGust.time) }));
+    }
+
+    let output = text.join(' ').replace(/\s+/g, ' ').trim();
+    debugOut(output);
+    return output;
+}
+
+
+/**
+ * Get the compass direction the wind is coming from
+ * @param  {Number} bearing The wind bearing in degrees (where the wind is coming from, 0 is north)
+ * @param  {Object} o       The options for this instance of fuzzy weather (OPTIONAL, defaults to English)
+ * @return {String}         The direction, for example "northwest" (or null if there is no bearing)
+ */
+function getDirectionText(bearing, o) {
+    if (typeof(bearing) !== 'number' || isNaN(bearing)) {
+        return null;
+    }
+    let index = Math.round((((bearing % 360) + 360) % 360) / 45) % DIRECTIONS.length;
+    return locales.translate(o, `wind.direction.${DIRECTIONS[index]}`);
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function getOutOfText(bearing, o) {
+    let direction = getDirectionText(bearing, o);
+    return direction ? locales.translate(o, 'wind.outOf', { direction: direction }) : '';
+}
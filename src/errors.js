@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Every error the library rejects with will be one of the classes below. Each
+ * one has a stable `code` (see CODES) so that consumers can decide what to do
+ * (or say) without matching on the message text, and some have extra metadata
+ * about the failure.
+ */
+const CODES = {
+    // ConfigError
+    INVALID_PROVIDER: 'INVALID_PROVIDER',
+    MISSING_API_KEY: 'MISSING_API_KEY',
+    INVALID_LOCATION: 'INVALID_LOCATION',
+    INVALID_CACHE_STORE: 'INVALID_CACHE_STORE',
+    INVALID_CONDITION: 'INVALID_CONDITION',
+    INVALID_UNITS: 'INVALID_UNITS',
+    INVALID_LOCALE: 'INVALID_LOCALE',
+    INVALID_OUTPUT: 'INVALID_OUTPUT',
+    // DateRangeError
+    INVALID_DATE: 'INVALID_DATE',
+    DATE_IN_PAST: 'DATE_IN_PAST',
+    DATE_TOO_FAR: 'DATE_TOO_FAR',
+    INVALID_RANGE: 'INVALID_RANGE',
+    // ProviderError
+    REQUEST_FAILED: 'REQUEST_FAILED',
+    BAD_STATUS: 'BAD_STATUS',
+    LOCATION_NOT_SUPPORTED: 'LOCATION_NOT_SUPPORTED',
+    // ParseError
+    INVALID_RESPONSE: 'INVALID_RESPONSE',
+    INVALID_DATA: 'INVALID_DATA'
+};
+
+
+class FuzzyWeatherError extends Error {
+    /**
+     * @param  {String} message The human readable error message
+     * @param  {String} code    One of the CODES above
+     * @param  {Object} details Any extra metadata to add to the error (OPTIONAL)
+     */
+    constructor(message, code, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * The options used to set up the library (or a custom condition) can't be used.
+ * Extra metadata: `option` (the name of the bad option), or for custom conditions
+ *                 `topic` and `methods` (any that are missing or invalid)
+ */
+class ConfigError extends FuzzyWeatherError {}
+
+/**
+ * The requested date is invalid or not within the range we can forecast.
+ * Extra metadata: `requestedDate` (Date, the raw value if invalid, or { start, end } for ranges),
+ *                 `allowedRange` ({ start: Date, end: Date })
+ */
+class DateRangeError extends FuzzyWeatherError {}
+
+/**
+ * We could not get data from the weather provider.
+ * Extra metadata: `provider` (name), `statusCode` (if there was a response),
+ *                 `attempts` (the retry history), `cause` (the original error, if any)
+ */
+class ProviderError extends FuzzyWeatherError {}
+
+/**
+ * The weather provider gave us data we could not read.
+ * Extra metadata: `provider` (name), `cause` (the original error, if any)
+ */
+class ParseError extends FuzzyWeatherError {}
+
+
+module.exports = {
+    CODES: CODES,
+    FuzzyWeatherError: FuzzyWeatherError,
+    ConfigError: ConfigError,
+    DateRangeError: DateRangeError,
+    ProviderError: ProviderError,
+    ParseError: ParseError
+};
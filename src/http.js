@@ -0,0 +1,149 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:http'),
+    request = require('request'),
+    errors = require('./errors');
+
+const DEFAULTS = {
+    timeout: 10000,     // ms to wait for a response
+    retries: 2,         // number of times to retry after the first attempt
+    backoff: 500,       // ms to wait before the first retry, doubled for each one after that
+    maxBackoff: 10000,  // the longest we will ever wait between attempts (including for Retry-After)
+    jitter: true        // randomize the wait time a bit so that clients don't all retry at once
+};
+
+module.exports = {
+    getJSON: getJSON
+};
+
+
+/**
+ * Make a GET request to a weather API and parse the JSON response body.
+ * Network errors (including timeouts), 429 responses, and 5xx responses are
+ * retried with exponential backoff. If the final attempt fails, the
+ * {ProviderError} (or {ParseError}) will have an `attempts` property with the
+ * history of each try:
+ *   [ { attempt: Number, statusCode: Number|null, error: String, delay: Number|null } ]
+ *
+ * @param  {Object} options     Options for the request: { url: String, qs: Object, headers: Object }
+ * @param  {Object} httpOptions Timeout and retry options (OPTIONAL, see DEFAULTS above)
+ * @return {Promise}            Will resolve with the parsed response body, or reject with a {ProviderError} or {ParseError}
+ */
+function getJSON(options, httpOptions) {
+    let settings = Object.assign({}, DEFAULTS, httpOptions);
+    let attempts = [];
+
+    return attempt(1);
+
+    function attempt(num) {
+        return makeRequest(options, settings)
+            .catch(function(err) {
+                let history = {
+                    attempt: num,
+                    statusCode: err.statusCode || null,
+                    error: err.message,
+                    delay: null
+                };
+                attempts.push(history);
+
+                if (!err.retryable || num > settings.retries) {
+                    delete err.retryable;
+                    delete err.retryAfter;
+                    err.attempts = attempts;
+                    throw err;
+                }
+
+                history.delay = getDelay(num, err.retryAfter, settings);
+                debug('Attempt %d for %s failed, retrying in %dms:', num, options.url, history.delay, err.message);
+
+                return wait(history.delay).then(function() {
+                    return attempt(num + 1);
+                });
+            });
+    }
+}
+
+function makeRequest(options, settings) {
+    return new Promise(function (resolve, reject) {
+        debug('Requesting %s', options.url, options.qs || '');
+
+        request({
+            url: options.url,
+            qs: options.qs,
+            headers: options.headers,
+            timeout: settings.timeout
+        }, function(err, res, body) {
+            if (err) {
+                debug('Error from API call', err);
+                let requestErr = new errors.ProviderError(
+                    `There was a problem getting weather data: ${(err && err.message) || err}`,
+                    errors.CODES.REQUEST_FAILED,
+                    { cause: err }
+                );
+                requestErr.retryable = true;
+                return reject(requestErr);
+            } else if (res.statusCode > 299) {
+                debug('Non-200 status code from weather API:', res.statusCode, body);
+                let statusErr = new errors.ProviderError(
+                    `There was a problem getting weather data: received non-200 status code (${res.statusCode})`,
+                    errors.CODES.BAD_STATUS,
+                    { statusCode: res.statusCode }
+                );
+                statusErr.retryable = (res.statusCode === 429 || res.statusCode > 499);
+                if (res.statusCode === 429 || res.statusCode === 503) {
+                    statusErr.retryAfter = getRetryAfter(res.headers['retry-after']);
+                }
+                return reject(statusErr);
+            }
+
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch(e) {
+                debug('Invalid JSON data from weather API:', body);
+                return reject(new errors.ParseError('The API did not return valid data.', errors.CODES.INVALID_RESPONSE, { cause: e }));
+            }
+
+            resolve(data);
+        });
+    });
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function getDelay(num, retryAfter, settings) {
+    if (typeof(retryAfter) === 'number') {
+        return Math.min(retryAfter, settings.maxBackoff);
+    }
+
+    let delay = Math.min(settings.backoff * Math.pow(2, num - 1), settings.maxBackoff);
+    if (settings.jitter) {
+        // keep at least half of the delay, randomize the rest
+        delay = (delay / 2) + (Math.random() * (delay / 2));
+    }
+    return Math.round(delay);
+}
+
+/**
+ * The Retry-After header can either be a number of seconds or an HTTP date
+ *
+ * @param  {String} header The value of the Retry-After header
+ * @return {Number|null}   The number of ms to wait (or null if there is no usable header)
+ */
+function getRetryAfter(header) {
+    if (!header) { return null; }
+
+    if (/^\d+$/.test(header.trim())) {
+        return Number(header) * 1000;
+    }
+
+    let date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
@@ -0,0 +1,397 @@
+'use strict';
+
+/**
+ * English (the default locale, and the fallback for any messages another
+ * locale is missing). See ./index.js for the catalog structure.
+ */
+module.exports = {
+    moment: 'en',
+    number: 'en-US',
+    formats: {
+        hour: 'ha',
+        spacedHour: 'h a',
+        time: 'h:mma',
+        sayAsTime: 'hms12'
+    },
+    plural: function(count) {
+        return (count === 1) ? 'one' : 'other';
+    },
+    numberWords: ['no', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'],
+
+    messages: {
+        // -------- SHARED
+        'day.today': 'today',
+        'day.tomorrow': 'tomorrow',
+        'day.weekday': '{weekday}',
+        'list.and': ' and ',
+        'list.separator': ', ',
+        'list.lastAnd': ', and ',
+        'precip.rain': 'rain',
+        'precip.snow': 'snow',
+        'precip.sleet': 'sleet',
+        'precip.none': 'no {type}',
+        'precip.drizzling': 'drizzling {type}',
+        'precip.veryLight': 'very light {type}',
+        'precip.light': 'light {type}',
+        'precip.moderate': 'moderate {type}',
+        'precip.heavy': 'heavy {type}',
+        'precip.extremelyHeavy': 'extremely heavy {type}',
+
+        // -------- DAILY SUMMARY AND CURRENT CONDITIONS
+        'daily.quiet': '{day} will be pretty quiet weather wise,',
+        'daily.quietRestOfToday': 'The rest of today will be pretty quiet weather wise,',
+        'current.precip': 'There is {precip} right now',
+        'current.temp': `and it's currently {temp} degrees`,
+        'current.tempFeelsLike': `and it's currently {temp} degrees, but it feels like {feelsLike}`,
+        'current.humidity': `It'll feel sticky as well with {percent} percent humidity.`,
+        'current.wind': 'And the wind is up around {speed}{direction}.',
+        'alert.single': 'There is a weather alert:',
+        'alert.multiple': 'There are multiple weather alerts:',
+        'alert.until': 'until {hour}',
+
+        // -------- RANGE OVERVIEW
+        'overview.week': 'Looking at the week ahead,',
+        'overview.through': 'Looking ahead through {day},',
+        'overview.quietStretch': 'it looks like a quiet stretch weather wise.',
+        'overview.expect': 'expect {topic} {when}.',
+        'overview.everyDay': 'every day',
+        'overview.quietDays': '{days} should be quiet weather wise.',
+        'overview.temps': 'The warmest day will be {warmest} with a high of {warmestHigh} degrees, ' +
+            'and the coolest will be {coolest} with a high of {coolestHigh}.',
+        'overview.storm': 'thunderstorms',
+        'overview.rain': 'rain',
+        'overview.snow': 'snow',
+        'overview.heat': 'unusually hot weather',
+        'overview.heat-humid': 'hot and humid weather',
+        'overview.humidity': 'muggy air',
+        'overview.cold': 'unusually cold weather',
+        'overview.cold-wind': 'cold and windy weather',
+        'overview.fog': 'fog',
+        'overview.ice': 'icy roads',
+        'overview.clouds': 'mostly cloudy skies',
+        'overview.uv': 'strong sun',
+        'overview.wind': 'windy conditions',
+
+        // -------- RAIN
+        'rain.headline': [
+            `Don't forget your umbrella {day}!`,
+            `Remember the umbrella {day}.`,
+            `Prepare for some wet weather {day}.`,
+            `It's going to be wet {day}.`,
+            `You'll need the umbrella {day}.`
+        ],
+        'rain.daily': 'You should expect {intensity} peaking at around {hour}. There is a {percent} percent chance overall.',
+        'rain.increasing': 'There is an increasing rain chance through {day}.',
+        'rain.decreasing': 'Rain chances decrease through {day}.',
+        'rain.steady': 'Chances for rain are pretty steady from about {start} through {end}.',
+        'rain.multiple': 'It looks like there will be multiple rain chances {day}.',
+        'rain.first': 'Chances are good for rain starting about {start} with a {startPercent} percent chance.',
+        'rain.firstRising': 'Chances are good for rain starting about {start} with a {startPercent} percent chance ' +
+            'rising to {peakPercent} percent at {peak}.',
+        'rain.another': `There's another chance beginning about {start} peaking at {peak} with a {peakPercent} percent chance.`,
+        'rain.heaviest': 'The heaviest bit should be around {hour}.',
+
+        // -------- THUNDERSTORMS
+        'storm.headline': [
+            `Keep an eye on the sky {day}, thunderstorms are possible.`,
+            `Watch out for thunderstorms {day}.`,
+            `It could get stormy {day}.`,
+            `Listen for thunder {day}.`
+        ],
+        'storm.daily': 'Thunderstorms are possible.',
+        'storm.dailyAround': 'Thunderstorms are possible, most likely around {hour}.',
+        'storm.unstable': 'The atmosphere will be very unstable, so some storms could be strong.',
+        'storm.window': 'Thunderstorms are most likely from about {start} until {end}',
+        'storm.windowAgain': 'and again from about {start} until {end}',
+        'storm.strongest': 'The strongest storms should be around {hour}.',
+
+        // -------- SNOW
+        'snow.headline': [
+            `Get the shovel ready {day}!`,
+            `Bundle up, there's snow in the forecast {day}.`,
+            `It's going to be a snowy one {day}.`,
+            `Watch out for snow {day}.`,
+            `You might want to dig out the boots {day}.`
+        ],
+        'snow.intensity.none': 'no snow',
+        'snow.intensity.flurries': 'snow flurries',
+        'snow.intensity.light': 'light snow',
+        'snow.intensity.moderate': 'moderate snow',
+        'snow.intensity.heavy': 'heavy snow',
+        'snow.intensity.veryHeavy': 'very heavy snow',
+        'snow.daily': 'You should expect {intensity} peaking at around {hour}.',
+        'snow.chance': 'There is a {percent} percent chance overall.',
+        'snow.chanceAccumulation': 'There is a {percent} percent chance overall with {accumulation} possible.',
+        'snow.visibilityLow': 'Visibility could drop below {distance} at times, so be careful on the roads.',
+        'snow.visibilityMiles': 'a mile',
+        'snow.visibilityKilometres': 'a kilometre and a half',
+        'snow.visibilityReduced': 'Visibility may be reduced in the heavier snow.',
+        'snow.multiple': 'It looks like there will be multiple rounds of snow {day}.',
+        'snow.first': 'Snow looks likely starting about {start} and lasting until about {end}.',
+        'snow.firstAccumulation': 'Snow looks likely starting about {start} and lasting until about {end}, with {accumulation} possible.',
+        'snow.another': 'More snow could start around {start} and last until about {end}.',
+        'snow.anotherAccumulation': 'More snow could start around {start} and last until about {end}, with {accumulation} possible.',
+        'snow.heaviest': 'The heaviest snow should be around {hour}.',
+        'snow.heaviestRate': 'The heaviest snow should be around {hour}, with up to {rate} an hour.',
+        'snow.rate': { one: '{count} inch', other: '{count} inches' },
+        'snow.rateMetric': { one: '{count} centimetre', other: '{count} centimetres' },
+        'snow.accumulation.lessThanOne': 'less than an inch of accumulation',
+        'snow.accumulation.aboutOne': 'about an inch of accumulation',
+        'snow.accumulation.about': 'about {count} inches of accumulation',
+        'snow.accumulation.range': '{low} to {high} inches of accumulation',
+        'snow.accumulation.lessThanOneMetric': 'less than a centimetre of accumulation',
+        'snow.accumulation.aboutOneMetric': 'about a centimetre of accumulation',
+        'snow.accumulation.aboutMetric': 'about {count} centimetres of accumulation',
+        'snow.accumulation.rangeMetric': '{low} to {high} centimetres of accumulation',
+
+        // -------- ICE
+        'ice.headline': [
+            `Watch out for icy roads {day}.`,
+            `It could get slippery out there {day}, there's ice in the forecast.`,
+            `Be careful on the roads {day}, ice is possible.`,
+            `Take it slow {day}, things could get icy.`
+        ],
+        'ice.precip.sleet': 'sleet and freezing rain',
+        'ice.precip.rain': 'freezing rain',
+        'ice.daily': '{precip} is possible, with a {percent} percent chance overall.',
+        'ice.dailyAround': '{precip} is possible, most likely around {hour}, with a {percent} percent chance overall.',
+        'ice.roads': 'Expect icy roads and sidewalks, so take it slow.',
+        'ice.outages': 'Ice could build up on trees and power lines too, so be ready for outages.',
+        'ice.window': 'Expect {precip} from about {start} until {end}',
+        'ice.windowAgain': 'and again from about {start} until {end}',
+        'ice.damaging': 'a quarter inch',
+        'ice.damagingMetric': { one: '{count} millimetre', other: '{count} millimetres' },
+        'ice.buildUpDamaging': '{amount} or more of ice could build up, which can bring down trees and power lines.',
+        'ice.buildUp': 'Up to {amount} of ice could build up, making the roads very slippery.',
+        'ice.glaze': 'Even a light glaze of ice will make the roads and sidewalks slippery.',
+
+        // -------- FOG
+        'fog.headline': [
+            `Watch out for fog {day}.`,
+            `It's going to be a foggy one {day}.`,
+            `Take it slow on the roads {day}, there will be fog.`,
+            `Expect some fog {day}.`
+        ],
+        'fog.daily': 'Fog could make for slow travel at times.',
+        'fog.dailyVisibility': 'Fog could make for slow travel, with visibility down to {distance}.',
+        'fog.allDay': 'Fog will hang around all {day}',
+        'fog.burnOff': 'Fog should burn off by about {end}',
+        'fog.form': 'Fog should form around {start}',
+        'fog.window': 'Fog should form around {start} and burn off by about {end}',
+        'fog.commute': ', so take it slow on the morning commute',
+        'fog.dense': 'It could be dense, with visibility under {distance} around {hour}.',
+        'fog.denseMiles': 'a quarter mile',
+        'fog.denseKilometres': '400 metres',
+        'fog.distance.lessThanQuarter': 'less than a quarter mile',
+        'fog.distance.aboutHalf': 'about half a mile',
+        'fog.distance.aboutOne': 'about a mile',
+        'fog.distance.about': 'about {count} miles',
+        'fog.distance.lessThanQuarterMetric': 'less than 400 metres',
+        'fog.distance.aboutHalfMetric': 'about half a kilometre',
+        'fog.distance.aboutOneMetric': 'about a kilometre',
+        'fog.distance.aboutMetric': 'about {count} kilometres',
+
+        // -------- HEAT
+        'heat.headline': [
+            `It's going to be a hot one {day}.`,
+            `Get ready for some heat {day}.`,
+            `Stay cool {day}, it's going to be a scorcher.`,
+            `It'll be unusually hot {day}.`
+        ],
+        'heat.high': 'Expect a high of {temp} degrees.',
+        'heat.highAbove': 'Expect a high of {temp} degrees, which is {above} normal for this time of year.',
+        'heat.above.bit': 'a bit above',
+        'heat.above.degrees': '{count} degrees above',
+        'heat.above.whopping': 'a whopping {count} degrees above',
+        'heat.feelsLike': 'It will feel more like {temp}.',
+        'heat.feelsLikeAround': 'It will feel more like {temp} around {hour}.',
+        'heat.dangerous': 'Heat like that is dangerous, so stay hydrated and take it easy outside.',
+        'heat.caution': 'Make sure to drink plenty of water if you are out in it.',
+        'heat.window': 'It will feel like {temp} degrees or more from about {start} until {end}, peaking at {max} around {hour}.',
+        'heat.windowDangerous': 'That is dangerous heat, so limit your time outside.',
+
+        // -------- HEAT AND HUMIDITY
+        'heat-humid.headline': [
+            `It's going to be hot and sticky {day}.`,
+            `Get ready for a steamy one {day}.`,
+            `It'll be a hot and humid day {day}.`,
+            `Stay cool {day}, it's going to be muggy and hot.`
+        ],
+        'heat-humid.sticky': 'The air will be sticky too, with dew points around {dewPoint} and {percent} percent humidity.',
+        'heat-humid.stickyDewPoint': 'The air will be sticky too, with dew points around {dewPoint}.',
+        'heat-humid.stickyHumidity': 'The air will be sticky too, with {percent} percent humidity.',
+
+        // -------- HUMIDITY
+        'humidity.headline': [
+            `It's going to be muggy {day}.`,
+            `Get ready for some sticky air {day}.`,
+            `It'll be a humid one {day}.`,
+            `The air will be thick {day}.`
+        ],
+        'humidity.band.dry': 'dry',
+        'humidity.band.comfortable': 'comfortable',
+        'humidity.band.sticky': 'sticky',
+        'humidity.band.oppressive': 'oppressive',
+        'humidity.daily': 'The air will feel {band} {day}, with dew points around {dewPoint} and {percent} percent humidity.',
+        'humidity.allDay': 'It will be {band} all {day}.',
+        'humidity.until': 'It will be sticky until about {end}.',
+        'humidity.after': `It'll get sticky after {start}.`,
+        'humidity.window': `It'll get sticky after {start} until about {end}.`,
+        'humidity.oppressive': 'The air will be oppressive around {hour}, with dew points near {dewPoint}.',
+
+        // -------- COLD
+        'cold.headline': [
+            `It's going to be a cold one {day}.`,
+            `Bundle up {day}!`,
+            `Don't forget your coat {day}.`,
+            `It'll be unusually chilly {day}.`
+        ],
+        'cold.low': 'Expect a low of {temp} degrees.',
+        'cold.lowBelow': 'Expect a low of {temp} degrees, which is {below} normal for this time of year.',
+        'cold.below.bit': 'a bit below',
+        'cold.below.degrees': '{count} degrees below',
+        'cold.below.frigid': 'a frigid {count} degrees below',
+        'cold.feelsLike': 'With the wind chill it will feel more like {temp}.',
+        'cold.feelsLikeAround': 'With the wind chill it will feel more like {temp} around {hour}.',
+        'cold.frostbite': 'Frostbite can happen in 30 minutes or less at that temperature, so cover any exposed skin.',
+        'cold.dangerous': 'That is dangerously cold, so limit your time outside.',
+        'cold.coldest': 'The coldest it will feel is {temp} degrees around {hour}.',
+        'cold.coldestWindChill': 'The coldest it will feel is {temp} degrees around {hour} with the wind chill.',
+        'cold.coldestWindow': 'The coldest it will feel is {temp} degrees from about {start} until {end}.',
+        'cold.coldestWindowWindChill': 'The coldest it will feel is {temp} degrees from about {start} until {end} with the wind chill.',
+        'cold.commute': 'During the morning commute it will feel like {temp} degrees at {hour}.',
+
+        // -------- COLD AND WIND
+        'cold-wind.headline': [
+            `It's going to be cold and windy {day}.`,
+            `Bundle up {day}, there's a biting wind.`,
+            `Hold on to your hat {day}, it'll be cold and blustery.`,
+            `Expect a raw, windy day {day}.`
+        ],
+        'cold-wind.wind': 'Winds around {speed} will make it feel even colder.',
+        'cold-wind.windGusts': 'Winds around {speed}, gusting to {gust}, will make it feel even colder.',
+
+        // -------- WIND
+        'wind.headline': [
+            `Hold on to your hat {day}!`,
+            `It's going to be a windy one {day}.`,
+            `Expect a blustery day {day}.`,
+            `The wind will be up {day}.`
+        ],
+        'wind.direction.north': 'north',
+        'wind.direction.northeast': 'northeast',
+        'wind.direction.east': 'east',
+        'wind.direction.southeast': 'southeast',
+        'wind.direction.south': 'south',
+        'wind.direction.southwest': 'southwest',
+        'wind.direction.west': 'west',
+        'wind.direction.northwest': 'northwest',
+        'wind.outOf': ' out of the {direction}',
+        'wind.daily': 'Expect winds around {speed}{direction}{gusts}.',
+        'wind.gusts': ', with gusts up to {gust}',
+        'wind.gustsAround': ', with gusts up to {gust} around {hour}',
+        'wind.damaging': 'Damaging winds are possible, so secure anything loose outside.',
+        'wind.blustery': 'It will be pretty blustery, so hold on to your hat.',
+        'wind.multiple': 'It looks like there will be multiple windy periods {day}.',
+        'wind.period': 'It will be windiest from about {start} until {end}, with winds{direction} peaking around {speed} at {hour}.',
+        'wind.periodAgain': 'It will be windy again from about {start} until {end}, with winds{direction} peaking around {speed} at ' +
+            '{hour}.',
+        'wind.gustsHourly': 'Gusts could reach {speed} around {hour}.',
+
+        // -------- CLOUDS
+        'clouds.headline': [
+            `It's going to be a gray one {day}.`,
+            `Don't expect much sun {day}.`,
+            `Clouds will rule the sky {day}.`,
+            `It'll be a cloudy day {day}.`
+        ],
+        'clouds.sky.sunny': 'sunny',
+        'clouds.sky.clear': 'clear',
+        'clouds.sky.mostlySunny': 'mostly sunny',
+        'clouds.sky.mostlyClear': 'mostly clear',
+        'clouds.sky.partlyCloudy': 'partly cloudy',
+        'clouds.sky.mostlyCloudy': 'mostly cloudy',
+        'clouds.sky.overcast': 'overcast',
+        'clouds.daily': 'Expect {sky} skies, with about {percent} percent cloud cover.',
+        'clouds.current': `It's {sky} right now`,
+        'clouds.stay': 'Skies will stay {category} through {day}.',
+        'clouds.change': 'Skies will be {category} to start, with {transitions}.',
+        'clouds.transitionBy': '{transition} by {time}',
+        'clouds.transition.clearing': 'clouds clearing out',
+        'clouds.transition.movingIn': 'clouds moving in',
+        'clouds.transition.breaks': 'some breaks in the clouds',
+        'clouds.transition.fewClouds': 'a few clouds',
+        'clouds.time.overnight': 'the overnight hours',
+        'clouds.time.earlyMorning': 'early morning',
+        'clouds.time.midMorning': 'mid-morning',
+        'clouds.time.lateMorning': 'late morning',
+        'clouds.time.midday': 'midday',
+        'clouds.time.midAfternoon': 'mid-afternoon',
+        'clouds.time.lateAfternoon': 'late afternoon',
+        'clouds.time.earlyEvening': 'early evening',
+        'clouds.time.lateEvening': 'late evening',
+
+        // -------- UV
+        'uv.headline': [
+            `The sun will be strong {day}.`,
+            `Grab the sunscreen {day}.`,
+            `Watch out for sunburn {day}.`,
+            `It's a good day for a hat and sunglasses {day}.`
+        ],
+        'uv.exposure.extreme': 'extreme',
+        'uv.exposure.veryHigh': 'very high',
+        'uv.exposure.high': 'high',
+        'uv.exposure.moderate': 'moderate',
+        'uv.exposure.low': 'low',
+        'uv.daily': 'The UV index will peak at {index}, which is {exposure}.',
+        'uv.dailyAround': 'The UV index will peak at {index}, which is {exposure}, around {hour}.',
+        'uv.extreme': 'Unprotected skin can burn in minutes, so cover up and find some shade in the middle of the day.',
+        'uv.sunscreen': `Don't forget the sunscreen if you'll be outside.`,
+        'uv.window': 'The sun will be strongest from about {start} until {end}, with the UV index peaking at {index} around {hour}.',
+
+        // -------- TEMPERATURE
+        'temp.climbing': 'Temperatures {day} it will be climbing through the evening, peaking at about {temp} degrees around {hour}.',
+        'temp.headingDown': 'Temperatures will be heading down through {day} getting down to about {temp} degrees by {hour}.',
+        'temp.high': `You'll see a high of {temp} degrees {day} around {hour}.`,
+        'temp.endOfWorkDay': `It'll be about {temp} at the end of the work day`,
+        'temp.andLater': 'and {temp} by {hour}.',
+        'temp.finish': `It'll be {temp} around {hour} to finish out your day.`,
+        'temp.simpleHeadingDown': 'Temperatures will be heading down {day}. The high of {high} degrees will be at {highHour} ' +
+            'and temps will get down to {low} at {lowHour}.',
+        'temp.simpleIncreasing': 'Temperatures will increase throughout the day {day}. The low will be {low} degrees at {lowHour} ' +
+            'and rise to {high} at {highHour}.',
+        'temp.simple': 'The low {day} will be {low} degrees at around {lowHour}. You should expect a high of {high} degrees ' +
+            'around {highHour}.',
+        'temp.detail.warming': `It'll be about {low} degrees around {lowHour}, {warming} to a high of {high} around {highHour}.`,
+        'temp.detail.warmingSlowly': 'then slowly warm up',
+        'temp.detail.warmingRate': {
+            one: 'then warm up about {count} degree an hour',
+            other: 'then warm up about {count} degrees an hour'
+        },
+        'temp.detail.plateau': 'Temperatures will hold near {temp} until about {hour}.',
+        'temp.detail.coolOff': 'After that it will cool off to about {temp} by {hour}.',
+        'temp.detail.drop': 'Temperatures will drop from about {high} degrees at {highHour} to {temp} by {hour}.',
+        'temp.detail.sharpDrop': 'Watch for a sharp drop of about {count} degrees around {hour} as a cold front moves through.',
+        'temp.detail.sharpRise': 'Temperatures could jump about {count} degrees around {hour} as warmer air moves in.',
+
+        // -------- ASTRONOMY
+        'astronomy.sun': 'The sun rises at {sunrise} and sets at {sunset}.',
+        'astronomy.sunSame': 'The sun rises at {sunrise} and sets at {sunset}, about the same time as yesterday.',
+        'astronomy.sunEarlier': 'The sun rises at {sunrise} and sets at {sunset}, about {minutes} earlier than yesterday.',
+        'astronomy.sunLater': 'The sun rises at {sunrise} and sets at {sunset}, about {minutes} later than yesterday.',
+        'astronomy.minutes': { one: 'a minute', other: '{word} minutes' },
+        'astronomy.moon': 'The moon will be {phase}.',
+        'astronomy.phase.new': 'a new moon',
+        'astronomy.phase.waxingCrescent': 'a waxing crescent',
+        'astronomy.phase.firstQuarter': 'a first quarter moon',
+        'astronomy.phase.waxingGibbous': 'a waxing gibbous',
+        'astronomy.phase.full': 'a full moon',
+        'astronomy.phase.waningGibbous': 'a waning gibbous',
+        'astronomy.phase.lastQuarter': 'a last quarter moon',
+        'astronomy.phase.waningCrescent': 'a waning crescent',
+
+        // -------- UNITS
+        'units.milesPerHour': { one: '{count} mile per hour', other: '{count} miles per hour' },
+        'units.kilometresPerHour': { one: '{count} kilometre per hour', other: '{count} kilometres per hour' }
+    }
+};
@@ -0,0 +1,415 @@
+'use strict';
+
+/**
+ * Spanish. See ./index.js for the catalog structure (and ./en.js for every
+ * message id, any missing here fall back to English).
+ */
+module.exports = {
+    moment: 'es',
+    number: 'es-ES',
+    formats: {
+        hour: 'H:[00]',
+        spacedHour: 'H:[00]',
+        time: 'H:mm',
+        sayAsTime: 'hms24'
+    },
+    plural: function(count) {
+        return (count === 1) ? 'one' : 'other';
+    },
+    // "a la 1:00", but "a las 3:00" (so the messages don't have an article before the hours)
+    article: function(hour) {
+        return (hour === 1) ? 'la' : 'las';
+    },
+    numberWords: ['ningún', 'un', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve'],
+
+    messages: {
+        // -------- SHARED
+        'day.today': 'hoy',
+        'day.tomorrow': 'mañana',
+        'day.weekday': 'el {weekday}',
+        'list.and': ' y ',
+        'list.separator': ', ',
+        'list.lastAnd': ' y ',
+        'precip.rain': 'lluvia',
+        'precip.snow': 'nieve',
+        'precip.sleet': 'aguanieve',
+        'precip.none': 'nada de {type}',
+        'precip.drizzling': '{type} muy débil',
+        'precip.veryLight': '{type} muy ligera',
+        'precip.light': '{type} ligera',
+        'precip.moderate': '{type} moderada',
+        'precip.heavy': '{type} fuerte',
+        'precip.extremelyHeavy': '{type} extremadamente fuerte',
+
+        // -------- DAILY SUMMARY AND CURRENT CONDITIONS
+        'daily.quiet': '{day} el tiempo estará bastante tranquilo,',
+        'daily.quietRestOfToday': 'El resto del día el tiempo estará bastante tranquilo,',
+        'current.precip': 'Ahora mismo hay {precip}',
+        'current.temp': 'y la temperatura actual es de {temp} grados',
+        'current.tempFeelsLike': 'y la temperatura actual es de {temp} grados, pero la sensación térmica es de {feelsLike}',
+        'current.humidity': 'También se sentirá pegajoso, con un {percent} por ciento de humedad.',
+        'current.wind': 'Y el viento sopla a {speed}{direction}.',
+        'alert.single': 'Hay un aviso meteorológico:',
+        'alert.multiple': 'Hay varios avisos meteorológicos:',
+        'alert.until': 'hasta {hour}',
+
+        // -------- RANGE OVERVIEW
+        'overview.week': 'Para la próxima semana,',
+        'overview.through': 'De aquí hasta {day},',
+        'overview.quietStretch': 'parece que será un período tranquilo.',
+        'overview.expect': 'habrá {topic} {when}.',
+        'overview.everyDay': 'todos los días',
+        'overview.quietDays': '{days} el tiempo debería estar tranquilo.',
+        'overview.temps': 'El día más cálido será {warmest} con una máxima de {warmestHigh} grados, ' +
+            'y el más fresco será {coolest} con una máxima de {coolestHigh}.',
+        'overview.storm': 'tormentas',
+        'overview.rain': 'lluvia',
+        'overview.snow': 'nieve',
+        'overview.heat': 'un calor inusual',
+        'overview.heat-humid': 'calor y humedad',
+        'overview.humidity': 'un aire bochornoso',
+        'overview.cold': 'un frío inusual',
+        'overview.cold-wind': 'frío y viento',
+        'overview.fog': 'niebla',
+        'overview.ice': 'carreteras heladas',
+        'overview.clouds': 'cielos mayormente nublados',
+        'overview.uv': 'un sol fuerte',
+        'overview.wind': 'viento',
+
+        // -------- RAIN
+        'rain.headline': [
+            '¡No olvides el paraguas {day}!',
+            'Acuérdate del paraguas {day}.',
+            'Prepárate para un tiempo lluvioso {day}.',
+            'Va a llover {day}.',
+            'Vas a necesitar el paraguas {day}.'
+        ],
+        'rain.daily': 'Se espera {intensity}, con el máximo alrededor de {hour}. Hay un {percent} por ciento de probabilidad en total.',
+        'rain.increasing': 'La probabilidad de lluvia aumentará a lo largo del día {day}.',
+        'rain.decreasing': 'La probabilidad de lluvia disminuirá a lo largo del día {day}.',
+        'rain.steady': 'La probabilidad de lluvia se mantendrá bastante estable desde {start} hasta {end}.',
+        'rain.multiple': 'Parece que habrá varias oportunidades de lluvia {day}.',
+        'rain.first': 'Es probable que llueva a partir de {start}, con un {startPercent} por ciento de probabilidad.',
+        'rain.firstRising': 'Es probable que llueva a partir de {start}, con un {startPercent} por ciento de probabilidad ' +
+            'que subirá al {peakPercent} por ciento a {peak}.',
+        'rain.another': 'Hay otra oportunidad a partir de {start}, con el máximo a {peak} y un {peakPercent} por ciento de ' +
+            'probabilidad.',
+        'rain.heaviest': 'La lluvia más fuerte debería ser alrededor de {hour}.',
+
+        // -------- THUNDERSTORMS
+        'storm.headline': [
+            'Atento al cielo {day}, es posible que haya tormentas.',
+            'Cuidado con las tormentas {day}.',
+            'Puede haber tormentas {day}.',
+            'Es posible que se oigan truenos {day}.'
+        ],
+        'storm.daily': 'Es posible que haya tormentas.',
+        'storm.dailyAround': 'Es posible que haya tormentas, sobre todo alrededor de {hour}.',
+        'storm.unstable': 'La atmósfera estará muy inestable, así que algunas tormentas podrían ser fuertes.',
+        'storm.window': 'Las tormentas son más probables desde {start} hasta {end}',
+        'storm.windowAgain': 'y de nuevo desde {start} hasta {end}',
+        'storm.strongest': 'Las tormentas más fuertes deberían ser alrededor de {hour}.',
+
+        // -------- SNOW
+        'snow.headline': [
+            '¡Prepara la pala {day}!',
+            'Abrígate, hay nieve en el pronóstico {day}.',
+            'Va a ser un día de nieve {day}.',
+            'Cuidado con la nieve {day}.',
+            'Quizás quieras sacar las botas {day}.'
+        ],
+        'snow.intensity.none': 'nada de nieve',
+        'snow.intensity.flurries': 'algunos copos de nieve',
+        'snow.intensity.light': 'nieve ligera',
+        'snow.intensity.moderate': 'nieve moderada',
+        'snow.intensity.heavy': 'nieve fuerte',
+        'snow.intensity.veryHeavy': 'nieve muy fuerte',
+        'snow.daily': 'Se espera {intensity}, con el máximo alrededor de {hour}.',
+        'snow.chance': 'Hay un {percent} por ciento de probabilidad en total.',
+        'snow.chanceAccumulation': 'Hay un {percent} por ciento de probabilidad en total, con posibles acumulaciones de {accumulation}.',
+        'snow.visibilityLow': 'La visibilidad podría bajar a menos de {distance} a ratos, así que ten cuidado en la carretera.',
+        'snow.visibilityMiles': 'una milla',
+        'snow.visibilityKilometres': 'un kilómetro y medio',
+        'snow.visibilityReduced': 'La visibilidad podría reducirse cuando la nieve sea más fuerte.',
+        'snow.multiple': 'Parece que habrá varias rondas de nieve {day}.',
+        'snow.first': 'Es probable que nieve a partir de {start} y hasta {end}.',
+        'snow.firstAccumulation': 'Es probable que nieve a partir de {start} y hasta {end}, con posibles acumulaciones de ' +
+            '{accumulation}.',
+        'snow.another': 'Podría volver a nevar a partir de {start} y hasta {end}.',
+        'snow.anotherAccumulation': 'Podría volver a nevar a partir de {start} y hasta {end}, con posibles acumulaciones de ' +
+            '{accumulation}.',
+        'snow.heaviest': 'La nieve más fuerte debería ser alrededor de {hour}.',
+        'snow.heaviestRate': 'La nieve más fuerte debería ser alrededor de {hour}, con hasta {rate} por hora.',
+        'snow.rate': { one: '{count} pulgada', other: '{count} pulgadas' },
+        'snow.rateMetric': { one: '{count} centímetro', other: '{count} centímetros' },
+        'snow.accumulation.lessThanOne': 'menos de una pulgada',
+        'snow.accumulation.aboutOne': 'alrededor de una pulgada',
+        'snow.accumulation.about': 'alrededor de {count} pulgadas',
+        'snow.accumulation.range': 'entre {low} y {high} pulgadas',
+        'snow.accumulation.lessThanOneMetric': 'menos de un centímetro',
+        'snow.accumulation.aboutOneMetric': 'alrededor de un centímetro',
+        'snow.accumulation.aboutMetric': 'alrededor de {count} centímetros',
+        'snow.accumulation.rangeMetric': 'entre {low} y {high} centímetros',
+
+        // -------- ICE
+        'ice.headline': [
+            'Cuidado con el hielo en las carreteras {day}.',
+            'Podría haber resbalones {day}, hay hielo en el pronóstico.',
+            'Ten cuidado en la carretera {day}, es posible que haya hielo.',
+            'Tómatelo con calma {day}, podría haber hielo.'
+        ],
+        'ice.precip.sleet': 'aguanieve y lluvia helada',
+        'ice.precip.rain': 'lluvia helada',
+        'ice.daily': 'Es posible que haya {precip}, con un {percent} por ciento de probabilidad en total.',
+        'ice.dailyAround': 'Es posible que haya {precip}, sobre todo alrededor de {hour}, con un {percent} por ciento de ' +
+            'probabilidad en total.',
+        'ice.roads': 'Se esperan carreteras y aceras heladas, así que tómatelo con calma.',
+        'ice.outages': 'El hielo también podría acumularse en los árboles y los cables eléctricos, así que prepárate para posibles ' +
+            'apagones.',
+        'ice.window': 'Se espera {precip} desde {start} hasta {end}',
+        'ice.windowAgain': 'y de nuevo desde {start} hasta {end}',
+        'ice.damaging': 'un cuarto de pulgada',
+        'ice.damagingMetric': { one: '{count} milímetro', other: '{count} milímetros' },
+        'ice.buildUpDamaging': 'Podría acumularse {amount} de hielo o más, lo que puede derribar árboles y cables eléctricos.',
+        'ice.buildUp': 'Podría acumularse hasta {amount} de hielo, y las carreteras estarán muy resbaladizas.',
+        'ice.glaze': 'Incluso una fina capa de hielo hará que las carreteras y las aceras estén resbaladizas.',
+
+        // -------- FOG
+        'fog.headline': [
+            'Cuidado con la niebla {day}.',
+            'Va a ser un día de niebla {day}.',
+            'Tómatelo con calma en la carretera {day}, habrá niebla.',
+            'Se espera algo de niebla {day}.'
+        ],
+        'fog.daily': 'La niebla podría dificultar la circulación a ratos.',
+        'fog.dailyVisibility': 'La niebla podría dificultar la circulación, con una visibilidad de {distance}.',
+        'fog.allDay': 'La niebla se mantendrá todo el día {day}',
+        'fog.burnOff': 'La niebla debería disiparse hacia {end}',
+        'fog.form': 'La niebla debería formarse alrededor de {start}',
+        'fog.window': 'La niebla debería formarse alrededor de {start} y disiparse hacia {end}',
+        'fog.commute': ', así que tómatelo con calma al ir al trabajo',
+        'fog.dense': 'Podría ser densa, con una visibilidad de menos de {distance} alrededor de {hour}.',
+        'fog.denseMiles': 'un cuarto de milla',
+        'fog.denseKilometres': '400 metros',
+        'fog.distance.lessThanQuarter': 'menos de un cuarto de milla',
+        'fog.distance.aboutHalf': 'alrededor de media milla',
+        'fog.distance.aboutOne': 'alrededor de una milla',
+        'fog.distance.about': 'alrededor de {count} millas',
+        'fog.distance.lessThanQuarterMetric': 'menos de 400 metros',
+        'fog.distance.aboutHalfMetric': 'alrededor de medio kilómetro',
+        'fog.distance.aboutOneMetric': 'alrededor de un kilómetro',
+        'fog.distance.aboutMetric': 'alrededor de {count} kilómetros',
+
+        // -------- HEAT
+        'heat.headline': [
+            'Va a hacer mucho calor {day}.',
+            'Prepárate para el calor {day}.',
+            'Mantente fresco {day}, va a ser un día abrasador.',
+            'Hará un calor inusual {day}.'
+        ],
+        'heat.high': 'Se espera una máxima de {temp} grados.',
+        'heat.highAbove': 'Se espera una máxima de {temp} grados, que está {above} de lo normal para esta época del año.',
+        'heat.above.bit': 'un poco por encima',
+        'heat.above.degrees': { one: '{count} grado por encima', other: '{count} grados por encima' },
+        'heat.above.whopping': 'nada menos que {count} grados por encima',
+        'heat.feelsLike': 'La sensación térmica será de {temp}.',
+        'heat.feelsLikeAround': 'La sensación térmica será de {temp} alrededor de {hour}.',
+        'heat.dangerous': 'Un calor así es peligroso, así que mantente hidratado y tómatelo con calma al aire libre.',
+        'heat.caution': 'Asegúrate de beber mucha agua si vas a estar fuera.',
+        'heat.window': 'La sensación térmica será de {temp} grados o más desde {start} hasta {end}, ' +
+            'con un máximo de {max} alrededor de {hour}.',
+        'heat.windowDangerous': 'Es un calor peligroso, así que limita el tiempo que pasas fuera.',
+
+        // -------- HEAT AND HUMIDITY
+        'heat-humid.headline': [
+            'Va a hacer calor y bochorno {day}.',
+            'Prepárate para un día sofocante {day}.',
+            'Será un día caluroso y húmedo {day}.',
+            'Mantente fresco {day}, va a hacer calor y bochorno.'
+        ],
+        'heat-humid.sticky': 'El aire también estará pegajoso, con puntos de rocío de alrededor de {dewPoint} y un {percent} por ciento ' +
+            'de humedad.',
+        'heat-humid.stickyDewPoint': 'El aire también estará pegajoso, con puntos de rocío de alrededor de {dewPoint}.',
+        'heat-humid.stickyHumidity': 'El aire también estará pegajoso, con un {percent} por ciento de humedad.',
+
+        // -------- HUMIDITY
+        'humidity.headline': [
+            'Va a hacer bochorno {day}.',
+            'Prepárate para un aire pegajoso {day}.',
+            'Será un día húmedo {day}.',
+            'El aire estará cargado {day}.'
+        ],
+        'humidity.band.dry': 'seco',
+        'humidity.band.comfortable': 'agradable',
+        'humidity.band.sticky': 'pegajoso',
+        'humidity.band.oppressive': 'sofocante',
+        'humidity.daily': 'El aire se sentirá {band} {day}, con puntos de rocío de alrededor de {dewPoint} y un {percent} por ciento de ' +
+            'humedad.',
+        'humidity.allDay': 'Estará {band} todo el día {day}.',
+        'humidity.until': 'Estará pegajoso hasta {end}.',
+        'humidity.after': 'Se pondrá pegajoso a partir de {start}.',
+        'humidity.window': 'Se pondrá pegajoso desde {start} hasta {end}.',
+        'humidity.oppressive': 'El aire será sofocante alrededor de {hour}, con puntos de rocío cercanos a {dewPoint}.',
+
+        // -------- COLD
+        'cold.headline': [
+            'Va a hacer mucho frío {day}.',
+            '¡Abrígate {day}!',
+            'No olvides el abrigo {day}.',
+            'Hará un frío inusual {day}.'
+        ],
+        'cold.low': 'Se espera una mínima de {temp} grados.',
+        'cold.lowBelow': 'Se espera una mínima de {temp} grados, que está {below} de lo normal para esta época del año.',
+        'cold.below.bit': 'un poco por debajo',
+        'cold.below.degrees': { one: '{count} grado por debajo', other: '{count} grados por debajo' },
+        'cold.below.frigid': 'unos gélidos {count} grados por debajo',
+        'cold.feelsLike': 'Con el viento, la sensación térmica será de {temp}.',
+        'cold.feelsLikeAround': 'Con el viento, la sensación térmica será de {temp} alrededor de {hour}.',
+        'cold.frostbite': 'Con esa temperatura la congelación puede producirse en 30 minutos o menos, así que cubre la piel expuesta.',
+        'cold.dangerous': 'Es un frío peligroso, así que limita el tiempo que pasas fuera.',
+        'cold.coldest': 'La sensación térmica más baja será de {temp} grados alrededor de {hour}.',
+        'cold.coldestWindChill': 'La sensación térmica más baja será de {temp} grados alrededor de {hour} por el viento.',
+        'cold.coldestWindow': 'La sensación térmica más baja será de {temp} grados desde {start} hasta {end}.',
+        'cold.coldestWindowWindChill': 'La sensación térmica más baja será de {temp} grados desde {start} hasta {end} por el ' +
+            'viento.',
+        'cold.commute': 'Al ir al trabajo la sensación térmica será de {temp} grados a {hour}.',
+
+        // -------- COLD AND WIND
+        'cold-wind.headline': [
+            'Va a hacer frío y viento {day}.',
+            'Abrígate {day}, el viento será cortante.',
+            'Sujeta el sombrero {day}, hará frío y viento.',
+            'Se espera un día crudo y ventoso {day}.'
+        ],
+        'cold-wind.wind': 'Vientos de {speed} harán que se sienta aún más frío.',
+        'cold-wind.windGusts': 'Vientos de {speed}, con rachas de {gust}, harán que se sienta aún más frío.',
+
+        // -------- WIND
+        'wind.headline': [
+            '¡Sujeta el sombrero {day}!',
+            'Va a ser un día de viento {day}.',
+            'Se espera un día ventoso {day}.',
+            'Soplará el viento {day}.'
+        ],
+        'wind.direction.north': 'norte',
+        'wind.direction.northeast': 'noreste',
+        'wind.direction.east': 'este',
+        'wind.direction.southeast': 'sureste',
+        'wind.direction.south': 'sur',
+        'wind.direction.southwest': 'suroeste',
+        'wind.direction.west': 'oeste',
+        'wind.direction.northwest': 'noroeste',
+        'wind.outOf': ' del {direction}',
+        'wind.daily': 'Se esperan vientos de alrededor de {speed}{direction}{gusts}.',
+        'wind.gusts': ', con rachas de hasta {gust}',
+        'wind.gustsAround': ', con rachas de hasta {gust} alrededor de {hour}',
+        'wind.damaging': 'Es posible que haya vientos dañinos, así que asegura todo lo que esté suelto fuera.',
+        'wind.blustery': 'Hará bastante viento, así que sujeta el sombrero.',
+        'wind.multiple': 'Parece que habrá varios períodos de viento {day}.',
+        'wind.period': 'El viento será más fuerte desde {start} hasta {end}, con vientos{direction} ' +
+            'de hasta {speed} a {hour}.',
+        'wind.periodAgain': 'Volverá a hacer viento desde {start} hasta {end}, con vientos{direction} ' +
+            'de hasta {speed} a {hour}.',
+        'wind.gustsHourly': 'Las rachas podrían alcanzar {speed} alrededor de {hour}.',
+
+        // -------- CLOUDS
+        'clouds.headline': [
+            'Va a ser un día gris {day}.',
+            'No esperes mucho sol {day}.',
+            'Las nubes dominarán el cielo {day}.',
+            'Será un día nublado {day}.'
+        ],
+        'clouds.sky.sunny': 'soleado',
+        'clouds.sky.clear': 'despejado',
+        'clouds.sky.mostlySunny': 'mayormente soleado',
+        'clouds.sky.mostlyClear': 'mayormente despejado',
+        'clouds.sky.partlyCloudy': 'parcialmente nublado',
+        'clouds.sky.mostlyCloudy': 'mayormente nublado',
+        'clouds.sky.overcast': 'cubierto',
+        'clouds.daily': 'Se espera un cielo {sky}, con alrededor de un {percent} por ciento de nubosidad.',
+        'clouds.current': 'Ahora mismo está {sky}',
+        'clouds.stay': 'El cielo seguirá {category} {day}.',
+        'clouds.change': 'El cielo estará {category} al principio, con {transitions}.',
+        'clouds.transitionBy': '{transition} hacia {time}',
+        'clouds.transition.clearing': 'nubes que se irán despejando',
+        'clouds.transition.movingIn': 'nubes que irán llegando',
+        'clouds.transition.breaks': 'algunos claros',
+        'clouds.transition.fewClouds': 'algunas nubes',
+        'clouds.time.overnight': 'la madrugada',
+        'clouds.time.earlyMorning': 'primera hora de la mañana',
+        'clouds.time.midMorning': 'media mañana',
+        'clouds.time.lateMorning': 'última hora de la mañana',
+        'clouds.time.midday': 'el mediodía',
+        'clouds.time.midAfternoon': 'media tarde',
+        'clouds.time.lateAfternoon': 'última hora de la tarde',
+        'clouds.time.earlyEvening': 'el anochecer',
+        'clouds.time.lateEvening': 'la noche',
+
+        // -------- UV
+        'uv.headline': [
+            'El sol será fuerte {day}.',
+            'Coge la crema solar {day}.',
+            'Cuidado con las quemaduras solares {day}.',
+            'Es un buen día para gorra y gafas de sol {day}.'
+        ],
+        'uv.exposure.extreme': 'extremo',
+        'uv.exposure.veryHigh': 'muy alto',
+        'uv.exposure.high': 'alto',
+        'uv.exposure.moderate': 'moderado',
+        'uv.exposure.low': 'bajo',
+        'uv.daily': 'El índice UV llegará a {index}, que es {exposure}.',
+        'uv.dailyAround': 'El índice UV llegará a {index}, que es {exposure}, alrededor de {hour}.',
+        'uv.extreme': 'La piel sin protección puede quemarse en minutos, así que cúbrete y busca la sombra a mediodía.',
+        'uv.sunscreen': 'No olvides la crema solar si vas a estar fuera.',
+        'uv.window': 'El sol será más fuerte desde {start} hasta {end}, con el índice UV llegando a {index} alrededor de ' +
+            '{hour}.',
+
+        // -------- TEMPERATURE
+        'temp.climbing': 'Las temperaturas {day} irán subiendo durante la tarde, hasta unos {temp} grados alrededor de {hour}.',
+        'temp.headingDown': 'Las temperaturas irán bajando {day} hasta unos {temp} grados hacia {hour}.',
+        'temp.high': 'Tendrás una máxima de {temp} grados {day} alrededor de {hour}.',
+        'temp.endOfWorkDay': 'Hará unos {temp} al final de la jornada laboral',
+        'temp.andLater': 'y {temp} hacia {hour}.',
+        'temp.finish': 'Hará {temp} alrededor de {hour} para terminar el día.',
+        'temp.simpleHeadingDown': 'Las temperaturas irán bajando {day}. La máxima de {high} grados será a {highHour} ' +
+            'y bajarán hasta {low} a {lowHour}.',
+        'temp.simpleIncreasing': 'Las temperaturas irán subiendo a lo largo del día {day}. ' +
+            'La mínima será de {low} grados a {lowHour} y subirán hasta {high} a {highHour}.',
+        'temp.simple': 'La mínima {day} será de {low} grados alrededor de {lowHour}. Se espera una máxima de {high} grados ' +
+            'alrededor de {highHour}.',
+        'temp.detail.warming': 'Hará unos {low} grados alrededor de {lowHour}, {warming} hasta una máxima de {high} ' +
+            'alrededor de {highHour}.',
+        'temp.detail.warmingSlowly': 'y luego irá subiendo poco a poco',
+        'temp.detail.warmingRate': {
+            one: 'y luego subirá alrededor de {count} grado por hora',
+            other: 'y luego subirá alrededor de {count} grados por hora'
+        },
+        'temp.detail.plateau': 'Las temperaturas se mantendrán cerca de {temp} hasta {hour}.',
+        'temp.detail.coolOff': 'Después refrescará hasta unos {temp} hacia {hour}.',
+        'temp.detail.drop': 'Las temperaturas bajarán de unos {high} grados a {highHour} a {temp} hacia {hour}.',
+        'temp.detail.sharpDrop': 'Atento a un descenso brusco de unos {count} grados alrededor de {hour} con el paso de un frente ' +
+            'frío.',
+        'temp.detail.sharpRise': 'Las temperaturas podrían subir unos {count} grados alrededor de {hour} con la llegada de aire más ' +
+            'cálido.',
+
+        // -------- ASTRONOMY
+        'astronomy.sun': 'El sol sale a {sunrise} y se pone a {sunset}.',
+        'astronomy.sunSame': 'El sol sale a {sunrise} y se pone a {sunset}, más o menos a la misma hora que ayer.',
+        'astronomy.sunEarlier': 'El sol sale a {sunrise} y se pone a {sunset}, {minutes} antes que ayer.',
+        'astronomy.sunLater': 'El sol sale a {sunrise} y se pone a {sunset}, {minutes} más tarde que ayer.',
+        'astronomy.minutes': { one: 'un minuto', other: 'unos {word} minutos' },
+        'astronomy.moon': 'Habrá {phase}.',
+        'astronomy.phase.new': 'luna nueva',
+        'astronomy.phase.waxingCrescent': 'luna creciente',
+        'astronomy.phase.firstQuarter': 'cuarto creciente',
+        'astronomy.phase.waxingGibbous': 'luna gibosa creciente',
+        'astronomy.phase.full': 'luna llena',
+        'astronomy.phase.waningGibbous': 'luna gibosa menguante',
+        'astronomy.phase.lastQuarter': 'cuarto menguante',
+        'astronomy.phase.waningCrescent': 'luna menguante',
+
+        // -------- UNITS
+        'units.milesPerHour': { one: '{count} milla por hora', other: '{count} millas por hora' },
+        'units.kilometresPerHour': { one: '{count} kilómetro por hora', other: '{count} kilómetros por hora' }
+    }
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:locales'),
+    moment = require('moment-timezone'),
+    ssml = require('../ssml');
+require('../array-util');
+
+/**
+ * Every locale is a message catalog with this structure:
+ *   {
+ *     moment: String,                 // the moment locale for day names (and anything else moment formats)
+ *     number: String,                 // the locale for formatting numbers (see Number.toLocaleString())
+ *     formats: {
+ *       hour: String,                 // moment format for an hour ("3pm")
+ *       spacedHour: String,           // moment format for an hour in longer sentences ("3 pm")
+ *       time: String,                 // moment format for a time with minutes ("6:31pm")
+ *       sayAsTime: String             // the SSML say-as format for those times ("hms12" or "hms24")
+ *     },
+ *     plural: Function(count),        // return the plural form to use for the count ("one" or "other")
+ *     article: Function(hour),        // return the article for an hour of the day (OPTIONAL, "la" or "las" in
+ *                                     // Spanish), which is added before every formatted hour and time
+ *     numberWords: Array,             // small numbers spelled out (OPTIONAL, index 0 is "no")
+ *     messages: {                     // each phrase by its id, for example "rain.headline"
+ *       id: String,                   // the text, with "{name}" placeholders for values
+ *       id: Array,                    // a few ways to say the same thing, one is picked at random
+ *       id: { one: String, other: String } // the plural forms, picked using the `count` value
+ *     }
+ *   }
+ * Messages missing from a catalog fall back to English. Note that "{day}" is
+ * left in place (it is filled in later with the day of the forecast).
+ */
+const CATALOGS = loadCatalogs({
+    en: './en',
+    es: './es'
+});
+const DEFAULT_LOCALE = 'en';
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+module.exports = {
+    LOCALES: Object.keys(CATALOGS),
+    getLocale: getLocale,
+    translate: translate,
+    hour: formatHour,
+    time: formatTime,
+    number: formatNumber,
+    numberWord: getNumberWord,
+    dayOfWeek: getDayOfWeek,
+    list: joinList
+};
+
+
+/**
+ * Get the locale to use from the `locale` option ("es", "es-MX", and "es_MX" are all Spanish)
+ *
+ * @param  {String} locale The locale name
+ * @return {String|null}   The locale (one of LOCALES), or null if we don't have it
+ */
+function getLocale(locale) {
+    if (locale === undefined || locale === null) {
+        return DEFAULT_LOCALE;
+    }
+    let language = String(locale).toLowerCase().split(/[-_]/)[0];
+    return CATALOGS[language] ? language : null;
+}
+
+
+/**
+ * Get the text for a phrase in the requested locale
+ *
+ * @param  {Object} o      The options for this instance of fuzzy weather (OPTIONAL, defaults to English)
+ * @param  {String} id     The phrase id, for example "rain.headline"
+ * @param  {Object} values The values for any placeholders, use `count` to pick the plural form (OPTIONAL)
+ * @return {String}        The text for the phrase
+ */
+function translate(o, id, values) {
+    values = values || {};
+    let catalog = getCatalog(o);
+    let message = catalog.messages[id];
+    if (message === undefined) {
+        message = CATALOGS[DEFAULT_LOCALE].messages[id];
+    }
+    if (message === undefined) {
+        debug('no message for %s', id);
+        return id;
+    }
+
+    if (Array.isArray(message)) {
+        message = message.sample();
+    } else if (typeof(message) === 'object') {
+        message = message[catalog.plural(values.count)] || message.other;
+    }
+
+    return message.replace(PLACEHOLDER, function(placeholder, name) {
+        if (!values.hasOwnProperty(name)) {
+            return placeholder;
+        }
+        return (typeof(values[name]) === 'number') ? formatNumber(o, values[name]) : values[name];
+    });
+}
+
+
+/**
+ * Format an hour of the day for the requested locale
+ *
+ * @param  {Object} o      The options for this instance of fuzzy weather (OPTIONAL, defaults to English)
+ * @param  {Object} time   The moment object for the hour (already in the right timezone)
+ * @param  {Boolean} spaced Whether to use the longer format (OPTIONAL, "3 pm" rather than "3pm" in English)
+ * @return {String}        The formatted hour
+ */
+function formatHour(o, time, spaced) {
+    let catalog = getCatalog(o);
+    let text = time.clone().locale(catalog.moment).format(spaced ? catalog.formats.spacedHour : catalog.formats.hour);
+    return addArticle(catalog, time, ssml.time(o, text, catalog.formats.sayAsTime));
+}
+
+
+/**
+ * Format a time (with minutes) for the requested locale
+ *
+ * @param  {Object} o    The options for this instance of fuzzy weather (OPTIONAL, defaults to English)
+ * @param  {Object} time The moment object for the time (already in the right timezone)
+ * @return {String}      The formatted time
+ */
+function formatTime(o, time) {
+    let catalog = getCatalog(o);
+    let text = ssml.time(o, time.clone().locale(catalog.moment).format(catalog.formats.time), catalog.formats.sayAsTime);
+    return addArticle(catalog, time, text);
+}
+
+
+/**
+ * Format a number for the requested locale
+ *
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to English)
+ * @param  {Number} value The number
+ * @return {String}       The formatted number
+ */
+function formatNumber(o, value) {
+    return value.toLocaleString(getCatalog(o).number);
+}
+
+
+/**
+ * Spell out a small number (which is easier to listen to), larger ones are
+ * just formatted
+ *
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to English)
+ * @param  {Number} value The number
+ * @return {String}       The number as a word ("two") if we have one, otherwise the formatted number
+ */
+function getNumberWord(o, value) {
+    let words = getCatalog(o).numberWords || [];
+    return words[value] || formatNumber(o, value);
+}
+
+
+/**
+ * Get the name of the day of the week for the requested locale
+ *
+ * @param  {Object} o    The options for this instance of fuzzy weather (OPTIONAL, defaults to English)
+ * @param  {Date} date   The date
+ * @return {String}      The name of the day ("Monday")
+ */
+function getDayOfWeek(o, date) {
+    return moment(date).locale(getCatalog(o).moment).format('dddd');
+}
+
+
+/**
+ * Join a list of items into a phrase ("a, b, and c")
+ *
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to English)
+ * @param  {Array} items  The items (strings) to join
+ * @return {String}       The items joined into one phrase
+ */
+function joinList(o, items) {
+    if (items.length < 3) {
+        return items.join(translate(o, 'list.and'));
+    }
+    return items.slice(0, -1).join(translate(o, 'list.separator')) + translate(o, 'list.lastAnd') + items[items.length - 1];
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function addArticle(catalog, time, text) {
+    return catalog.article ? `${catalog.article(time.hour())} ${text}` : text;
+}
+
+function getCatalog(o) {
+    return CATALOGS[(o && getLocale(o.locale)) || DEFAULT_LOCALE];
+}
+
+function loadCatalogs(files) {
+    // Loading a moment locale also makes it the global one, which we don't want to change
+    let globalLocale = moment.locale();
+    let catalogs = {};
+    Object.keys(files).forEach(function(locale) {
+        catalogs[locale] = require(files[locale]);
+        if (catalogs[locale].moment !== 'en') {
+            require(`moment/locale/${catalogs[locale].moment}`);
+        }
+    });
+    moment.locale(globalLocale);
+    return catalogs;
+}
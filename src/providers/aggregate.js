@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Helpers for providers which do not give us the full daily summary data that
+ * the text engine expects. These build the daily values (max/min temps and the
+ * times they occur, average humidity, etc) from a day's worth of hourly data
+ * that has already been normalized.
+ */
+module.exports = {
+    daily: getDailyFromHourly,
+    extreme: getExtreme,
+    average: getAverage
+};
+
+
+/**
+ * Build daily summary values from the normalized hourly data for that day
+ *
+ * @param  {Array} hours The normalized hourly data points for a single day
+ * @return {Object}      The daily values (only those which can be determined from hourly data)
+ */
+function getDailyFromHourly(hours) {
+    let data = {};
+
+    if (!hours || !hours.length) { return data; }
+
+    let maxPrecip = getExtreme(hours, 'precipIntensity', true),
+        maxTemp = getExtreme(hours, 'temperature', true),
+        minTemp = getExtreme(hours, 'temperature', false),
+        maxApparent = getExtreme(hours, 'apparentTemperature', true),
+        minApparent = getExtreme(hours, 'apparentTemperature', false),
+        maxUV = getExtreme(hours, 'uvIndex', true);
+
+    data.precipIntensityMax = maxPrecip.precipIntensity;
+    data.precipIntensityMaxTime = maxPrecip.time;
+    data.temperatureMax = maxTemp.temperature;
+    data.temperatureMaxTime = maxTemp.time;
+    data.temperatureMin = minTemp.temperature;
+    data.temperatureMinTime = minTemp.time;
+    data.apparentTemperatureMax = maxApparent.apparentTemperature;
+    data.apparentTemperatureMaxTime = maxApparent.time;
+    data.apparentTemperatureMin = minApparent.apparentTemperature;
+    data.apparentTemperatureMinTime = minApparent.time;
+    data.dewPoint = getAverage(hours, 'dewPoint');
+    data.humidity = getAverage(hours, 'humidity');
+    data.windSpeed = getAverage(hours, 'windSpeed');
+    data.windGust = getExtreme(hours, 'windGust', true).windGust;
+    data.windBearing = getAverageBearing(hours);
+    data.visibility = getAverage(hours, 'visibility');
+    data.cloudCover = getAverage(hours, 'cloudCover');
+    data.pressure = getAverage(hours, 'pressure');
+    data.uvIndex = maxUV.uvIndex;
+    data.uvIndexTime = maxUV.time;
+    data.capeMax = getExtreme(hours, 'cape', true).cape;
+
+    return data;
+}
+
+
+/**
+ * Find the data point with the highest (or lowest) value for the given key
+ *
+ * @param  {Array} hours   The data points to check
+ * @param  {String} key    The property to compare
+ * @param  {Boolean} max   Whether to find the max (true) or min (false)
+ * @return {Object}        The matching data point (or an empty object if none had a numeric value)
+ */
+function getExtreme(hours, key, max) {
+    return hours.reduce(function(extreme, hour) {
+        if (typeof(hour[key]) !== 'number') { return extreme; }
+        if (typeof(extreme[key]) !== 'number' ||
+            (max && hour[key] > extreme[key]) ||
+            (!max && hour[key] < extreme[key])) {
+            return hour;
+        }
+        return extreme;
+    }, {});
+}
+
+function getAverage(hours, key) {
+    let values = hours
+        .map(function(hour) { return hour[key]; })
+        .filter(function(value) { return typeof(value) === 'number'; });
+
+    if (!values.length) { return null; }
+    return values.reduce(function(sum, value) { return sum + value; }, 0) / values.length;
+}
+
+function getAverageBearing(hours) {
+    // Bearings wrap around at 360, so we average them as vectors
+    let x = 0,
+        y = 0,
+        count = 0;
+    hours.forEach(function(hour) {
+        if (typeof(hour.windBearing) !== 'number') { return; }
+        x += Math.cos(hour.windBearing * Math.PI / 180);
+        y += Math.sin(hour.windBearing * Math.PI / 180);
+        count++;
+    });
+    if (!count) { return null; }
+    return Math.round(((Math.atan2(y, x) * 180 / Math.PI) + 360) % 360);
+}
@@ -0,0 +1,38 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:provider:darksky'),
+    http = require('../http'),
+    errors = require('../errors');
+
+/**
+ * The Dark Sky provider. Dark Sky's forecast format is the one the rest of
+ * the library was originally written against, so normalizing here is mostly
+ * a pass-through.
+ */
+module.exports = {
+    name: 'darksky',
+    validate: validate,
+    fetch: fetch,
+    normalize: normalize
+};
+
+
+function validate(o) {
+    if (!o.apiKey) {
+        debug('API key?', o.apiKey);
+        return new errors.ConfigError('No API key for Dark Sky provided', errors.CODES.MISSING_API_KEY, { option: 'apiKey' });
+    }
+    return null;
+}
+
+
+function fetch(o) {
+    return http.getJSON({
+        url: `https://api.darksky.net/forecast/${o.apiKey}/${o.location.lat},${o.location.lng}`
+    }, o.http);
+}
+
+
+function normalize(data) {
+    return data;
+}
@@ -0,0 +1,55 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:provider');
+
+/**
+ * All weather data providers must implement this interface:
+ *   {
+ *     name: String,                 // used in debugging (and cache keys)
+ *     validate: Function(o),        // OPTIONAL, return an {Error} (ideally a ConfigError) if the options are not usable
+ *     fetch: Function(o),           // return a {Promise} resolved with the raw API data
+ *     normalize: Function(raw, o)   // convert the raw API data into the forecast structure (Dark Sky format)
+ *   }
+ *
+ * The normalized forecast structure is what the text engine reads:
+ *   {
+ *     timezone: String,
+ *     currently: Object,
+ *     hourly: { data: Array },
+ *     daily: { data: Array },
+ *     alerts: Array,                // OPTIONAL
+ *     flags: { units: String }      // OPTIONAL, "us" (the default), "si", "ca", or "uk" (see ../units.js)
+ *   }
+ * Data in units other than "us" is converted to US units for the text engine.
+ * Beyond the Dark Sky fields, hourly data points may have `cape` (convective
+ * available potential energy, in J/kg) and daily ones `capeMax`, which help
+ * us find thunderstorms.
+ */
+const PROVIDERS = {
+    darksky: require('./dark-sky'),
+    openmeteo: require('./open-meteo'),
+    nws: require('./nws')
+};
+
+module.exports = {
+    get: getProvider
+};
+
+
+/**
+ * Find the provider to use given the `provider` option
+ *
+ * @param  {String|Object} provider The name of a built-in provider or an object implementing the provider interface
+ * @return {Object|null}            The provider to use, or null if none matches (or the object is not a valid provider)
+ */
+function getProvider(provider) {
+    if (provider && typeof(provider) === 'object') {
+        if (typeof(provider.fetch) !== 'function' || typeof(provider.normalize) !== 'function') {
+            debug('Custom provider is missing fetch() or normalize()');
+            return null;
+        }
+        return provider;
+    }
+
+    return PROVIDERS[String(provider).toLowerCase()] || null;
+}
@@ -0,0 +1,263 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:provider:nws'),
+    moment = require('moment-timezone'),
+    http = require('../http'),
+    errors = require('../errors'),
+    aggregate = require('./aggregate'),
+    apparent = require('../apparent-temperature');
+
+const API_BASE = 'https://api.weather.gov';
+const DEFAULT_USER_AGENT = 'fuzzy-weather (https://github.com/jakerella/fuzzy-weather)';
+
+// The hourly forecast only gives us text, so we use that to determine what's happening
+const FORECAST_TYPES = [
+    { match: /thunder|t-storm/i, icon: 'thunderstorm', precipType: 'rain', intensity: 0.25 },
+    { match: /freezing|sleet|ice/i, icon: 'sleet', precipType: 'sleet', intensity: 0.04 },
+    { match: /snow|flurr|blizzard/i, icon: 'snow', precipType: 'snow', intensity: 0.04 },
+    { match: /rain|shower|drizzle/i, icon: 'rain', precipType: 'rain', intensity: 0.06 },
+    { match: /dense fog/i, icon: 'fog', visibility: 0.2 },
+    { match: /fog/i, icon: 'fog', visibility: 0.5 },
+    { match: /haze|smoke/i, icon: 'fog', visibility: 3 },
+    { match: /^(mostly )?cloudy|overcast/i, icon: 'cloudy' },
+    { match: /partly|mostly sunny|mostly clear/i, icon: 'partly-cloudy-day' }
+];
+
+const SKY_COVER = [
+    { match: /mostly (sunny|clear)/i, cover: 0.2 },
+    { match: /sunny|clear|fair/i, cover: 0.05 },
+    { match: /partly/i, cover: 0.5 },
+    { match: /mostly cloudy/i, cover: 0.8 },
+    { match: /cloudy|overcast/i, cover: 0.95 }
+];
+
+const COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * The US National Weather Service provider (https://www.weather.gov/documentation/services-web-api).
+ * No API key is required, but NWS asks that all requests identify the
+ * application with a User-Agent (use the `userAgent` option). This provider
+ * only works for locations in the US.
+ */
+module.exports = {
+    name: 'nws',
+    fetch: fetch,
+    normalize: normalize
+};
+
+
+function fetch(o) {
+    let point = `${Number(o.location.lat.toFixed(4))},${Number(o.location.lng.toFixed(4))}`;
+    let headers = {
+        'User-Agent': o.userAgent || DEFAULT_USER_AGENT,
+        'Accept': 'application/geo+json'
+    };
+
+    return http.getJSON({ url: `${API_BASE}/points/${point}`, headers: headers }, o.http)
+        .catch(function(err) {
+            // NWS responds with a 404 for any point outside of the US
+            if (err.statusCode === 404) {
+                throw new errors.ProviderError(
+                    'The NWS API does not have a forecast for this location.',
+                    errors.CODES.LOCATION_NOT_SUPPORTED,
+                    { statusCode: err.statusCode, attempts: err.attempts, cause: err }
+                );
+            }
+            throw err;
+        })
+        .then(function(points) {
+            if (!points || !points.properties || !points.properties.forecastHourly) {
+                debug('No forecast URL in points data:', points);
+                throw new errors.ProviderError(
+                    'The NWS API did not return a forecast for this location.',
+                    errors.CODES.LOCATION_NOT_SUPPORTED
+                );
+            }
+
+            return Promise.all([
+                points,
+                http.getJSON({ url: points.properties.forecastHourly, headers: headers }, o.http),
+                // Alerts are a bonus, so we don't want to lose the whole forecast if they aren't available
+                http.getJSON({ url: `${API_BASE}/alerts/active`, qs: { point: point }, headers: headers }, o.http)
+                    .catch(function(err) {
+                        debug('Unable to get NWS alerts:', err.message);
+                        return { features: [] };
+                    })
+            ]);
+        })
+        .then(function(results) {
+            return {
+                points: results[0],
+                forecast: results[1],
+                alerts: results[2]
+            };
+        });
+}
+
+
+/**
+ * Convert the NWS responses into the Dark Sky forecast structure
+ *
+ * @param  {Object} raw The NWS data: { points: Object, forecast: Object, alerts: Object }
+ * @return {Object}     The normalized forecast data
+ */
+function normalize(raw) {
+    let timezone = raw.points.properties.timeZone;
+    let coordinates = (raw.points.geometry && raw.points.geometry.coordinates) || [];
+
+    let hourly = (raw.forecast.properties.periods || []).map(getHourData);
+    let daily = getDailyData(hourly, timezone);
+    let alerts = ((raw.alerts && raw.alerts.features) || []).map(getAlertData);
+
+    debug('normalized %d hours, %d days, and %d alerts', hourly.length, daily.length, alerts.length);
+
+    return {
+        latitude: coordinates[1],
+        longitude: coordinates[0],
+        timezone: timezone,
+        currently: Object.assign({}, hourly[0]),
+        hourly: { data: hourly },
+        daily: { data: daily },
+        alerts: alerts,
+        flags: { units: 'us', source: 'nws' }
+    };
+}
+
+
+function getHourData(period) {
+    let type = getForecastType(period.shortForecast);
+    let temperature = (period.temperatureUnit === 'C') ? toFahrenheit(period.temperature) : period.temperature;
+    let dewPoint = getFahrenheitValue(period.dewpoint);
+    let humidity = (period.relativeHumidity && typeof(period.relativeHumidity.value) === 'number') ?
+        period.relativeHumidity.value / 100 : null;
+    let windSpeed = getWindSpeed(period.windSpeed);
+
+    return {
+        time: moment(period.startTime).unix(),
+        summary: period.shortForecast,
+        icon: type.icon || (period.isDaytime ? 'clear-day' : 'clear-night'),
+        precipIntensity: type.intensity ? getIntensity(type.intensity, period.shortForecast) : 0,
+        precipProbability: ((period.probabilityOfPrecipitation && period.probabilityOfPrecipitation.value) || 0) / 100,
+        precipType: type.precipType || 'rain',
+        temperature: temperature,
+        apparentTemperature: getApparentTemperature(temperature, humidity, windSpeed),
+        dewPoint: dewPoint,
+        humidity: humidity,
+        windSpeed: windSpeed,
+        windBearing: getBearing(period.windDirection),
+        cloudCover: getCloudCover(period.shortForecast, type),
+        // NWS only gives us the visibility in the forecast text (when it is low)
+        visibility: type.visibility
+    };
+}
+
+
+function getDailyData(hourly, timezone) {
+    let days = {};
+    hourly.forEach(function(hour) {
+        let day = moment.tz(hour.time * 1000, timezone).format('YYYY-MM-DD');
+        days[day] = days[day] || [];
+        days[day].push(hour);
+    });
+
+    return Object.keys(days).map(function(day) {
+        let hours = days[day];
+        let data = aggregate.daily(hours);
+        let wettest = aggregate.extreme(hours, 'precipProbability', true);
+        let snowHours = hours.filter(function(hour) { return hour.precipType === 'snow'; });
+
+        // use the wettest hour as the representative summary (if there is any
+        // precip expected), otherwise whatever is going on mid-day
+        let representative = (wettest.precipProbability > 0) ? wettest : hours[Math.floor(hours.length / 2)];
+
+        return Object.assign({
+            time: moment.tz(day, timezone).startOf('day').unix(),
+            summary: representative.summary,
+            icon: representative.icon,
+            precipIntensity: aggregate.average(hours, 'precipIntensity'),
+            precipProbability: wettest.precipProbability || 0,
+            precipType: wettest.precipType || 'rain',
+            precipAccumulation: snowHours.reduce(function(sum, hour) {
+                return sum + (hour.precipIntensity * hour.precipProbability * 10);
+            }, 0)
+        }, data);
+    });
+}
+
+
+function getAlertData(feature) {
+    let alert = feature.properties;
+
+    return {
+        title: alert.event,
+        headline: alert.headline,
+        severity: alert.severity,
+        time: moment(alert.onset || alert.effective || alert.sent).unix(),
+        expires: (alert.ends || alert.expires) ? moment(alert.ends || alert.expires).unix() : null,
+        description: alert.description || '',
+        instruction: alert.instruction,
+        uri: alert['@id'] || alert.id || feature.id
+    };
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function getForecastType(text) {
+    return FORECAST_TYPES.filter(function(type) {
+        return type.match.test(text || '');
+    })[0] || {};
+}
+
+function getIntensity(base, text) {
+    if (/heavy/i.test(text)) {
+        return base * 3;
+    } else if (/light|drizzle|flurr/i.test(text)) {
+        return base * 0.4;
+    }
+    return base;
+}
+
+function getCloudCover(text, type) {
+    let sky = SKY_COVER.filter(function(sky) {
+        return sky.match.test(text || '');
+    })[0];
+
+    if (sky) {
+        return sky.cover;
+    }
+    return (type.precipType || type.icon === 'fog') ? 0.9 : 0.3;
+}
+
+function getWindSpeed(text) {
+    // NWS gives us strings like "10 mph" or "5 to 10 mph"
+    let speeds = String(text || '').match(/\d+/g) || [0];
+    return speeds.reduce(function(sum, speed) { return sum + Number(speed); }, 0) / speeds.length;
+}
+
+function getBearing(direction) {
+    let index = COMPASS.indexOf(String(direction).toUpperCase());
+    return (index < 0) ? null : index * 22.5;
+}
+
+function getFahrenheitValue(measure) {
+    if (!measure || typeof(measure.value) !== 'number') { return null; }
+    return (/degC$/.test(measure.unitCode)) ? toFahrenheit(measure.value) : measure.value;
+}
+
+function toFahrenheit(celsius) {
+    return (celsius * 9 / 5) + 32;
+}
+
+/**
+ * The hourly forecast doesn't give us a "feels like" temperature, so we
+ * calculate it using the NWS heat index and wind chill formulas.
+ */
+function getApparentTemperature(temp, humidity, windSpeed) {
+    if (temp >= 80) {
+        return apparent.heatIndex(temp, humidity);
+    }
+    return apparent.windChill(temp, windSpeed);
+}
@@ -0,0 +1,243 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:provider:openmeteo'),
+    http = require('../http'),
+    aggregate = require('./aggregate');
+
+const HOURLY_FIELDS = [
+    'temperature_2m',
+    'apparent_temperature',
+    'relativehumidity_2m',
+    'dewpoint_2m',
+    'precipitation_probability',
+    'precipitation',
+    'snowfall',
+    'weathercode',
+    'cloudcover',
+    'visibility',
+    'windspeed_10m',
+    'winddirection_10m',
+    'windgusts_10m',
+    'pressure_msl',
+    'uv_index',
+    'cape'
+];
+
+const DAILY_FIELDS = [
+    'weathercode',
+    'sunrise',
+    'sunset',
+    'precipitation_sum',
+    'snowfall_sum',
+    'precipitation_probability_max'
+];
+
+// WMO weather interpretation codes, as used by Open-Meteo
+const WEATHER_CODES = {
+    0: { summary: 'Clear', icon: 'clear-day' },
+    1: { summary: 'Mostly Clear', icon: 'clear-day' },
+    2: { summary: 'Partly Cloudy', icon: 'partly-cloudy-day' },
+    3: { summary: 'Overcast', icon: 'cloudy' },
+    45: { summary: 'Foggy', icon: 'fog' },
+    48: { summary: 'Foggy', icon: 'fog' },
+    51: { summary: 'Light Drizzle', icon: 'rain' },
+    53: { summary: 'Drizzle', icon: 'rain' },
+    55: { summary: 'Heavy Drizzle', icon: 'rain' },
+    56: { summary: 'Freezing Drizzle', icon: 'sleet', precipType: 'sleet' },
+    57: { summary: 'Freezing Drizzle', icon: 'sleet', precipType: 'sleet' },
+    61: { summary: 'Light Rain', icon: 'rain' },
+    63: { summary: 'Rain', icon: 'rain' },
+    65: { summary: 'Heavy Rain', icon: 'rain' },
+    66: { summary: 'Freezing Rain', icon: 'sleet', precipType: 'sleet' },
+    67: { summary: 'Freezing Rain', icon: 'sleet', precipType: 'sleet' },
+    71: { summary: 'Light Snow', icon: 'snow', precipType: 'snow' },
+    73: { summary: 'Snow', icon: 'snow', precipType: 'snow' },
+    75: { summary: 'Heavy Snow', icon: 'snow', precipType: 'snow' },
+    77: { summary: 'Snow Grains', icon: 'snow', precipType: 'snow' },
+    80: { summary: 'Rain Showers', icon: 'rain' },
+    81: { summary: 'Rain Showers', icon: 'rain' },
+    82: { summary: 'Heavy Rain Showers', icon: 'rain' },
+    85: { summary: 'Snow Showers', icon: 'snow', precipType: 'snow' },
+    86: { summary: 'Heavy Snow Showers', icon: 'snow', precipType: 'snow' },
+    95: { summary: 'Thunderstorm', icon: 'thunderstorm' },
+    96: { summary: 'Thunderstorm with Hail', icon: 'thunderstorm' },
+    99: { summary: 'Thunderstorm with Hail', icon: 'thunderstorm' }
+};
+
+/**
+ * The Open-Meteo provider (https://open-meteo.com). No API key is required.
+ * Open-Meteo returns parallel arrays of values for each hour and day, which
+ * we zip back up into the Dark Sky style data points.
+ */
+module.exports = {
+    name: 'openmeteo',
+    fetch: fetch,
+    normalize: normalize
+};
+
+
+function fetch(o) {
+    return http.getJSON({
+        url: 'https://api.open-meteo.com/v1/forecast',
+        qs: {
+            latitude: o.location.lat,
+            longitude: o.location.lng,
+            hourly: HOURLY_FIELDS.join(','),
+            daily: DAILY_FIELDS.join(','),
+            current_weather: true,
+            temperature_unit: 'fahrenheit',
+            windspeed_unit: 'mph',
+            precipitation_unit: 'inch',
+            timeformat: 'unixtime',
+            timezone: 'auto',
+            forecast_days: 8
+        }
+    }, o.http);
+}
+
+
+/**
+ * Convert the Open-Meteo response into the Dark Sky forecast structure
+ *
+ * @param  {Object} raw The parsed response from the Open-Meteo forecast API
+ * @return {Object}     The normalized forecast data
+ */
+function normalize(raw) {
+    let hourly = zip(raw.hourly).map(function(hour) {
+        return getHourData(hour, raw.hourly_units || {});
+    });
+
+    let daily = zip(raw.daily).map(function(day) {
+        return getDayData(day, hourly);
+    });
+
+    let currently = getCurrentData(raw.current_weather, hourly);
+
+    // Open-Meteo gives us hours from midnight, but (like Dark Sky) the hourly
+    // data should start with the current hour
+    let upcoming = hourly.filter(function(hour) {
+        return hour.time > (currently.time - 3600);
+    });
+
+    debug('normalized %d hours and %d days of data', upcoming.length, daily.length);
+
+    return {
+        latitude: raw.latitude,
+        longitude: raw.longitude,
+        timezone: raw.timezone,
+        offset: raw.utc_offset_seconds / 3600,
+        currently: currently,
+        hourly: { data: upcoming },
+        daily: { data: daily },
+        alerts: [],
+        flags: { units: 'us', source: 'openmeteo' }
+    };
+}
+
+
+function getHourData(hour, units) {
+    let code = WEATHER_CODES[hour.weathercode] || WEATHER_CODES[0];
+
+    return {
+        time: hour.time,
+        summary: code.summary,
+        icon: code.icon,
+        precipIntensity: hour.precipitation || 0,
+        precipProbability: (hour.precipitation_probability || 0) / 100,
+        precipType: getPrecipType(code, hour.snowfall),
+        temperature: hour.temperature_2m,
+        apparentTemperature: hour.apparent_temperature,
+        dewPoint: hour.dewpoint_2m,
+        humidity: hour.relativehumidity_2m / 100,
+        windSpeed: hour.windspeed_10m,
+        windGust: hour.windgusts_10m,
+        windBearing: hour.winddirection_10m,
+        visibility: getVisibilityMiles(hour.visibility, units.visibility),
+        cloudCover: hour.cloudcover / 100,
+        pressure: hour.pressure_msl,
+        uvIndex: hour.uv_index,
+        cape: hour.cape
+    };
+}
+
+
+function getDayData(day, hourly) {
+    let code = WEATHER_CODES[day.weathercode] || WEATHER_CODES[0];
+    let hours = hourly.filter(function(hour) {
+        return hour.time >= day.time && hour.time < (day.time + 86400);
+    });
+
+    let data = {
+        time: day.time,
+        summary: code.summary,
+        icon: code.icon,
+        sunriseTime: day.sunrise,
+        sunsetTime: day.sunset,
+        precipIntensity: (day.precipitation_sum || 0) / 24,
+        precipProbability: (day.precipitation_probability_max || 0) / 100,
+        precipType: getPrecipType(code, day.snowfall_sum),
+        precipAccumulation: day.snowfall_sum || 0
+    };
+
+    return Object.assign(data, aggregate.daily(hours));
+}
+
+
+function getCurrentData(current, hourly) {
+    if (!current) { return hourly[0] || {}; }
+
+    // The "current weather" block is pretty sparse, so we fill in the
+    // rest of the data from the hour we're currently in
+    let hourData = hourly[0] || {};
+    hourly.forEach(function(hour) {
+        if (hour.time <= current.time) {
+            hourData = hour;
+        }
+    });
+
+    let code = WEATHER_CODES[current.weathercode] || WEATHER_CODES[0];
+    return Object.assign({}, hourData, {
+        time: current.time,
+        summary: code.summary,
+        icon: code.icon,
+        temperature: current.temperature,
+        windSpeed: current.windspeed,
+        windBearing: current.winddirection
+    });
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+/**
+ * Open-Meteo gives us a hash of arrays, one for each variable, which we turn
+ * into an array of objects, one for each point in time.
+ */
+function zip(block) {
+    if (!block || !block.time) { return []; }
+
+    return block.time.map(function(time, i) {
+        let point = {};
+        Object.keys(block).forEach(function(key) {
+            point[key] = block[key][i];
+        });
+        return point;
+    });
+}
+
+function getPrecipType(code, snowfall) {
+    if (code.precipType) {
+        return code.precipType;
+    }
+    return (snowfall > 0) ? 'snow' : 'rain';
+}
+
+function getVisibilityMiles(visibility, unit) {
+    if (typeof(visibility) !== 'number') { return visibility; }
+    if (unit === 'ft') {
+        return visibility / 5280;
+    }
+    return visibility / 1609.344;
+}
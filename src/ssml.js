@@ -0,0 +1,156 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:ssml');
+
+/**
+ * With the `output: "ssml"` option each forecast is wrapped in <speak> for
+ * voice assistants, with <say-as> for the times and temperatures, a <break>
+ * between each section (usually a condition), and <emphasis> on any alerts.
+ *
+ * The text is built up in pieces by the condition modules (and then joined,
+ * trimmed, and so on), so the helpers below only mark where each element goes,
+ * and speak() turns those marks into the SSML at the very end (after escaping
+ * the text). In "text" output every helper returns the text as it was given.
+ */
+const OUTPUTS = ['text', 'ssml'];
+const DEFAULT_OUTPUT = 'text';
+
+const ELEMENTS = {
+    time12: { open: '<say-as interpret-as="time" format="hms12">', close: '</say-as>' },
+    time24: { open: '<say-as interpret-as="time" format="hms24">', close: '</say-as>' },
+    cardinal: { open: '<say-as interpret-as="cardinal">', close: '</say-as>' },
+    emphasis: { open: '<emphasis level="strong">', close: '</emphasis>' },
+    break: { open: '<break strength="strong"/>', close: '' }
+};
+// Control characters won't show up in any forecast text, and don't need escaping in XML
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const MARK = /\u0002(\/?)(\w+)\u0003/g;
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+
+module.exports = {
+    OUTPUTS: OUTPUTS,
+    getOutput: getOutput,
+    time: sayTime,
+    cardinal: sayCardinal,
+    emphasis: addEmphasis,
+    sections: joinSections,
+    speak: speak,
+    plain: getPlainText
+};
+
+
+/**
+ * Get the output to use from the `output` option
+ *
+ * @param  {String} output The output name
+ * @return {String|null}   The output (one of OUTPUTS), or null if it isn't one we know
+ */
+function getOutput(output) {
+    if (output === undefined || output === null) {
+        return DEFAULT_OUTPUT;
+    }
+    let name = String(output).toLowerCase();
+    return (OUTPUTS.indexOf(name) > -1) ? name : null;
+}
+
+
+/**
+ * Mark a time (or hour) of the day to be read out as one
+ *
+ * @param  {Object} o      The options for this instance of fuzzy weather (OPTIONAL, defaults to text output)
+ * @param  {String} text   The formatted time ("3pm" or "15:00")
+ * @param  {String} format The say-as format for the time: "hms12" or "hms24"
+ * @return {String}        The (marked) time
+ */
+function sayTime(o, text, format) {
+    return mark(o, (format === 'hms24') ? 'time24' : 'time12', text);
+}
+
+/**
+ * Mark a number (like a temperature) to be read out as a number
+ *
+ * @param  {Object} o    The options for this instance of fuzzy weather (OPTIONAL, defaults to text output)
+ * @param  {String} text The formatted number
+ * @return {String}      The (marked) number
+ */
+function sayCardinal(o, text) {
+    return mark(o, 'cardinal', text);
+}
+
+/**
+ * Mark some text (like an alert) to be read out with strong emphasis
+ *
+ * @param  {Object} o    The options for this instance of fuzzy weather (OPTIONAL, defaults to text output)
+ * @param  {String} text The text
+ * @return {String}      The (marked) text
+ */
+function addEmphasis(o, text) {
+    return mark(o, 'emphasis', text);
+}
+
+
+/**
+ * Join the sections of a forecast, with a pause between each one for SSML
+ * (empty sections are skipped there, so there aren't two pauses in a row)
+ *
+ * @param  {Object} o        The options for this instance of fuzzy weather (OPTIONAL, defaults to text output)
+ * @param  {Array} sections  The text for each section
+ * @return {String}          The joined text
+ */
+function joinSections(o, sections) {
+    if (!isSSML(o)) {
+        return sections.join(' ');
+    }
+    return sections
+        .filter(function(section) { return section && section.trim().length; })
+        .join(` ${MARK_START}break${MARK_END} `);
+}
+
+
+/**
+ * Get the finished forecast: the text as it is, or the SSML document
+ *
+ * @param  {Object} o    The options for this instance of fuzzy weather (OPTIONAL, defaults to text output)
+ * @param  {String} text The forecast text (with any marks from the helpers above)
+ * @return {String}      The forecast
+ */
+function speak(o, text) {
+    if (!isSSML(o)) {
+        return text;
+    }
+    let escaped = text.replace(/[&<>]/g, function(character) { return ESCAPES[character]; });
+    let output = escaped.replace(MARK, function(marker, closing, name) {
+        return closing ? ELEMENTS[name].close : ELEMENTS[name].open;
+    });
+    debug('SSML output: %s', output);
+    return `<speak>${output}</speak>`;
+}
+
+
+/**
+ * Remove any marks from the text, for the pieces we respond with on their own
+ * (the `conditions` text is always plain, even for SSML output)
+ *
+ * @param  {String} text The text (with any marks from the helpers above)
+ * @return {String}      The plain text
+ */
+function getPlainText(text) {
+    return text.replace(MARK, '');
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function isSSML(o) {
+    return !!o && getOutput(o.output) === 'ssml';
+}
+
+function mark(o, name, text) {
+    if (!isSSML(o)) {
+        return text;
+    }
+    return `${MARK_START}${name}${MARK_END}${text}${MARK_START}/${name}${MARK_END}`;
+}
@@ -0,0 +1,398 @@
+'use strict';
+
+let debug = require('debug')('fuzzy-weather:units'),
+    _ = require('lodash'),
+    locales = require('./locales'),
+    ssml = require('./ssml');
+
+/**
+ * Unit systems, these match Dark Sky's:
+ *   us - degrees F, miles per hour, inches, miles
+ *   si - degrees C, meters per second, millimeters (per hour, centimeters of snow), kilometers
+ *   ca - same as si, but with wind speed in kilometers per hour
+ *   uk - same as si, but with wind speed in miles per hour and visibility in miles
+ *
+ * The text engine (and every threshold in it) works in US units, so forecast
+ * data from a provider in any other system is converted to US units first, and
+ * then back to the requested system for the data we respond with. Anything we
+ * say out loud goes through the text helpers below to get the right numbers and
+ * words for the requested system.
+ */
+const SYSTEMS = ['us', 'si', 'ca', 'uk'];
+// Dark Sky calls the UK system "uk2" (their original "uk" system is deprecated)
+const ALIASES = { uk2: 'uk', auto: 'us' };
+
+const TEMPERATURE_FIELDS = [
+    'temperature', 'apparentTemperature', 'dewPoint',
+    'temperatureMin', 'temperatureMax', 'apparentTemperatureMin', 'apparentTemperatureMax',
+    'temperatureLow', 'temperatureHigh', 'apparentTemperatureLow', 'apparentTemperatureHigh'
+];
+const SPEED_FIELDS = ['windSpeed', 'windGust'];
+const INTENSITY_FIELDS = ['precipIntensity', 'precipIntensityMax'];
+const ACCUMULATION_FIELDS = ['precipAccumulation'];
+const DISTANCE_FIELDS = ['visibility', 'nearestStormDistance'];
+// The forecast facts (see ./weather.js) use their own names, shared by every type of fact
+// (so the `speed` of a `current-wind` is converted just like the `speed` of a `wind-day`)
+const FACT_TEMPERATURE_FIELDS = ['temperature', 'low', 'high', 'normal', 'feelsLike', 'dewPoint'];
+const FACT_DIFFERENCE_FIELDS = ['rate', 'change'];
+const FACT_SPEED_FIELDS = ['speed', 'gust'];
+const FACT_INTENSITY_FIELDS = ['intensity', 'iceAccumulation'];
+const FACT_ACCUMULATION_FIELDS = ['accumulation'];
+const FACT_DISTANCE_FIELDS = ['visibility'];
+
+const KM_PER_MILE = 1.609344;
+const MM_PER_INCH = 25.4;
+const CM_PER_INCH = 2.54;
+
+module.exports = {
+    SYSTEMS: SYSTEMS,
+    getSystem: getSystem,
+    convertForecast: convertForecast,
+    convertDataPoint: convertDataPoint,
+    convertFacts: convertFacts,
+    convertOptions: convertOptions,
+    temperature: getTemperature,
+    temperatureText: getTemperatureText,
+    temperatureDifference: getTemperatureDifference,
+    speed: getSpeed,
+    speedText: getSpeedText,
+    isMetric: isMetric,
+    usesKilometres: usesKilometres,
+    distance: getDistance,
+    precipitation: getPrecipitation,
+    snowDepth: getSnowDepth
+};
+
+
+/**
+ * Get the unit system to use, from the `units` option or a provider's `flags.units`
+ *
+ * @param  {String} units The unit system name
+ * @return {String|null}  The unit system (one of SYSTEMS), or null if it isn't one we know
+ */
+function getSystem(units) {
+    if (units === undefined || units === null) {
+        return 'us';
+    }
+    let system = String(units).toLowerCase();
+    system = ALIASES[system] || system;
+    return (SYSTEMS.indexOf(system) > -1) ? system : null;
+}
+
+
+/**
+ * Convert a full normalized forecast between unit systems
+ *
+ * @param  {Object} data The normalized forecast: { currently, hourly: { data }, daily: { data }, flags }
+ * @param  {String} from The unit system the data is in
+ * @param  {String} to   The unit system to convert to
+ * @return {Object}      The converted forecast (a copy, the original is not changed)
+ */
+function convertForecast(data, from, to) {
+    let converted = _.cloneDeep(data);
+    if (from === to) {
+        return converted;
+    }
+    debug('converting forecast from %s to %s', from, to);
+
+    converted.currently = convertDataPoint(converted.currently, from, to);
+    ['hourly', 'daily'].forEach(function(block) {
+        if (converted[block] && Array.isArray(converted[block].data)) {
+            converted[block].data = converted[block].data.map(function(point) {
+                return convertDataPoint(point, from, to);
+            });
+        }
+    });
+    converted.flags = Object.assign({}, converted.flags, { units: to });
+    return converted;
+}
+
+
+/**
+ * Convert a single data point (current, hourly, or daily) between unit systems
+ *
+ * @param  {Object} point The data point
+ * @param  {String} from  The unit system the data is in
+ * @param  {String} to    The unit system to convert to
+ * @return {Object}       The converted data point (a copy, the original is not changed)
+ */
+function convertDataPoint(point, from, to) {
+    if (!point || from === to) {
+        return point;
+    }
+
+    let converted = Object.assign({}, point);
+    convertFields(converted, TEMPERATURE_FIELDS, function(value) {
+        return fromFahrenheit(toFahrenheit(value, from), to);
+    });
+    convertFields(converted, SPEED_FIELDS, function(value) {
+        return fromMph(toMph(value, from), to);
+    });
+    convertFields(converted, INTENSITY_FIELDS, function(value) {
+        return fromInchesTo(toInches(value, from, MM_PER_INCH), to, MM_PER_INCH);
+    });
+    convertFields(converted, ACCUMULATION_FIELDS, function(value) {
+        return fromInchesTo(toInches(value, from, CM_PER_INCH), to, CM_PER_INCH);
+    });
+    convertFields(converted, DISTANCE_FIELDS, function(value) {
+        return fromMiles(toMiles(value, from), to);
+    });
+    return converted;
+}
+
+
+/**
+ * Convert forecast facts (temperatures, rain episodes, wind, and so on) between unit systems
+ *
+ * @param  {Array} facts The facts
+ * @param  {String} from The unit system the facts are in
+ * @param  {String} to   The unit system to convert to
+ * @return {Array}       The converted facts (copies, the originals are not changed)
+ */
+function convertFacts(facts, from, to) {
+    if (!Array.isArray(facts) || from === to) {
+        return facts;
+    }
+
+    return facts.map(function(fact) {
+        let converted = Object.assign({}, fact);
+        convertFields(converted, FACT_TEMPERATURE_FIELDS, function(value) {
+            return fromFahrenheit(toFahrenheit(value, from), to);
+        });
+        convertFields(converted, FACT_DIFFERENCE_FIELDS, function(value) {
+            return fromFahrenheitDifference(toFahrenheitDifference(value, from), to);
+        });
+        convertFields(converted, FACT_SPEED_FIELDS, function(value) {
+            return fromMph(toMph(value, from), to);
+        });
+        convertFields(converted, FACT_INTENSITY_FIELDS, function(value) {
+            return fromInchesTo(toInches(value, from, MM_PER_INCH), to, MM_PER_INCH);
+        });
+        convertFields(converted, FACT_ACCUMULATION_FIELDS, function(value) {
+            return fromInchesTo(toInches(value, from, CM_PER_INCH), to, CM_PER_INCH);
+        });
+        convertFields(converted, FACT_DISTANCE_FIELDS, function(value) {
+            return fromMiles(toMiles(value, from), to);
+        });
+        return converted;
+    });
+}
+
+
+/**
+ * Convert the threshold options given in the `units` system into US units for
+ * the text engine (only the options given are converted, the defaults are
+ * already in US units)
+ *
+ * @param  {Object} options The options passed in to the module
+ * @return {Object}         A copy of the options with the thresholds in US units
+ */
+function convertOptions(options) {
+    let system = getSystem(options.units);
+    let converted = Object.assign({}, options);
+    if (!system || system === 'us') {
+        return converted;
+    }
+
+    if (Array.isArray(options.avgTemps)) {
+        converted.avgTemps = options.avgTemps.map(function(temps) {
+            return {
+                high: toFahrenheit(temps.high, system),
+                low: toFahrenheit(temps.low, system)
+            };
+        });
+    }
+    if (typeof(options.dewPointBreak) === 'number') {
+        converted.dewPointBreak = toFahrenheit(options.dewPointBreak, system);
+    }
+    if (typeof(options.windBreak) === 'number') {
+        converted.windBreak = toMph(options.windBreak, system);
+    }
+    return converted;
+}
+
+
+/* ****************************************************** *
+                 SPOKEN VALUES
+ * ****************************************************** */
+
+/**
+ * Get a temperature to say out loud
+ *
+ * @param  {Number} value The temperature in degrees F
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to US units)
+ * @return {Number}       The rounded temperature in the requested unit system
+ */
+function getTemperature(value, o) {
+    return Math.round(fromFahrenheit(value, getSpokenSystem(o)));
+}
+
+/**
+ * Get a temperature to say out loud, formatted for the locale (and marked to be
+ * read as a number for SSML output)
+ *
+ * @param  {Number} value The temperature in degrees F
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to US units in English)
+ * @return {String}       The rounded temperature in the requested unit system
+ */
+function getTemperatureText(value, o) {
+    return ssml.cardinal(o, locales.number(o, getTemperature(value, o)));
+}
+
+/**
+ * Get a difference in temperatures (like "5 degrees above normal") to say out loud
+ *
+ * @param  {Number} value The difference in degrees F
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to US units)
+ * @return {Number}       The rounded difference in the requested unit system
+ */
+function getTemperatureDifference(value, o) {
+    return Math.round(isMetric(o) ? (value * 5 / 9) : value);
+}
+
+/**
+ * Get a speed to say out loud (without the units, see getSpeedText())
+ *
+ * @param  {Number} value The speed in miles per hour
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to US units)
+ * @return {Number}       The rounded speed in miles or kilometres per hour
+ */
+function getSpeed(value, o) {
+    // Nobody talks about the wind in meters per second, so SI is spoken in km/h
+    return Math.round(usesKilometres(o) ? value * KM_PER_MILE : value);
+}
+
+/**
+ * Get a speed to say out loud, with the units
+ *
+ * @param  {Number} value The speed in miles per hour
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to US units in English)
+ * @return {String}       For example "20 miles per hour" or "32 kilometres per hour"
+ */
+function getSpeedText(value, o) {
+    return locales.translate(o, usesKilometres(o) ? 'units.kilometresPerHour' : 'units.milesPerHour', { count: getSpeed(value, o) });
+}
+
+/**
+ * Whether to speak temperatures, precipitation, and distances in metric units
+ *
+ * @param  {Object} o The options for this instance of fuzzy weather (OPTIONAL, defaults to US units)
+ * @return {Boolean}  Whether the requested system is metric
+ */
+function isMetric(o) {
+    return getSpokenSystem(o) !== 'us';
+}
+
+/**
+ * Get a distance (like visibility) to say out loud
+ *
+ * @param  {Number} value The distance in miles
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to US units)
+ * @return {Number}       The distance in miles or kilometres (NOT rounded, these are often fractions)
+ */
+function getDistance(value, o) {
+    return fromMiles(value, getSpokenSystem(o));
+}
+
+/**
+ * Get an amount of rain or ice to say out loud
+ *
+ * @param  {Number} value The amount in inches
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to US units)
+ * @return {Number}       The amount in inches (US) or millimetres (everything else, NOT rounded)
+ */
+function getPrecipitation(value, o) {
+    return isMetric(o) ? value * MM_PER_INCH : value;
+}
+
+/**
+ * Get an amount of snow to say out loud
+ *
+ * @param  {Number} value The amount in inches
+ * @param  {Object} o     The options for this instance of fuzzy weather (OPTIONAL, defaults to US units)
+ * @return {Number}       The amount in inches (US) or centimetres (everything else, NOT rounded)
+ */
+function getSnowDepth(value, o) {
+    return isMetric(o) ? value * CM_PER_INCH : value;
+}
+
+/**
+ * Whether to speak distances (and wind speeds) in kilometres, the UK sticks with miles
+ *
+ * @param  {Object} o The options for this instance of fuzzy weather (OPTIONAL, defaults to US units)
+ * @return {Boolean}  Whether the requested system uses kilometres
+ */
+function usesKilometres(o) {
+    return isKilometres(getSpokenSystem(o));
+}
+
+
+/* ****************************************************** *
+                 VARIOUS HELPER METHODS
+ * ****************************************************** */
+
+function getSpokenSystem(o) {
+    return (o && getSystem(o.units)) || 'us';
+}
+
+function isKilometres(system) {
+    return system === 'si' || system === 'ca';
+}
+
+function convertFields(point, fields, convert) {
+    fields.forEach(function(field) {
+        if (typeof(point[field]) === 'number') {
+            point[field] = convert(point[field]);
+        }
+    });
+}
+
+function toFahrenheit(value, system) {
+    return (system === 'us') ? value : (value * 9 / 5) + 32;
+}
+
+function fromFahrenheit(value, system) {
+    return (system === 'us') ? value : (value - 32) * 5 / 9;
+}
+
+function toFahrenheitDifference(value, system) {
+    return (system === 'us') ? value : value * 9 / 5;
+}
+
+function fromFahrenheitDifference(value, system) {
+    return (system === 'us') ? value : value * 5 / 9;
+}
+
+function toInches(value, system, metricPerInch) {
+    return (system === 'us') ? value : value / metricPerInch;
+}
+
+function fromInchesTo(value, system, metricPerInch) {
+    return (system === 'us') ? value : value * metricPerInch;
+}
+
+function toMph(value, system) {
+    if (system === 'si') {
+        return value / 0.44704;
+    } else if (system === 'ca') {
+        return value / KM_PER_MILE;
+    }
+    return value;
+}
+
+function fromMph(value, system) {
+    if (system === 'si') {
+        return value * 0.44704;
+    } else if (system === 'ca') {
+        return value * KM_PER_MILE;
+    }
+    return value;
+}
+
+function toMiles(value, system) {
+    return isKilometres(system) ? value / KM_PER_MILE : value;
+}
+
+function fromMiles(value, system) {
+    return isKilometres(system) ? value * KM_PER_MILE : value;
+}
@@ -5,13 +5,29 @@ let debug = require('debug')('fuzzy-weather'),
     debugHourly = require('debug')('fuzzy-weather:hourly'),
     debugDaily = require('debug')('fuzzy-weather:daily'),
     _ = require('lodash'),
-    request = require('request'),
     moment = require('moment-timezone'),
-    tempModule = require('./conditions/temp');
+    providers = require('./providers'),
+    cache = require('./cache'),
+    errors = require('./errors'),
+    units = require('./units'),
+    locales = require('./locales'),
+    ssml = require('./ssml'),
+    conditionModules = require('./conditions'),
+    tempModule = require('./conditions/temp'),
+    windModule = require('./conditions/wind'),
+    cloudsModule = require('./conditions/clouds'),
+    stormModule = require('./conditions/storm'),
+    fogModule = require('./conditions/fog'),
+    iceModule = require('./conditions/ice'),
+    astronomy = require('./astronomy');
 require('./array-util');
 
 const OPTIONS = {
+    provider: 'darksky',
     apiKey: null,
+    units: 'us',           // "us", "si", "ca", or "uk" for the data we respond with and the text (see ./units.js)
+    locale: 'en',          // "en" or "es" for the forecast text (see ./locales)
+    output: 'text',        // "text" or "ssml" for the forecast text (see ./ssml.js)
     location: { lat: null, lng: null },
     avgTemps: [            // averages for Washington, DC
         {high:40, low:30}, // Jan
@@ -27,16 +43,66 @@ const OPTIONS = {
         {high:60, low:40}, // Nov
         {high:45, low:35}  // Dec
     ],
+    maxConditions: 3,      // the most conditions (rain, wind, etc) to narrate for a day, most severe first
     dewPointBreak: 69,
     humidityBreak: 0.70,
     windBreak: 15,
-    cloudBreak: 0.65
+    cloudBreak: 0.65,
+    uvBreak: 6,            // the UV index where the sun is strong enough to burn ("high" and up)
+    astronomy: false,      // whether to add sunrise, sunset, and the moon phase to daily summaries
+    http: {
+        timeout: 10000,    // ms to wait for the provider to respond
+        retries: 2,        // retries after the first attempt (for network errors, 429, and 5xx responses)
+        backoff: 500,      // ms before the first retry, doubled for each one after that
+        maxBackoff: 10000, // the longest wait between attempts (including for Retry-After)
+        jitter: true
+    },
+    cache: {
+        ttl: 600,          // in seconds, set to 0 to turn off caching
+        store: 'memory',   // "memory", "file", or your own store object
+        dir: null          // for the "file" store
+    }
 };
 
+// The conditions described in the overview for a range of days (see the "overview.<topic>" messages)
+const OVERVIEW_TOPICS = [
+    'storm', 'rain', 'snow', 'heat', 'heat-humid', 'humidity', 'cold', 'cold-wind', 'fog', 'ice', 'clouds', 'uv', 'wind'
+];
+
 module.exports = function(options = {}) {
+    if (!units.getSystem(options.units)) {
+        throw new errors.ConfigError(
+            `Unknown unit system (${options.units}), use one of: ${units.SYSTEMS.join(', ')}`,
+            errors.CODES.INVALID_UNITS,
+            { option: 'units' }
+        );
+    }
+    if (!locales.getLocale(options.locale)) {
+        throw new errors.ConfigError(
+            `Unknown locale (${options.locale}), use one of: ${locales.LOCALES.join(', ')}`,
+            errors.CODES.INVALID_LOCALE,
+            { option: 'locale' }
+        );
+    }
+    if (!ssml.getOutput(options.output)) {
+        throw new errors.ConfigError(
+            `Unknown output (${options.output}), use one of: ${ssml.OUTPUTS.join(', ')}`,
+            errors.CODES.INVALID_OUTPUT,
+            { option: 'output' }
+        );
+    }
+
+    // The text engine works in US units, so any thresholds given in other units are converted
     let o = {};
-    _.merge(o, OPTIONS, options);
+    _.merge(o, OPTIONS, units.convertOptions(options));
+    o.units = units.getSystem(o.units);
+    o.locale = locales.getLocale(o.locale);
+    o.output = ssml.getOutput(o.output);
     debug('Setting up new fuzzy-weather with options:', o);
+    let forecastCache = cache.create(o.cache);
+
+    getWeatherForDate.getWeek = getWeek;
+    getWeatherForDate.getRange = getRange;
     return getWeatherForDate;
 
     /**
@@ -52,97 +118,298 @@ module.exports = function(options = {}) {
      *                                         }
      *                                       Note that the Object for each section above will always contain:
      *                                         {
-     *                                           data: Object,       // Direct from the Dark Sky API
+     *                                           data: Object,       // From the provider, normalized to the Dark Sky format
+     *                                                               // (in the requested `units`)
      *                                           conditions: Object, // key / readable text (i.e. "heat": "it'll be scorcher tomorrow")
      *                                                               // These "conditions" will only be present when necessary (like it's really hot)
-     *                                           forecast: String    // suitable for voice output
+     *                                                               // With the `astronomy` option the daily summary will also have an
+     *                                                               // "astronomy" entry with the sunrise/sunset/moon phase values
+     *                                           facts: Array,       // what the forecast text is built from, each with a `type`
+     *                                                               // (i.e. { type: "rain-episode", start, peak, probability, ... })
+     *                                           forecast: String    // suitable for voice output (SSML with the `output` option)
      *                                         }
-     *                                       May also reject with an {Error}
+     *                                       May also reject with a ConfigError, DateRangeError, ProviderError,
+     *                                       or ParseError (see ./errors.js)
      */
     function getWeatherForDate(requestedDate) {
-        return new Promise(function (resolve, reject) {
+        return new Promise(function (resolve) {
             debug('Getting weather for %s', requestedDate);
 
-            if (!o.apiKey) {
-                debug('API key?', o.apiKey);
-                return reject(new Error('No API key for Dark Sky provided'));
-            }
+            let provider = getProvider();
+            let reqDateObj = getRequestedDate(requestedDate);
 
-            if (!o.location || !o.location.lat || !o.location.lng ||
-                typeof(o.location.lat) !== 'number' || typeof(o.location.lng) !== 'number') {
-                debug('lat/lng?', o.location.lat, o.location.lng);
-                return reject(new Error('Lattitude and longitude must be provided and be numeric'));
-            }
+            resolve(getForecastData(provider).then(function(data) {
+                return convertReport(o, getReport(o, data, reqDateObj));
+            }));
+        });
+    }
 
-            let now = new Date();
-            let todaySimple = moment(now).format('YYYY-MM-DD');
+    /**
+     * Get the weather for the next seven days (including today) from a single
+     * provider request.
+     *
+     * @return {Promise} Will resolve with the same data as getRange()
+     */
+    function getWeek() {
+        let now = Date.now();
+        return getRange(now, now + (86400000 * 6));
+    }
 
-            // No date? no problem! Just get today's weather.
-            if (!requestedDate) {
-                requestedDate = now.getTime();
+    /**
+     * Get the weather for each day in the given range (inclusive) from a single
+     * provider request, plus an overview of the entire range.
+     *
+     * @param  {String|Number} start Anything that can be passed into new Date() (OPTIONAL, will use current date otherwise)
+     * @param  {String|Number} end   Anything that can be passed into new Date() (OPTIONAL, will use the start date otherwise)
+     * @return {Promise}             Will resolve with an object containing the weather reports:
+     *                                 {
+     *                                   start: Date,
+     *                                   end: Date,
+     *                                   days: Array,     // each entry is the same object getWeatherForDate() resolves with
+     *                                   overview: String // the "week ahead" summary of the range, suitable for voice output
+     *                                 }
+     *                               May also reject with the same errors as getWeatherForDate()
+     */
+    function getRange(start, end) {
+        return new Promise(function (resolve) {
+            debug('Getting weather for range %s to %s', start, end);
+
+            let provider = getProvider();
+            let startDate = getRequestedDate(start);
+            let endDate = getRequestedDate(end || startDate.getTime());
+
+            if (endDate < startDate) {
+                throw new errors.DateRangeError(
+                    'The end of the date range must not be before the start',
+                    errors.CODES.INVALID_RANGE,
+                    { requestedDate: { start: startDate, end: endDate }, allowedRange: getAllowedRange(new Date()) }
+                );
             }
 
-            let reqDateObj = new Date(requestedDate);
-            if (!reqDateObj.getTime()) {
-                return reject(new Error('Please provide a valid date to check the weather for!'));
-            }
-            reqDateObj.setHours(0);
-            let simpleDate = moment(reqDateObj).format('YYYY-MM-DD');
+            resolve(getForecastData(provider).then(function(data) {
+                let days = [];
+                let endSimple = moment(endDate).format('YYYY-MM-DD');
+                for (let day = moment(startDate); day.format('YYYY-MM-DD') <= endSimple; day.add(1, 'd')) {
+                    days.push(getReport(o, data, day.toDate()));
+                }
 
-            if (simpleDate < todaySimple) {
-                return reject(new Error(`Unable to get weather foreacast for date in the past (${simpleDate})`));
-            } else if (reqDateObj.getTime() > (now.getTime() + (86400000 * 7))) {
-                return reject(new Error(`Only able to get weather for dates within 7 days of now (${simpleDate})`));
-            }
+                // the overview is worked out from the reports in US units (like everything else)
+                let overview = getRangeOverview(o, data, days);
+                return {
+                    start: startDate,
+                    end: endDate,
+                    days: days.map(function(report) { return convertReport(o, report); }),
+                    overview: overview
+                };
+            }));
+        });
+    }
 
-            request({
-                url: `https://api.darksky.net/forecast/${o.apiKey}/${o.location.lat},${o.location.lng}`
-            }, function(err, res, body) {
-                if (err) {
-                    debug('Error from API call', err);
-                    if (!(err instanceof Error)) {
-                        err = new Error(''+err);
-                    }
-                    return reject(err);
-                } else if (res.statusCode > 299) {
-                    debug('Non-200 status code from weather API:', res.statusCode, body);
-                    return reject(
-                        new Error(`There was a problem getting weather data: received non-200 status code (${res.statusCode})`)
-                    );
-                }
+    /**
+     * Find the provider to use and check the options it needs
+     *
+     * @return {Object} The provider (will throw a ConfigError if there is a problem)
+     */
+    function getProvider() {
+        let provider = providers.get(o.provider);
+        if (!provider) {
+            debug('provider?', o.provider);
+            throw new errors.ConfigError(
+                `Unknown or invalid weather provider (${o.provider && o.provider.name || o.provider})`,
+                errors.CODES.INVALID_PROVIDER,
+                { option: 'provider' }
+            );
+        }
 
-                let data;
-                try {
-                    data = JSON.parse(body);
-                } catch(e) {
-                    debug('Invalid JSON data from weather API:', body);
-                    return reject(new Error('The API did not return valid data.'));
-                }
+        let providerError = provider.validate && provider.validate(o);
+        if (providerError) {
+            throw providerError;
+        }
+
+        if (!o.location || !o.location.lat || !o.location.lng ||
+            typeof(o.location.lat) !== 'number' || typeof(o.location.lng) !== 'number') {
+            debug('lat/lng?', o.location.lat, o.location.lng);
+            throw new errors.ConfigError(
+                'Lattitude and longitude must be provided and be numeric',
+                errors.CODES.INVALID_LOCATION,
+                { option: 'location' }
+            );
+        }
+
+        return provider;
+    }
 
-                resolve({
-                    currently: getCurrentConditions(o, data, reqDateObj),
-                    dailySummary: getDailySummary(o, data, reqDateObj),
-                    detail: getDetail(o, data, reqDateObj),
-                    date: reqDateObj
+    /**
+     * Get the normalized forecast data from the provider, using the cache if
+     * we have recent data for this provider and location.
+     *
+     * @param  {Object} provider The weather provider to use
+     * @return {Promise}         Resolves with the normalized forecast data (always in US units),
+     *                           rejects with a ProviderError or ParseError
+     */
+    function getForecastData(provider) {
+        let name = provider.name || 'custom';
+        let key = `${name}:${o.location.lat},${o.location.lng}`;
+
+        return forecastCache.wrap(key, function loadForecast() {
+            return Promise.resolve()
+                .then(function() { return provider.fetch(o); })
+                .catch(function(err) {
+                    throw getTypedError(err, errors.ProviderError, errors.CODES.REQUEST_FAILED, name);
+                })
+                .then(function(raw) {
+                    try {
+                        return toUSUnits(provider.normalize(raw, o));
+                    } catch(err) {
+                        debug('Unable to normalize provider data:', err);
+                        throw getTypedError(err, errors.ParseError, errors.CODES.INVALID_DATA, name);
+                    }
                 });
-            });
         });
     }
 };
 
+/**
+ * Convert normalized forecast data from the provider's units (the `flags.units`,
+ * which we assume are US units if not present) into US units for the text engine
+ *
+ * @param  {Object} data The normalized forecast data
+ * @return {Object}      The forecast data in US units (will throw if the units are unknown)
+ */
+function toUSUnits(data) {
+    let dataUnits = (data && data.flags && data.flags.units) || 'us';
+    let system = units.getSystem(dataUnits);
+    if (!system) {
+        throw new Error(`Unknown units in forecast data (${dataUnits})`);
+    }
+    return (system === 'us') ? data : units.convertForecast(data, system, 'us');
+}
+
+/**
+ * Make sure the requested date is one we can forecast
+ *
+ * @param  {String|Number} requestedDate Anything that can be passed into new Date() (OPTIONAL, will use current date otherwise)
+ * @return {Date}                        The requested date (will throw a DateRangeError if it is not valid)
+ */
+function getRequestedDate(requestedDate) {
+    let now = new Date();
+    let todaySimple = moment(now).format('YYYY-MM-DD');
+    let allowedRange = getAllowedRange(now);
+
+    // No date? no problem! Just get today's weather.
+    if (!requestedDate) {
+        requestedDate = now.getTime();
+    }
+
+    let reqDateObj = new Date(requestedDate);
+    if (!reqDateObj.getTime()) {
+        throw new errors.DateRangeError(
+            'Please provide a valid date to check the weather for!',
+            errors.CODES.INVALID_DATE,
+            { requestedDate: requestedDate, allowedRange: allowedRange }
+        );
+    }
+    reqDateObj.setHours(0);
+    let simpleDate = moment(reqDateObj).format('YYYY-MM-DD');
+
+    if (simpleDate < todaySimple) {
+        throw new errors.DateRangeError(
+            `Unable to get weather foreacast for date in the past (${simpleDate})`,
+            errors.CODES.DATE_IN_PAST,
+            { requestedDate: reqDateObj, allowedRange: allowedRange }
+        );
+    } else if (reqDateObj.getTime() > allowedRange.end.getTime()) {
+        throw new errors.DateRangeError(
+            `Only able to get weather for dates within 7 days of now (${simpleDate})`,
+            errors.CODES.DATE_TOO_FAR,
+            { requestedDate: reqDateObj, allowedRange: allowedRange }
+        );
+    }
+
+    return reqDateObj;
+}
+
+function getAllowedRange(now) {
+    return {
+        start: moment(now).startOf('day').toDate(),
+        end: new Date(now.getTime() + (86400000 * 7))
+    };
+}
+
+/**
+ * Build the full weather report for a single date
+ *
+ * @param  {Object} o      The options for this instance of fuzzy weather
+ * @param  {Object} data   The normalized data from the weather provider
+ * @param  {Date} reqDate  The date of the request
+ * @return {Object}        The report: { date, currently, dailySummary, detail }
+ */
+function getReport(o, data, reqDate) {
+    return {
+        currently: getCurrentConditions(o, data, reqDate),
+        dailySummary: getDailySummary(o, data, reqDate),
+        detail: getDetail(o, data, reqDate),
+        date: reqDate
+    };
+}
+
+/**
+ * Convert the data in a weather report (from getReport()) into the `units`
+ * requested in the options, the text is already in those units
+ *
+ * @param  {Object} o       The options for this instance of fuzzy weather
+ * @param  {Object} report  The weather report (in US units, this is not changed)
+ * @return {Object}         A new weather report with its data in the requested units
+ */
+function convertReport(o, report) {
+    if (o.units === 'us') {
+        return report;
+    }
+
+    let convert = function(point) {
+        return units.convertDataPoint(point, 'us', o.units);
+    };
+    let converted = Object.assign({}, report);
+    ['currently', 'dailySummary', 'detail'].forEach(function(section) {
+        let info = report[section];
+        if (!info || !info.data) { return; }
+        converted[section] = Object.assign({}, info, {
+            data: Array.isArray(info.data) ? info.data.map(convert) : convert(info.data),
+            facts: units.convertFacts(info.facts, 'us', o.units)
+        });
+    });
+    return converted;
+}
+
+module.exports.errorCodes = errors.CODES;
+module.exports.FuzzyWeatherError = errors.FuzzyWeatherError;
+module.exports.ConfigError = errors.ConfigError;
+module.exports.DateRangeError = errors.DateRangeError;
+module.exports.ProviderError = errors.ProviderError;
+module.exports.ParseError = errors.ParseError;
+
+module.exports.registerCondition = conditionModules.register;
+module.exports.unregisterCondition = conditionModules.unregister;
+
+module.exports.stores = {
+    memory: cache.memoryStore,
+    file: cache.fileStore
+};
+
 /**
 * Build the text for the daily summary weather report for the given date
 *
 * @param  {Object} o      The options for this instance of fuzzy weather
-* @param  {Object} data   The data returned from the Dark Sky API
+* @param  {Object} data   The normalized data from the weather provider
 * @param  {Date} reqDate  The date of the request
-* @return {Object}        The daily summary text of the forecast { data, conditions, forecast }
+* @return {Object}        The daily summary text of the forecast { data, conditions, facts, forecast }
  */
 function getDailySummary(o, data, reqDate) {
     let simpleDate = moment(reqDate).format('YYYY-MM-DD');
     let info = {
         data: null,
         conditions: {},
+        facts: [],
         forecast: null
     };
 
@@ -151,31 +418,37 @@ function getDailySummary(o, data, reqDate) {
     data.daily.data.forEach(function(dailyData) {
         if (moment(dailyData.time * 1000).format('YYYY-MM-DD') === simpleDate) {
             dailyData.type = 'daily';
-            let day = getDayOfWeek(reqDate, true);
+            let day = getDayOfWeek(o, reqDate, true);
 
             info.data = dailyData;
-            let text = getDailyConditions(o, dailyData)
-                .map(function(condition, i) {
-                    let conditionMod,
+            let hasHeadline = false;
+            let text = getNarratedConditions(o, dailyData, getHoursOfDay(data, reqDate))
+                .map(function(narrated) {
+                    let condition = narrated.condition,
+                        conditionMod = narrated.module,
                         condText,
                         text = [];
 
                     debugDaily('getting text for condition:', condition);
-
-                    try {
-                        conditionMod = require('./conditions/' + condition.topic);
-                    } catch(err) {
-                        debugDaily('No condition module for %s', condition.topic);
-                    }
-
-                    if (!conditionMod) { return ''; }
-
-                    if (i === 0) {
-                        text.push(render(conditionMod.headline(), {
-                            day: day
-                        }));
+                    info.facts.push(getConditionFact(condition));
+
+                    // custom conditions could throw (or not give us text), so skip those
+                    let daily = getDailyConditionText(o, narrated, dailyData, data.timezone);
+                    condText = daily.text;
+                    if (condText === null) { return ''; }
+                    info.facts = info.facts.concat(daily.facts);
+
+                    if (!hasHeadline) {
+                        hasHeadline = true;
+                        let headline = getConditionText(condition.topic, 'headline', function() {
+                            return conditionMod.headline(o);
+                        });
+                        if (headline !== null) {
+                            text.push(render(headline, {
+                                day: day
+                            }));
+                        }
                     }
-                    condText = conditionMod.dailyText(condition, dailyData, data.timezone);
                     info.conditions[condition.topic] = condText;
                     text.push(render(condText, {
                         day: day
@@ -185,19 +458,29 @@ function getDailySummary(o, data, reqDate) {
                 .filter(function(piece) { return piece.trim().length; });
 
             let hour = moment(dailyData.time * 1000).format('h');
-            if (!text.length && day === 'today' && hour > 10) {
-                text.push('The rest of today will be pretty quiet weather wise,');
+            let isToday = simpleDate === moment(Date.now()).format('YYYY-MM-DD');
+            if (!text.length && isToday && hour > 10) {
+                text.push(locales.translate(o, 'daily.quietRestOfToday'));
             } else if (!text.length) {
-                text.push(render(`{day} will be pretty quiet weather wise,`, { day }));
+                text.push(render(locales.translate(o, 'daily.quiet'), { day }));
             }
 
 
             let refinedData = getHourByHourData(data, reqDate);
-            text.push(render(tempModule.summary(data.timezone, dailyData, (refinedData && refinedData.hourly)), {
+            let tempFacts = tempModule.summaryFacts(dailyData, (refinedData && refinedData.hourly), data.timezone);
+            info.facts = info.facts.concat(tempFacts);
+            text.push(render(tempModule.renderSummary(tempFacts, data.timezone, o), {
                 day: day
             }));
 
-            info.forecast = text.join(' ').replace(/\n/g, ' ');
+            if (o.astronomy) {
+                astronomy.fill([dailyData], o.location, data.timezone);
+                let values = astronomy.values(dailyData, o.location, data.timezone, o);
+                info.conditions.astronomy = values;
+                text.push(astronomy.summary(values, data.timezone, o));
+            }
+
+            setForecast(o, info, text);
         }
     });
 
@@ -209,14 +492,15 @@ function getDailySummary(o, data, reqDate) {
  * Build the text for the hour-by-hour (ish) weather report for the given date
  *
  * @param  {Object} o      The options for this instance of fuzzy weather
- * @param  {Object} data   The data returned from the Dark Sky API
+ * @param  {Object} data   The normalized data from the weather provider
  * @param  {Date} reqDate  The date of the request
- * @return {Object|null}   The hour-by-hour text of the forecast (null if not today or tomorrow)  { data, conditions, forecast }
+ * @return {Object|null}   The hour-by-hour text of the forecast (null if not today or tomorrow)  { data, conditions, facts, forecast }
  */
 function getDetail(o, data, reqDate) {
     let info = {
         data: null,
         conditions: {},
+        facts: [],
         forecast: null
     };
 
@@ -228,9 +512,7 @@ function getDetail(o, data, reqDate) {
     debugHourly(`getting hour-by-hour summary for ${simpleDate}`);
 
     let text = [];
-    let conditions = getDailyConditions(o, refinedData.daily);
-
-    // TODO: need to add full temperature data/text to the forecast in all cases where possible
+    let conditions = getNarratedConditions(o, refinedData.daily, refinedData.hourly);
 
     let dailyData = {};
     data.daily.data.forEach(function(singleDayData) {
@@ -240,22 +522,39 @@ function getDetail(o, data, reqDate) {
         }
     });
 
-    text.push(tempModule.summary(data.timezone, dailyData, refinedData.hourly));
+    let tempFacts = tempModule.detailFacts(refinedData.hourly, data.timezone);
+    info.facts = info.facts.concat(tempFacts);
+    text.push(tempModule.renderDetail(tempFacts, data.timezone, o));
 
-    conditions.forEach(function getHourlyText(condition) {
+    conditions.forEach(function getHourlyText(narrated) {
+        let condition = narrated.condition;
         try {
-            debugHourly('loading condition module for %s', condition.topic);
-            let conditionMod = require('./conditions/' + condition.topic);
-            text.push(conditionMod.hourlyText(refinedData.hourly, data.timezone, dailyData));
-            info.conditions[condition.topic] = conditionMod.dailyText(condition, dailyData, data.timezone);
+            debugHourly('getting hourly text for condition %s', condition.topic);
+            info.facts.push(getConditionFact(condition));
+            let hourlyText = null;
+            if (narrated.module.hourlyFacts && narrated.module.renderHourly) {
+                let facts = narrated.module.hourlyFacts(refinedData.hourly, data.timezone, dailyData, o);
+                hourlyText = narrated.module.renderHourly(facts, data.timezone, o);
+                info.facts = info.facts.concat(facts);
+            } else if (narrated.module.hourlyText) {
+                hourlyText = narrated.module.hourlyText(refinedData.hourly, data.timezone, dailyData, o);
+            }
+            if (typeof(hourlyText) === 'string' && hourlyText.length) {
+                text.push(hourlyText);
+            }
+            let daily = getDailyConditionText(o, narrated, dailyData, data.timezone);
+            if (daily.text !== null) {
+                info.conditions[condition.topic] = daily.text;
+                info.facts = info.facts.concat(daily.facts);
+            }
 
         } catch(err) {
             debugHourly('Cannot get conditions from module for %s:', condition.topic, err.message);
         }
     });
 
-    info.forecast = render(text.join(' ').replace(/\n/g, ' '), {
-        day: getDayOfWeek(reqDate, true)
+    setForecast(o, info, text, {
+        day: getDayOfWeek(o, reqDate, true)
     });
 
     return info;
@@ -309,19 +608,20 @@ function getHourByHourData(data, reqDate) {
 * Build the text for the current conditions (today / right now)
 *
 * @param  {Object} o      The options for this instance of fuzzy weather
-* @param  {Object} data   The data returned from the Dark Sky API
+* @param  {Object} data   The normalized data from the weather provider
 * @param  {Date} reqDate  The date of the request
-* @return {Object|null}   The current condition text of the forecast (or null if not for today) { data, conditions, forecast }
+* @return {Object|null}   The current condition text of the forecast (or null if not for today) { data, conditions, facts, forecast }
  */
 function getCurrentConditions(o, data, reqDate) {
     let simpleDate = moment(reqDate).format('YYYY-MM-DD');
     let todaySimple = moment(Date.now()).format('YYYY-MM-DD');
-    let avgTemps = o.avgTemps[(new Date(data.currently.time * 1000)).getMonth()];
 
     let text = [];
+    let sky;
     let info = {
         data: data.currently,
         conditions: {},
+        facts: [],
         forecast: null
     };
 
@@ -329,89 +629,112 @@ function getCurrentConditions(o, data, reqDate) {
 
     debugCurrently(`getting current conditions for ${simpleDate}`);
 
-    if (data.currently.precipProbability > 0.8) {
+    let facts = getCurrentFacts(o, data.currently);
+    let fact = function(type) {
+        return facts.filter(function(current) { return current.type === type; })[0];
+    };
+    info.facts = info.facts.concat(facts);
+
+    let precipFact = fact('current-precip');
+    if (precipFact) {
         let intensityText = '';
-        if (data.currently.precipIntensity > 0.7) {
-            intensityText = 'extremely heavy';
-        } else if (data.currently.precipIntensity > 0.2) {
+        if (precipFact.intensity > 0.7) {
+            intensityText = 'extremelyHeavy';
+        } else if (precipFact.intensity > 0.2) {
             intensityText = 'heavy';
-        } else if (data.currently.precipIntensity > 0.07) {
+        } else if (precipFact.intensity > 0.07) {
             intensityText = 'moderate';
-        } else if (data.currently.precipIntensity > 0.01) {
+        } else if (precipFact.intensity > 0.01) {
             intensityText = 'light';
         } else {
-            if (data.currently.precipType === 'snow') {
-                intensityText = 'very light';
+            if (precipFact.precipType === 'snow') {
+                intensityText = 'veryLight';
             } else {
                 intensityText = 'drizzling';
             }
         }
-        let precipText = `There is ${intensityText} ${data.currently.precipType} right now`;
-        text.push(precipText);
-        info.conditions[data.currently.precipType] = precipText;
+        let precip = locales.translate(o, `precip.${intensityText}`, {
+            type: locales.translate(o, `precip.${precipFact.precipType}`)
+        });
+        sky = locales.translate(o, 'current.precip', { precip: precip });
+        info.conditions[precipFact.precipType] = sky;
     } else {
-        if (data.currently.cloudCover < 0.4) {
-            text.push(`It's ${(data.currently.cloudCover > 0.1) ? 'mostly' : ''} sunny right now`);
-        } else if (data.currently.cloudCover < o.cloudBreak) {
-            text.push(`There are some clouds right now`);
-        } else {
-            let cloudText = `It's cloudy right now`;
-            text.push(cloudText);
-            info.conditions.clouds = cloudText;
+        let cloudsFact = fact('current-clouds');
+        sky = cloudsModule.currentText(cloudsFact.cover, o, cloudsFact.daytime);
+        if (cloudsFact.cover >= o.cloudBreak) {
+            info.conditions.clouds = sky;
         }
     }
 
-    let temp = `and it's currently ${Math.round(data.currently.temperature)} degrees`;
-    if (data.currently.apparentTemperature > (data.currently.temperature + 5) ||
-        data.currently.apparentTemperature < (data.currently.temperature - 5)) {
-        temp += `, but it feels like ${Math.round(data.currently.apparentTemperature)}`;
+    let tempFact = fact('current-temp');
+    let avgTemps = o.avgTemps[(new Date(tempFact.time * 1000)).getMonth()];
+    let tempValues = {
+        temp: units.temperatureText(tempFact.temperature, o),
+        feelsLike: units.temperatureText(tempFact.feelsLike, o)
+    };
+    let temp = locales.translate(o, 'current.temp', tempValues);
+    if (tempFact.feelsLike > (tempFact.temperature + 5) || tempFact.feelsLike < (tempFact.temperature - 5)) {
+        temp = locales.translate(o, 'current.tempFeelsLike', tempValues);
     }
-    text.push(temp + '.');
+    text.push(`${sky} ${temp}.`);
 
-    if (data.currently.temperature > avgTemps.high || data.currently.apparentTemperature > (avgTemps.high + 5)) {
+    if (tempFact.temperature > avgTemps.high || tempFact.feelsLike > (avgTemps.high + 5)) {
         info.conditions.heat = temp;
-    } else if (data.currently.temperature < avgTemps.low || data.currently.apparentTemperature < (avgTemps.low - 5)) {
+    } else if (tempFact.temperature < avgTemps.low || tempFact.feelsLike < (avgTemps.low - 5)) {
         info.conditions.cold = temp;
     }
 
-    if (data.currently.dewPoint >= o.dewPointBreak && data.currently.humidity >= o.humidityBreak) {
-        let humidText = `It'll feel sticky as well with ${Math.round(data.currently.humidity * 100)} percent humidity.`;
+    let humidityFact = fact('current-humidity');
+    if (humidityFact) {
+        let humidText = locales.translate(o, 'current.humidity', { percent: Math.round(humidityFact.humidity * 100) });
         text.push(humidText);
         info.conditions.humidity = humidText;
     }
 
-    if (data.currently.windSpeed > o.windBreak) {
-        let windText = `And the wind is up around ${Math.round(data.currently.windSpeed)} miles per hour.`;
+    let windFact = fact('current-wind');
+    if (windFact) {
+        let direction = windModule.directionText(windFact.bearing, o);
+        let windText = locales.translate(o, 'current.wind', {
+            speed: units.speedText(windFact.speed, o),
+            direction: direction ? locales.translate(o, 'wind.outOf', { direction: direction }) : ''
+        });
         text.push(windText);
         info.conditions.wind = windText;
     }
 
-    if (data.alerts && data.alerts.length) {
-        let alerts = [];
-        let types = [];
-        data.alerts.forEach(function checkAlertTime(alert) {
-            if (data.currently.time > alert.time && data.currently.time < alert.expires) {
-                if (types.includes(alert.title)) { return; }
-                types.push(alert.title);
+    conditionModules.custom().forEach(function(custom) {
+        if (!custom.module.currentText) { return; }
+        try {
+            let customText = custom.module.currentText(data.currently, o);
+            if (customText && typeof(customText) === 'string') {
+                text.push(customText);
+                info.conditions[custom.topic] = customText;
+            }
+        } catch(err) {
+            debugCurrently('Cannot get current text for custom condition %s:', custom.topic, err.message);
+        }
+    });
+
+    let alertFacts = getAlertFacts(data);
+    info.facts = info.facts.concat(alertFacts);
+    if (alertFacts.length) {
+        let alerts = alertFacts.map(function(alert) {
+            let until = '';
+            if (alert.expires) {
                 let expires = moment.tz(alert.expires * 1000, 'GMT').tz(data.timezone);
+                until = locales.translate(o, 'alert.until', { hour: locales.hour(o, expires) });
+            }
 
-                if (alert.title.toLowerCase() === 'special weather statement') {
-                    let description = alert.description.substr(0, alert.description.indexOf('For additional info'));
-                    alerts.push(`until ${expires.format('ha')}: ${description}`);
-                } else {
-                    alerts.push(`${alert.title} until ${expires.format('ha')}`);
-                }
+            if (alert.title.toLowerCase() === 'special weather statement') {
+                return ssml.emphasis(o, until ? `${until}: ${alert.description}` : alert.description);
             }
+            return ssml.emphasis(o, until ? `${alert.title} ${until}` : alert.title);
         });
-        if (alerts.length > 1) {
-            text.push('There are multiple weather alerts:');
-        } else if (alerts.length) {
-            text.push('There is a weather alert:');
-        }
-        text = text.concat(alerts);
+        let intro = locales.translate(o, (alerts.length > 1) ? 'alert.multiple' : 'alert.single');
+        text.push([intro].concat(alerts).join(' '));
     }
 
-    info.forecast = text.join(' ').replace(/\n/g, ' ');
+    setForecast(o, info, text);
     debugCurrently(info.forecast);
     return info;
 }
@@ -419,22 +742,42 @@ function getCurrentConditions(o, data, reqDate) {
 /**
  * This method takes some daily foreacast data and determines what conditions
  * exist that we want to report on. For example, if there is no wind expected
- * today then we don't need to say that. The data returned is an array of the
- * conditions that *should* be reported on, sorted by severity - `level` in
- * the data. Also included is a text `topic` and `probability` (although the
- * probability is often times just `1`).
+ * today then we don't need to say that. Every condition is checked on its own,
+ * so a rainy, windy, cold day will have all three. The data returned is an
+ * array of the conditions that *should* be reported on, sorted by severity -
+ * `level` in the data. Also included is a text `topic` and `probability`
+ * (although the probability is often times just `1`).
  *
- * @param  {Object} o    The options for this instance of fuzzy weather
- * @param  {Object} data Daily summary data as returned from Dark Sky API
- * @return {Array}       Sorted conditions, each entry being an object with:
- *                       - topic {String} for example: "rain", "wind", "clouds"
- *                       - probability {Number} percentage represented as 0-1
- *                       - level {Number} The severity from 1-10 (could be outside of this)
+ * Note that some conditions fold others in: "heat-humid" covers "humidity" and
+ * "cold-wind" covers "wind", so those will not be reported twice. Stormy days
+ * will usually have "rain" as well, but the "storm" is always more severe, and
+ * the same goes for "ice" (sleet, or rain at or below freezing) over "rain".
+ * Freezing rain can only be found from the hours of the day, so pass those in
+ * when the provider has them.
+ * Any custom conditions (see `registerCondition()`) are checked with their own
+ * `detect()` method and sorted in with the rest.
+ *
+ * @param  {Object} o          The options for this instance of fuzzy weather
+ * @param  {Object} data       Daily summary data as normalized from the weather provider
+ * @param  {Array} hourlyData  The hourly data for the same day (OPTIONAL)
+ * @return {Array}             Sorted conditions, each entry being an object with:
+ *                             - topic {String} for example: "rain", "wind", "clouds"
+ *                             - probability {Number} percentage represented as 0-1
+ *                             - level {Number} The severity from 1-10 (could be outside of this)
  */
-function getDailyConditions(o, data) {
+function getDailyConditions(o, data, hourlyData) {
     let avgTemps = o.avgTemps[(new Date(data.time * 1000)).getMonth()],
         conditions = [];
 
+    // -------- THUNDERSTORMS (always more severe than just rain)
+    if (stormModule.isStormy(data)) {
+        conditions.push({
+            topic: 'storm',
+            probability: data.precipProbability,
+            level: ((data.precipIntensityMax || 0) * 10 * 2) + 10
+        });
+    }
+
     // -------- RAIN
     if (data.precipType === 'rain' && data.precipProbability > 0.1 && data.precipIntensityMax > 0.01) {
         conditions.push({
@@ -445,70 +788,94 @@ function getDailyConditions(o, data) {
 
     // -------- SNOW
     } else if (data.precipType === 'snow' && data.precipProbability > 0.1 && data.precipIntensityMax > 0.005) {
-        let level = (1 - data.visibility);
-        if (level < 1) {
-            // if visibility isn't indicative, let's use precipAccumulation
-            level = data.precipAccumulation;
-        }
-
         conditions.push({
             topic: 'snow',
             probability: data.precipProbability,
-            level: level
+            level: Math.max((data.precipAccumulation || 0), (data.precipIntensityMax * 10 * 2))
         });
 
-    // -------- SLEET
-    } else if (data.precipType === 'sleet' && data.precipProbability > 0.1 && data.precipIntensityMax > 0.05) {
+    }
+
+    // -------- ICE (sleet, or rain at or below freezing, is always more severe than just rain or snow)
+    if (iceModule.isIcy(data, hourlyData)) {
         conditions.push({
-            topic: 'snow',
+            topic: 'ice',
             probability: data.precipProbability,
-            level: data.precipAccumulation * 10
+            level: ((data.precipIntensityMax || 0) * 10 * 2) + 15
+        });
+    }
+
+    // -------- FOG
+    if (fogModule.isFoggy(data)) {
+        let visibility = (typeof(data.visibility) === 'number') ? data.visibility : 3;
+        conditions.push({
+            topic: 'fog',
+            probability: 1,
+            level: Math.max(1, (3 - visibility) * 3)
         });
+    }
 
     // -------- HEAT (and humidity)
-    } else if (data.temperatureMax > avgTemps.high || data.apparentTemperatureMax > (avgTemps.high + 5)) {
+    let isHumid = (data.dewPoint > o.dewPointBreak || data.humidity > o.humidityBreak);
+    let isHot = (data.temperatureMax > avgTemps.high || data.apparentTemperatureMax > (avgTemps.high + 5));
+    if (isHot) {
         let level = Math.max((data.temperatureMax - avgTemps.high), (data.apparentTemperatureMax - avgTemps.high));
-        if (data.dewPoint > o.dewPointBreak || data.humidity > o.humidityBreak) {
+        if (isHumid) {
             level += ((data.dewPoint - o.dewPointBreak) + (data.humidity - o.humidityBreak)) / 2;
         }
 
         conditions.push({
-            topic: (data.dewPoint > o.dewPointBreak || data.humidity > o.humidityBreak) ? 'heat-humid' : 'heat',
+            topic: isHumid ? 'heat-humid' : 'heat',
             probability: 1,
             level: level
         });
+    }
 
     // -------- HUMIDITY
-    } else if (data.dewPoint > (o.dewPointBreak * 0.90) && data.humidity > (o.humidityBreak * 0.90)) {
+    if (!(isHot && isHumid) && data.dewPoint > (o.dewPointBreak * 0.90) && data.humidity > (o.humidityBreak * 0.90)) {
         conditions.push({
             topic: 'humidity',
             probability: 1,
             level: (data.dewPoint - o.dewPointBreak) + (data.humidity - o.humidityBreak)
         });
+    }
 
     // -------- COLD (and windy)
-    } else if (data.temperatureMin < avgTemps.low || data.apparentTemperatureMin < (avgTemps.low - 5)) {
+    let isWindy = (data.windSpeed > o.windBreak);
+    let isCold = (data.temperatureMin < avgTemps.low || data.apparentTemperatureMin < (avgTemps.low - 5));
+    if (isCold) {
         let level = Math.max((avgTemps.low - data.temperatureMin), (avgTemps.low - data.apparentTemperatureMin));
-        if (data.windSpeed > o.windBreak) {
+        if (isWindy) {
             level += ((data.windSpeed - o.windBreak) / 5);
         }
 
         conditions.push({
-            topic: (data.windSpeed > o.windBreak) ? 'cold-wind' : 'cold',
+            topic: isWindy ? 'cold-wind' : 'cold',
             probability: 1,
             level: level
         });
+    }
 
     // -------- CLOUDS
-    } else if (data.cloudCover > o.cloudBreak) {
+    if (data.cloudCover > o.cloudBreak) {
         conditions.push({
             topic: 'clouds',
             probability: 1,
             level: (data.cloudCover - o.cloudBreak) * 50
         });
+    }
+
+    // -------- UV
+    if (data.uvIndex >= o.uvBreak) {
+        conditions.push({
+            topic: 'uv',
+            probability: 1,
+            level: data.uvIndex - o.uvBreak + 1
+        });
+    }
 
     // -------- WIND
-    } else if (data.windSpeed > o.windBreak) {
+    if (isWindy && !isCold) {
         conditions.push({
             topic: 'wind',
             probability: 1,
@@ -516,16 +883,286 @@ function getDailyConditions(o, data) {
         });
     }
 
+    // -------- CUSTOM CONDITIONS
+    conditionModules.custom().forEach(function(custom) {
+        let detected = null;
+        try {
+            detected = custom.module.detect(data, o);
+        } catch(err) {
+            debug('Cannot detect custom condition %s:', custom.topic, err.message);
+        }
+        if (!detected) { return; }
+
+        conditions.push({
+            topic: custom.topic,
+            probability: (typeof(detected.probability) === 'number') ? detected.probability : 1,
+            level: (typeof(detected.level) === 'number') ? detected.level : 1
+        });
+    });
+
     return conditions.sort(function(a, b) {
         return b.level - a.level;
     });
 }
 
+/**
+ * Get the conditions to narrate for the day: the most severe ones (up to the
+ * `maxConditions` option) that we have a condition module for.
+ *
+ * @param  {Object} o          The options for this instance of fuzzy weather
+ * @param  {Object} data       Daily summary data as normalized from the weather provider
+ * @param  {Array} hourlyData  The hourly data for the same day (OPTIONAL)
+ * @return {Array}             Sorted conditions, each entry being an object with:
+ *                             - condition {Object} The condition (see getDailyConditions())
+ *                             - module {Object} The condition module to get text from
+ */
+function getNarratedConditions(o, data, hourlyData) {
+    return getDailyConditions(o, data, hourlyData)
+        .map(function(condition) {
+            let conditionMod = conditionModules.get(condition.topic);
+            if (!conditionMod) {
+                debug('No condition module for %s', condition.topic);
+            }
+            return { condition: condition, module: conditionMod };
+        })
+        .filter(function(narrated) { return !!narrated.module; })
+        .slice(0, o.maxConditions);
+}
+
+
+/**
+ * Build the spoken overview for a range of days (like the week ahead). This
+ * highlights which days have notable conditions, the warmest and coolest days,
+ * and which days will be quiet.
+ *
+ * @param  {Object} o    The options for this instance of fuzzy weather
+ * @param  {Object} data The normalized data from the weather provider
+ * @param  {Array} days  The weather reports for each day in the range (see getReport())
+ * @return {String}      The overview text
+ */
+function getRangeOverview(o, data, days) {
+    let text = [];
+    let topicDays = {};
+    let quietDays = [];
+    let warmest = null;
+    let coolest = null;
+
+    days.forEach(function(report) {
+        let dailyData = report.dailySummary.data;
+        if (!dailyData) { return; }
+
+        let day = getDayOfWeek(o, report.date, true);
+        let conditions = getDailyConditions(o, dailyData, getHoursOfDay(data, report.date)).filter(function(condition) {
+            return !!getOverviewTopic(o, condition.topic);
+        });
+
+        if (!conditions.length) {
+            quietDays.push(day);
+        }
+        conditions.forEach(function(condition) {
+            topicDays[condition.topic] = topicDays[condition.topic] || [];
+            topicDays[condition.topic].push(day);
+        });
+
+        if (!warmest || dailyData.temperatureMax > warmest.temp) {
+            warmest = { day: day, temp: dailyData.temperatureMax };
+        }
+        if (!coolest || dailyData.temperatureMax < coolest.temp) {
+            coolest = { day: day, temp: dailyData.temperatureMax };
+        }
+    });
+
+    if (!warmest) { return ''; }
+
+    if (days.length > 6) {
+        text.push(locales.translate(o, 'overview.week'));
+    } else {
+        text.push(locales.translate(o, 'overview.through', { day: getDayOfWeek(o, days[days.length - 1].date, true) }));
+    }
+
+    if (quietDays.length === days.length) {
+        text.push(locales.translate(o, 'overview.quietStretch'));
+    } else {
+        Object.keys(topicDays)
+            .sort(function(a, b) { return topicDays[b].length - topicDays[a].length; })
+            .forEach(function(topic, i) {
+                let when = (topicDays[topic].length === days.length) ?
+                    locales.translate(o, 'overview.everyDay') : locales.list(o, topicDays[topic]);
+                let expectText = locales.translate(o, 'overview.expect', { topic: getOverviewTopic(o, topic), when: when });
+                text.push((i === 0) ? expectText : capitalize(expectText));
+            });
+
+        if (quietDays.length) {
+            text.push(capitalize(locales.translate(o, 'overview.quietDays', { days: locales.list(o, quietDays) })));
+        }
+    }
+
+    if (warmest.day !== coolest.day) {
+        text.push(locales.translate(o, 'overview.temps', {
+            warmest: warmest.day,
+            warmestHigh: units.temperatureText(warmest.temp, o),
+            coolest: coolest.day,
+            coolestHigh: units.temperatureText(coolest.temp, o)
+        }));
+    }
+
+    return ssml.speak(o, text.join(' ').replace(/\n/g, ' '));
+}
+
 
 /* ****************************************************** *
                  VARIOUS HELPER METHODS
  * ****************************************************** */
 
+/**
+ * Get the alerts in effect right now (once each, some providers repeat them
+ * for each area they cover)
+ *
+ * @param  {Object} data The normalized data from the weather provider
+ * @return {Array}       The alert facts: { type: 'alert', title, start, expires, description }
+ *                       (the times are unix timestamps in seconds, `expires` is null for open-ended alerts)
+ */
+function getAlertFacts(data) {
+    let facts = [];
+    (data.alerts || []).forEach(function checkAlertTime(alert) {
+        // Some providers have open-ended alerts (no expiration)
+        if (data.currently.time > alert.time && (!alert.expires || data.currently.time < alert.expires)) {
+            if (facts.some(function(fact) { return fact.title === alert.title; })) { return; }
+            facts.push({
+                type: 'alert',
+                title: alert.title,
+                start: alert.time,
+                expires: alert.expires || null,
+                description: getAlertDescription(alert.description)
+            });
+        }
+    });
+    return facts;
+}
+
+/**
+ * Get the facts about the weather right now (the precipitation or clouds, the
+ * temperature, and the humidity and wind if they are worth mentioning)
+ *
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @param  {Object} currently The current data from the weather provider
+ * @return {Array}            The facts (the time is a unix timestamp in seconds):
+ *                            { type: 'current-precip', precipType, probability, intensity } (if it is likely)
+ *                            { type: 'current-clouds', cover, daytime } (if there isn't any precipitation)
+ *                            { type: 'current-temp', time, temperature, feelsLike }
+ *                            { type: 'current-humidity', dewPoint, humidity } (if it is sticky)
+ *                            { type: 'current-wind', speed, bearing } (if it is windy, the bearing could be null)
+ */
+function getCurrentFacts(o, currently) {
+    let facts = [];
+    if (currently.precipProbability > 0.8) {
+        facts.push({
+            type: 'current-precip',
+            precipType: currently.precipType,
+            probability: currently.precipProbability,
+            intensity: currently.precipIntensity
+        });
+    } else {
+        facts.push({
+            type: 'current-clouds',
+            cover: currently.cloudCover,
+            daytime: !/-night$/.test(currently.icon || '')
+        });
+    }
+
+    facts.push({
+        type: 'current-temp',
+        time: currently.time,
+        temperature: currently.temperature,
+        feelsLike: currently.apparentTemperature
+    });
+
+    if (currently.dewPoint >= o.dewPointBreak && currently.humidity >= o.humidityBreak) {
+        facts.push({ type: 'current-humidity', dewPoint: currently.dewPoint, humidity: currently.humidity });
+    }
+
+    if (currently.windSpeed > o.windBreak) {
+        facts.push({
+            type: 'current-wind',
+            speed: currently.windSpeed,
+            bearing: (typeof(currently.windBearing) === 'number') ? currently.windBearing : null
+        });
+    }
+    return facts;
+}
+
+/**
+ * Get some text from a condition module (which may be custom), or null if it
+ * throws or doesn't give us a string
+ */
+function getConditionText(topic, type, getText) {
+    try {
+        let text = getText();
+        if (typeof(text) === 'string') {
+            return text;
+        }
+        debugDaily('The %s text for condition %s is not a string:', type, topic, text);
+    } catch(err) {
+        debugDaily('Cannot get %s text for condition %s:', type, topic, err.message);
+    }
+    return null;
+}
+
+/**
+ * Get the daily text for a condition, built from its facts if the module has
+ * them (the text is null if the module throws or doesn't give us a string)
+ *
+ * @param  {Object} o         The options for this instance of fuzzy weather
+ * @param  {Object} narrated  The condition and its module: { condition, module }
+ * @param  {Object} dailyData The daily data for the day
+ * @param  {String} timezone  The timezone for the weather data
+ * @return {Object}           The text and the facts it was built from: { text, facts }
+ */
+function getDailyConditionText(o, narrated, dailyData, timezone) {
+    let facts = [];
+    let text = getConditionText(narrated.condition.topic, 'daily', function() {
+        if (narrated.module.dailyFacts && narrated.module.renderDaily) {
+            facts = narrated.module.dailyFacts(narrated.condition, dailyData, timezone, o);
+            return narrated.module.renderDaily(facts, timezone, o);
+        }
+        return narrated.module.dailyText(narrated.condition, dailyData, timezone, o);
+    });
+    return { text: text, facts: (text === null) ? [] : facts };
+}
+
+function getHoursOfDay(data, date) {
+    let simpleDate = moment(date).format('YYYY-MM-DD');
+    return ((data.hourly && data.hourly.data) || []).filter(function(hourData) {
+        return moment(hourData.time * 1000).format('YYYY-MM-DD') === simpleDate;
+    });
+}
+
+function getConditionFact(condition) {
+    return { type: 'condition', topic: condition.topic, level: condition.level, probability: condition.probability };
+}
+
+function getOverviewTopic(o, topic) {
+    if (OVERVIEW_TOPICS.includes(topic)) {
+        return locales.translate(o, `overview.${topic}`);
+    }
+    let conditionMod = conditionModules.get(topic);
+    return (conditionMod && conditionMod.overview) || null;
+}
+
+/**
+ * Set the finished forecast text (for the requested `output`) on a section of
+ * the report, the conditions text is always plain
+ */
+function setForecast(o, info, sections, data) {
+    Object.keys(info.conditions).forEach(function(topic) {
+        if (typeof(info.conditions[topic]) === 'string') {
+            info.conditions[topic] = ssml.plain(info.conditions[topic]);
+        }
+    });
+    let text = ssml.sections(o, sections).replace(/\n/g, ' ');
+    info.forecast = ssml.speak(o, data ? render(text, data) : text);
+}
+
 function render(text, data) {
     var newText = text;
     Object.keys(data).forEach(function(key) {
@@ -534,16 +1171,48 @@ function render(text, data) {
     return newText;
 }
 
-function getDayOfWeek(date, useFamiliar) {
+/**
+ * Make sure errors from providers (which might be custom) are one of our
+ * error types, and that we know which provider they came from.
+ */
+function getTypedError(err, ErrorType, code, provider) {
+    if (!(err instanceof errors.FuzzyWeatherError)) {
+        err = new ErrorType(
+            `There was a problem getting weather data: ${(err && err.message) || err}`,
+            code,
+            { cause: err }
+        );
+    }
+    err.provider = err.provider || provider;
+    return err;
+}
+
+function getAlertDescription(description) {
+    description = description || '';
+
+    // Dark Sky descriptions have a bunch of boilerplate at the end, NWS
+    // descriptions are split into paragraphs, we only want the first bit
+    let end = description.indexOf('For additional info');
+    if (end < 0) {
+        end = description.search(/\n\s*\n/);
+    }
+    return (end < 0) ? description : description.substr(0, end);
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.substr(1);
+}
+
+function getDayOfWeek(o, date, useFamiliar) {
     let now = Date.now();
-    let day = 'that day';
+    let day;
 
     if (useFamiliar && moment(date).format('YYYY-MM-DD') === moment(now).format('YYYY-MM-DD')) {
-        day = 'today';
+        day = locales.translate(o, 'day.today');
     } else if (useFamiliar && moment(date).format('YYYY-MM-DD') === moment(now + (1000*60*60*24)).format('YYYY-MM-DD')) {
-        day = 'tomorrow';
+        day = locales.translate(o, 'day.tomorrow');
     } else {
-        day = moment(date).format('dddd');
+        day = locales.translate(o, 'day.weekday', { weekday: locales.dayOfWeek(o, date) });
     }
     return day;
 }
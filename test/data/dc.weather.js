@@ -52,6 +52,7 @@ function generateHourByHour(conditions = {}, now = 0) {
     let tempsDayTwo = [];
     let maxPrecipProbability = 1 - (Math.random() / 2);
     let maxPrecipIntensity = (maxPrecipProbability * 0.8) - (Math.random() / 2);
+    let maxSnowIntensity = 0.02 + (Math.random() * 0.08);  // liquid equivalent
 
     conditions.maxTemp = conditions.maxTemp || 75;
     conditions.minTemp = conditions.minTemp || 55;
@@ -91,13 +92,14 @@ function generateHourByHour(conditions = {}, now = 0) {
         }
     }
 
-    let startDate = new Date(now * 1000);
+    // the hours of the day are in DC time, wherever the tests are run
+    let startDate = moment.tz(now * 1000, TZ);
     for (let i=0; i<49; ++i) {
-        let nowDate = (new Date((now + (i * 3600)) * 1000));
-        let clockHour = nowDate.getHours();
+        let nowDate = moment.tz((now + (i * 3600)) * 1000, TZ);
+        let clockHour = nowDate.hours();
 
         let baseTemp = temps[clockHour];
-        if (tempsDayTwo.length && nowDate.getDate() !== startDate.getDate()) {
+        if (tempsDayTwo.length && nowDate.date() !== startDate.date()) {
             baseTemp = tempsDayTwo[clockHour];
         }
 
@@ -128,30 +130,35 @@ function generateHourByHour(conditions = {}, now = 0) {
                 let form = conditions.conditions[j].form || 'even';
                 let percentComplete = Math.max(0.1, (i - conditions.conditions[j].delay) / conditions.conditions[j].length);
 
-                if (conditions.conditions[j].type === 'rain') {
+                let type = conditions.conditions[j].type;
+                if (type === 'rain' || type === 'snow') {
+                    let maxIntensity = (type === 'snow') ? maxSnowIntensity : maxPrecipIntensity;
                     let intensity = 0;
                     let probability = 0;
                     if (form === 'bell') {
-                        intensity = Math.abs(maxPrecipIntensity - ((Math.abs(percentComplete - 0.5) * 1.5) * maxPrecipIntensity));
+                        intensity = Math.abs(maxIntensity - ((Math.abs(percentComplete - 0.5) * 1.5) * maxIntensity));
                         probability = maxPrecipProbability - Math.abs(percentComplete - 0.5);
                     } else if (form === 'even') {
-                        intensity = maxPrecipIntensity;
+                        intensity = maxIntensity;
                         probability = maxPrecipProbability;
                     } else if (form === 'increasing') {
-                        intensity = percentComplete * maxPrecipIntensity;
+                        intensity = percentComplete * maxIntensity;
                         probability = percentComplete * maxPrecipProbability;
                     } else if (form === 'decreasing') {
-                        intensity = (1.1 - percentComplete) * maxPrecipIntensity;
+                        intensity = (1.1 - percentComplete) * maxIntensity;
                         probability = (1.1 - percentComplete) * maxPrecipProbability;
                     }
 
                     _.merge(hour, {
-                        summary: 'Heavy Rain',
-                        icon: 'rain',
+                        summary: (type === 'snow') ? 'Heavy Snow' : 'Heavy Rain',
+                        icon: type,
                         precipIntensity: intensity,
                         precipProbability: probability,
-                        precipType: 'rain'
+                        precipType: type
                     });
+                    if (type === 'snow') {
+                        hour.visibility = Math.max(0.25, 10 - (intensity * 100));
+                    }
                 }
 
                 // TODO: add other conditions
@@ -164,7 +171,7 @@ function generateHourByHour(conditions = {}, now = 0) {
     for (let i=0; i<conditions.conditions.length; ++i) {
         let cond = conditions.conditions[i];
 
-        if (cond.type === 'rain') {
+        if (cond.type === 'rain' || cond.type === 'snow') {
             let form = cond.form || 'even';
             let maxPrecipTime = 0;
             if (form === 'even' || form === 'bell') {
@@ -175,12 +182,18 @@ function generateHourByHour(conditions = {}, now = 0) {
                 maxPrecipTime = now + ((cond.delay + 1) * 3600);
             }
 
+            let maxIntensity = (cond.type === 'snow') ? maxSnowIntensity : maxPrecipIntensity;
             let dailyData = {
-                precipIntensity: maxPrecipIntensity / 2,
-                precipIntensityMax: maxPrecipIntensity,
+                precipIntensity: maxIntensity / 2,
+                precipIntensityMax: maxIntensity,
                 precipIntensityMaxTime: maxPrecipTime,
-                precipProbability: maxPrecipProbability / 2
+                precipProbability: maxPrecipProbability / 2,
+                precipType: cond.type
             };
+            if (cond.type === 'snow') {
+                dailyData.precipAccumulation = (maxIntensity / 2) * cond.length * 10;
+                dailyData.visibility = Math.max(0.25, 10 - (maxIntensity * 100));
+            }
             if (cond.delay < 24) {
                 _.merge(daily[0], dailyData);
             } else {
@@ -0,0 +1,23 @@
+'use strict';
+
+let chai = require('chai'),
+    apparent = require('../../src/apparent-temperature');
+
+chai.should();
+let expect = chai.expect;
+
+describe('apparent temperature', function() {
+
+    it('should calculate the wind chill', function() {
+        expect(apparent.windChill(20, 15)).to.be.closeTo(6.2, 0.1);
+        expect(apparent.windChill(60, 15)).to.equal(60);
+        expect(apparent.windChill(20, 2)).to.equal(20);
+    });
+
+    it('should calculate the heat index', function() {
+        expect(apparent.heatIndex(96, 0.6)).to.be.closeTo(116, 0.5);
+        expect(apparent.heatIndex(75, 0.6)).to.equal(75);
+        expect(apparent.heatIndex(96, null)).to.equal(96);
+    });
+
+});
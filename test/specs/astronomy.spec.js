@@ -0,0 +1,113 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    astronomy = require('../../src/astronomy');
+
+const TZ = 'America/New_York';
+const DC = { lat: 38.9, lng: -77.03 };
+
+chai.should();
+let expect = chai.expect;
+
+function getLocalTime(time, timezone) {
+    return moment.tz(time * 1000, 'GMT').tz(timezone || TZ).format('YYYY-MM-DD h:mma');
+}
+
+describe('astronomy', function() {
+
+    describe('sun times', function() {
+
+        it('should calculate sunrise and sunset for the day', function() {
+            let sun = astronomy.sunTimes(moment.tz('2025-10-15T09:00:00', TZ).unix(), DC, TZ);
+            expect(getLocalTime(sun.sunriseTime)).to.equal('2025-10-15 7:18am');
+            expect(getLocalTime(sun.sunsetTime)).to.equal('2025-10-15 6:31pm');
+        });
+
+        it('should have a longer day in the summer', function() {
+            let sun = astronomy.sunTimes(moment.tz('2025-06-21T09:00:00', TZ).unix(), DC, TZ);
+            expect(getLocalTime(sun.sunriseTime)).to.equal('2025-06-21 5:44am');
+            expect(getLocalTime(sun.sunsetTime)).to.equal('2025-06-21 8:38pm');
+        });
+
+        it('should handle days where the sun never sets', function() {
+            let sun = astronomy.sunTimes(moment.tz('2025-06-21T12:00:00', 'UTC').unix(), { lat: 78.2, lng: 15.6 }, 'UTC');
+            expect(sun).to.deep.equal({ sunriseTime: null, sunsetTime: null });
+        });
+
+    });
+
+    describe('moon phase', function() {
+
+        it('should calculate the moon phase', function() {
+            expect(astronomy.moonPhase(moment.tz('2025-10-07T00:00:00', 'UTC').unix())).to.be.closeTo(0.5, 0.03);
+            expect(astronomy.moonPhase(moment.tz('2025-10-29T16:00:00', 'UTC').unix())).to.be.closeTo(0.25, 0.03);
+        });
+
+    });
+
+    describe('filling daily data', function() {
+
+        it('should only fill in missing values', function() {
+            let days = [
+                { time: moment.tz('2025-10-15T00:00:00', TZ).unix(), sunriseTime: 1760527000 },
+                { time: moment.tz('2025-10-16T00:00:00', TZ).unix(), moonPhase: 0.8 }
+            ];
+            astronomy.fill(days, DC, TZ);
+
+            expect(days[0].sunriseTime).to.equal(1760527000);
+            expect(getLocalTime(days[0].sunsetTime)).to.equal('2025-10-15 6:31pm');
+            expect(days[0].moonPhase).to.be.a('number');
+            expect(getLocalTime(days[1].sunriseTime)).to.equal('2025-10-16 7:19am');
+            expect(days[1].moonPhase).to.equal(0.8);
+        });
+
+    });
+
+    describe('astronomy text', function() {
+
+        it('should describe the sun and moon', function() {
+            let day = { time: moment.tz('2025-10-15T00:00:00', TZ).unix() };
+            astronomy.fill([day], DC, TZ);
+            let values = astronomy.values(day, DC, TZ);
+
+            expect(values.sunsetChange).to.equal(-1);
+            expect(values.moonPhaseName).to.equal('a last quarter moon');
+            expect(astronomy.summary(values, TZ)).to.equal(
+                'The sun rises at 7:18am and sets at 6:31pm, about a minute earlier than yesterday. ' +
+                'The moon will be a last quarter moon.'
+            );
+        });
+
+        it('should say how much later the sun sets', function() {
+            let values = {
+                sunriseTime: moment.tz('2025-03-10T07:23:00', TZ).unix(),
+                sunsetTime: moment.tz('2025-03-10T19:11:00', TZ).unix(),
+                sunsetChange: 2,
+                moonPhase: 0.35,
+                moonPhaseName: 'a waxing gibbous'
+            };
+            expect(astronomy.summary(values, TZ)).to.contain('about two minutes later than yesterday');
+        });
+
+        it('should skip the sun when it does not rise or set', function() {
+            let values = astronomy.values({ time: moment.tz('2025-06-21T00:00:00', 'UTC').unix(), moonPhase: 0.5 },
+                { lat: 78.2, lng: 15.6 }, 'UTC');
+            expect(astronomy.summary(values, 'UTC')).to.equal('The moon will be a full moon.');
+        });
+
+        it('should describe the sun and moon in Spanish', function() {
+            let day = { time: moment.tz('2025-10-15T00:00:00', TZ).unix() };
+            astronomy.fill([day], DC, TZ);
+            let values = astronomy.values(day, DC, TZ, { locale: 'es' });
+
+            expect(values.moonPhaseName).to.equal('cuarto menguante');
+            expect(astronomy.summary(values, TZ, { locale: 'es' })).to.equal(
+                'El sol sale a las 7:18 y se pone a las 18:31, un minuto antes que ayer. ' +
+                'Habrá cuarto menguante.'
+            );
+        });
+
+    });
+
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+let nock = require('nock'),
+    chai = require('chai'),
+    chaiPromise = require('chai-as-promised'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    cache = require('../../src/cache'),
+    errors = require('../../src/errors'),
+    weatherInit = require('../../src/weather'),
+    generator = require('../data/dc.weather');
+
+chai.use(chaiPromise);
+chai.should();
+let expect = chai.expect;
+
+const API_KEY = '1234567890';
+const LAT = 38.9649734;
+const LNG = -77.0207249;
+
+function wait(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+describe('cache', function() {
+
+    describe('memory store', function() {
+        it('should return nothing for an unknown key', function() {
+            return expect(cache.memoryStore().get('foo')).to.eventually.equal(undefined);
+        });
+
+        it('should store and retrieve a copy of the value', function() {
+            let store = cache.memoryStore();
+            let value = { expires: Date.now() + 10000, value: { temp: 42 } };
+            return store.set('foo', value)
+                .then(function() {
+                    value.value.temp = 13;
+                    return store.get('foo');
+                })
+                .then(function(entry) {
+                    expect(entry).to.deep.equal({ expires: value.expires, value: { temp: 42 } });
+                });
+        });
+    });
+
+    describe('file store', function() {
+        let dir = path.join(os.tmpdir(), `fuzzy-weather-test-${process.pid}`);
+
+        after(function() {
+            fs.readdirSync(dir).forEach(function(file) { fs.unlinkSync(path.join(dir, file)); });
+            fs.rmdirSync(dir);
+        });
+
+        it('should return nothing for an unknown key', function() {
+            return expect(cache.fileStore(dir).get('foo')).to.eventually.equal(null);
+        });
+
+        it('should store values in files and retrieve them', function() {
+            let value = { expires: Date.now() + 10000, value: { temp: 42 } };
+            return cache.fileStore(dir).set('darksky:1,2', value)
+                .then(function() {
+                    expect(fs.readdirSync(dir)).to.have.length(1);
+                    // a new store with the same directory should see the data
+                    return cache.fileStore(dir).get('darksky:1,2');
+                })
+                .then(function(entry) {
+                    expect(entry).to.deep.equal(value);
+                });
+        });
+    });
+
+    describe('wrapping loads', function() {
+        it('should only load once within the ttl', function() {
+            let c = cache.create({ ttl: 60 });
+            let loads = 0;
+            function load() { return Promise.resolve(++loads); }
+
+            return c.wrap('foo', load)
+                .then(function(value) {
+                    expect(value).to.equal(1);
+                    return c.wrap('foo', load);
+                })
+                .then(function(value) {
+                    expect(value).to.equal(1);
+                    return c.wrap('bar', load);
+                })
+                .then(function(value) {
+                    expect(value).to.equal(2);
+                });
+        });
+
+        it('should load again after the ttl expires', function() {
+            let c = cache.create({ ttl: 0.01 });
+            let loads = 0;
+            function load() { return Promise.resolve(++loads); }
+
+            return c.wrap('foo', load)
+                .then(function() { return wait(20); })
+                .then(function() { return c.wrap('foo', load); })
+                .then(function(value) {
+                    expect(value).to.equal(2);
+                });
+        });
+
+        it('should always load when the ttl is 0', function() {
+            let c = cache.create({ ttl: 0 });
+            let loads = 0;
+            function load() { return Promise.resolve(++loads); }
+
+            return c.wrap('foo', load)
+                .then(function() { return c.wrap('foo', load); })
+                .then(function(value) {
+                    expect(value).to.equal(2);
+                });
+        });
+
+        it('should still load when the store fails', function() {
+            let c = cache.create({
+                ttl: 60,
+                store: {
+                    get: function() { return Promise.reject(new Error('store is down')); },
+                    set: function() { throw new Error('store is down'); }
+                }
+            });
+            return expect(c.wrap('foo', function() { return Promise.resolve(42); })).to.eventually.equal(42);
+        });
+
+        it('should throw with an invalid store', function() {
+            expect(function() { cache.create({ ttl: 60, store: {} }); }).to.throw(errors.ConfigError);
+            expect(function() { cache.create({ ttl: 60, store: 'foobar' }); }).to.throw(errors.ConfigError);
+        });
+    });
+
+    describe('caching forecasts', function() {
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should only call the provider API once for multiple dates', function() {
+            let api = nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, generator());
+
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather()
+                .then(function() {
+                    return weather(Date.now() + 86400000);
+                })
+                .then(function(data) {
+                    expect(data).to.have.property('dailySummary').that.has.property('forecast').that.is.a('string');
+                    expect(api.isDone()).to.equal(true);
+                });
+        });
+
+        it('should call the provider API every time with caching turned off', function() {
+            let api = nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .times(2)
+                .reply(200, generator());
+
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, cache: { ttl: 0 } });
+
+            return weather()
+                .then(function() {
+                    expect(api.isDone()).to.equal(false);
+                    return weather();
+                })
+                .then(function() {
+                    expect(api.isDone()).to.equal(true);
+                });
+        });
+    });
+
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    clouds = require('../../src/conditions/clouds'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-03-15T00:00:00', TZ).unix();
+
+let options = {
+        cloudBreak: 0.65
+    },
+    cloudCondition = {
+        topic: 'clouds',
+        probability: 1,
+        level: 10
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Mostly cloudy throughout the day.',
+        'cloudCover':0.84
+    };
+
+chai.should();
+let expect = chai.expect;
+
+function getSkyHours(covers) {
+    let data = weatherDataGenerate(null, {
+        maxTemp: 60,
+        minTemp: 45,
+        conditions: []
+    }, '2025-03-15T06:30:00');
+    let hourly = data.hourly.data.slice(0,18);
+    hourly.forEach(function(hour, i) {
+        hour.cloudCover = covers[i];
+    });
+    return { hourly: hourly, timezone: data.timezone };
+}
+
+function fill(cover, length) {
+    let covers = [];
+    for (let i=0; i<length; ++i) {
+        covers.push(cover);
+    }
+    return covers;
+}
+
+describe('clouds module', function() {
+
+    describe('clouds headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = clouds.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('clouds daily text', function() {
+
+        it('should describe the sky cover', function() {
+            let result = clouds.dailyText(cloudCondition, dailyData, TZ, options);
+            expect(result).to.equal('Expect mostly cloudy skies, with about 84 percent cloud cover.');
+        });
+
+        it('should call a full sky overcast', function() {
+            let data = Object.assign({}, dailyData, { cloudCover: 0.97 });
+            let result = clouds.dailyText(cloudCondition, data, TZ, options);
+            expect(result).to.contain('overcast skies');
+        });
+
+    });
+
+    describe('clouds current text', function() {
+
+        it('should describe the current sky cover', function() {
+            expect(clouds.currentText(0.05, options)).to.equal(`It's sunny right now`);
+            expect(clouds.currentText(0.05, options, false)).to.equal(`It's clear right now`);
+            expect(clouds.currentText(0.3, options)).to.equal(`It's mostly sunny right now`);
+            expect(clouds.currentText(0.5, options)).to.equal(`It's partly cloudy right now`);
+            expect(clouds.currentText(0.7, options)).to.equal(`It's mostly cloudy right now`);
+            expect(clouds.currentText(0.95, options)).to.equal(`It's overcast right now`);
+        });
+
+        it('should respect the cloud break option', function() {
+            expect(clouds.currentText(0.7, { cloudBreak: 0.8 })).to.equal(`It's partly cloudy right now`);
+        });
+    });
+
+    describe('clouds hourly text', function() {
+
+        it('should describe the same sky all day', function() {
+            let data = getSkyHours(fill(0.9, 18));
+            let result = clouds.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal('Skies will stay mostly cloudy through {day}.');
+        });
+
+        it('should describe clouds clearing out', function() {
+            let data = getSkyHours(fill(0.9, 8).concat(fill(0.1, 10)));
+            let result = clouds.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal('Skies will be mostly cloudy to start, with clouds clearing out by mid-afternoon.');
+        });
+
+        it('should describe multiple transitions', function() {
+            let data = getSkyHours(fill(0.1, 4).concat(fill(0.5, 4), fill(0.9, 10)));
+            let result = clouds.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal(
+                'Skies will be mostly clear to start, with a few clouds by mid-morning ' +
+                'and clouds moving in by mid-afternoon.'
+            );
+        });
+
+        it('should ignore short changes in the sky cover', function() {
+            let data = getSkyHours(fill(0.9, 6).concat([0.1], fill(0.9, 11)));
+            let result = clouds.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal('Skies will stay mostly cloudy through {day}.');
+        });
+
+    });
+
+});
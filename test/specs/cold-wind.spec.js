@@ -0,0 +1,67 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    coldWind = require('../../src/conditions/cold-wind');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-01-15T12:00:00', TZ).unix();
+
+let options = {
+        avgTemps: [
+            {high:40, low:30}, {high:45, low:30}, {high:55, low:40}, {high:65, low:45},
+            {high:75, low:55}, {high:85, low:65}, {high:90, low:70}, {high:85, low:70},
+            {high:80, low:65}, {high:70, low:50}, {high:60, low:40}, {high:45, low:35}
+        ]
+    },
+    coldCondition = {
+        topic: 'cold-wind',
+        probability: 1,
+        level: 14
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Windy and cold.',
+        'temperatureMin':24.1,
+        'temperatureMinTime':time - (60 * 60 * 5),
+        'apparentTemperatureMin':11.6,
+        'apparentTemperatureMinTime':time - (60 * 60 * 5),
+        'windSpeed':22.4,
+        'windGust':38.2
+    };
+
+chai.should();
+let expect = chai.expect;
+
+describe('cold-wind module', function() {
+
+    describe('cold-wind headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = coldWind.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('cold-wind daily text', function() {
+
+        it('should include the cold and the wind', function() {
+            let result = coldWind.dailyText(coldCondition, dailyData, TZ, options);
+            expect(result).to.be.a('string');
+            expect(result).to.contain('low of 24 degrees');
+            expect(result).to.contain('6 degrees below normal');
+            expect(result).to.contain('feel more like 12 around 7am');
+            expect(result).to.contain('Winds around 22 miles per hour, gusting to 38, will make it feel even colder');
+        });
+
+        it('should not mention gusts close to the wind speed', function() {
+            let data = Object.assign({}, dailyData, { windGust: 25 });
+            let result = coldWind.dailyText(coldCondition, data, TZ, options);
+            expect(result).to.contain('Winds around 22 miles per hour will make it feel even colder');
+        });
+
+    });
+
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    cold = require('../../src/conditions/cold'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-01-15T12:00:00', TZ).unix();
+
+let options = {
+        avgTemps: [
+            {high:40, low:30}, {high:45, low:30}, {high:55, low:40}, {high:65, low:45},
+            {high:75, low:55}, {high:85, low:65}, {high:90, low:70}, {high:85, low:70},
+            {high:80, low:65}, {high:70, low:50}, {high:60, low:40}, {high:45, low:35}
+        ]
+    },
+    coldCondition = {
+        topic: 'cold',
+        probability: 1,
+        level: 12
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Clear and cold.',
+        'temperatureMin':18.3,
+        'temperatureMinTime':time - (60 * 60 * 6),
+        'apparentTemperatureMin':18.3,
+        'apparentTemperatureMinTime':time - (60 * 60 * 6)
+    };
+
+chai.should();
+let expect = chai.expect;
+
+describe('cold module', function() {
+
+    describe('cold headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = cold.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('cold daily text', function() {
+
+        it('should describe how far below normal the low will be', function() {
+            let result = cold.dailyText(coldCondition, dailyData, TZ, options);
+            expect(result).to.be.a('string');
+            expect(result).to.contain('low of 18 degrees');
+            expect(result).to.contain('a frigid 12 degrees below normal');
+            expect(result).to.not.contain('wind chill');
+        });
+
+        it('should include the wind chill when it is lower than the temperature', function() {
+            let data = Object.assign({}, dailyData, { apparentTemperatureMin: -3.4 });
+            let result = cold.dailyText(coldCondition, data, TZ, options);
+            expect(result).to.contain('feel more like -3 around 6am');
+            expect(result).to.contain('dangerously cold');
+        });
+
+        it('should warn about frostbite', function() {
+            let data = Object.assign({}, dailyData, { temperatureMin: -5, apparentTemperatureMin: -25 });
+            let result = cold.dailyText(coldCondition, data, TZ, options);
+            expect(result).to.contain('Frostbite');
+        });
+
+    });
+
+    describe('cold hourly text', function() {
+
+        it('should describe the coldest window using the wind chill', function() {
+            let data = weatherDataGenerate(null, {
+                maxTemp: 30,
+                minTemp: 10,
+                conditions: []
+            }, '2025-01-15T00:30:00');
+            let hourly = data.hourly.data.slice(0,24);
+            hourly.forEach(function(hour) { hour.windSpeed = 20; });
+
+            let result = cold.hourlyText(hourly, data.timezone);
+            expect(result).to.be.a('string')
+                .and.contain('The coldest it will feel is -9 degrees from about 1am until 6am with the wind chill')
+                .and.contain('During the morning commute it will feel like -5 degrees at 6am');
+        });
+
+        it('should not mention wind chill or the commute if it is calm and mild in the morning', function() {
+            let data = weatherDataGenerate(null, {
+                maxTemp: 60,
+                minTemp: 45,
+                conditions: []
+            }, '2025-01-15T10:30:00');
+            let hourly = data.hourly.data.slice(0,12);
+
+            let result = cold.hourlyText(hourly, data.timezone);
+            expect(result).to.contain('The coldest it will feel is');
+            expect(result).to.not.contain('wind chill');
+            expect(result).to.not.contain('commute');
+        });
+
+    });
+
+});
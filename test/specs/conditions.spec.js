@@ -0,0 +1,94 @@
+'use strict';
+
+let chai = require('chai'),
+    conditions = require('../../src/conditions'),
+    errors = require('../../src/errors');
+
+chai.should();
+let expect = chai.expect;
+
+function getPollenModule() {
+    return {
+        detect: function(data) { return data.pollen > 8; },
+        headline: function() { return 'Allergies could act up {day}.'; },
+        dailyText: function() { return 'Pollen counts will be high.'; }
+    };
+}
+
+describe('condition module registry', function() {
+
+    afterEach(function() {
+        conditions.unregister('pollen');
+    });
+
+    it('should find built-in condition modules', function() {
+        expect(conditions.get('rain')).to.equal(require('../../src/conditions/rain'));
+        expect(conditions.get('cold-wind')).to.equal(require('../../src/conditions/cold-wind'));
+        expect(conditions.get('pollen')).to.equal(null);
+        expect(conditions.custom()).to.deep.equal([]);
+    });
+
+    it('should register and remove a custom condition', function() {
+        let pollen = getPollenModule();
+        conditions.register('pollen', pollen);
+
+        expect(conditions.get('pollen')).to.equal(pollen);
+        expect(conditions.custom()).to.deep.equal([ { topic: 'pollen', module: pollen } ]);
+
+        expect(conditions.unregister('pollen')).to.equal(true);
+        expect(conditions.get('pollen')).to.equal(null);
+        expect(conditions.unregister('pollen')).to.equal(false);
+    });
+
+    it('should replace a custom condition with the same topic', function() {
+        let pollen = getPollenModule();
+        conditions.register('pollen', getPollenModule());
+        conditions.register('pollen', pollen);
+
+        expect(conditions.get('pollen')).to.equal(pollen);
+        expect(conditions.custom()).to.have.length(1);
+    });
+
+    it('should not allow replacing built-in conditions', function() {
+        expect(function() {
+            conditions.register('rain', getPollenModule());
+        }).to.throw(errors.ConfigError, /built in/);
+        expect(conditions.get('rain')).to.equal(require('../../src/conditions/rain'));
+    });
+
+    it('should require a topic and module', function() {
+        expect(function() {
+            conditions.register('', getPollenModule());
+        }).to.throw(errors.ConfigError).with.property('code', errors.CODES.INVALID_CONDITION);
+        expect(function() {
+            conditions.register('pollen', null);
+        }).to.throw(errors.ConfigError).with.property('code', errors.CODES.INVALID_CONDITION);
+    });
+
+    it('should validate the module methods', function() {
+        let pollen = getPollenModule();
+        delete pollen.detect;
+        pollen.hourlyText = 'nope';
+
+        let err = null;
+        try {
+            conditions.register('pollen', pollen);
+        } catch(e) {
+            err = e;
+        }
+        expect(err).to.be.an.instanceof(errors.ConfigError);
+        expect(err.code).to.equal(errors.CODES.INVALID_CONDITION);
+        expect(err.topic).to.equal('pollen');
+        expect(err.methods).to.deep.equal(['detect', 'hourlyText']);
+        expect(conditions.get('pollen')).to.equal(null);
+    });
+
+    it('should validate the overview text', function() {
+        let pollen = getPollenModule();
+        pollen.overview = 42;
+        expect(function() {
+            conditions.register('pollen', pollen);
+        }).to.throw(errors.ConfigError, /overview/);
+    });
+
+});
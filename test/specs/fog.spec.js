@@ -0,0 +1,119 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    fog = require('../../src/conditions/fog'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-10-15T00:00:00', TZ).unix();
+
+let fogCondition = {
+        topic: 'fog',
+        probability: 1,
+        level: 6
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Foggy in the morning.',
+        'icon':'fog',
+        'visibility':1.2,
+        'temperatureMin':52,
+        'dewPoint':51
+    };
+
+chai.should();
+let expect = chai.expect;
+
+function getFoggyHours(visibility) {
+    let data = weatherDataGenerate(null, {
+        maxTemp: 65,
+        minTemp: 50,
+        conditions: []
+    }, '2025-10-15T02:30:00');
+    let hourly = data.hourly.data.slice(0,18);
+    hourly.forEach(function(hour, i) {
+        hour.dewPoint = hour.temperature - 1;
+        hour.visibility = (typeof(visibility[i]) === 'number') ? visibility[i] : 10;
+    });
+    return { hourly: hourly, timezone: data.timezone };
+}
+
+describe('fog module', function() {
+
+    describe('fog headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = fog.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('fog detection', function() {
+
+        it('should find fog from the icon or summary', function() {
+            expect(fog.isFoggy({ icon: 'fog' })).to.equal(true);
+            expect(fog.isFoggy({ summary: 'Patchy Fog' })).to.equal(true);
+            expect(fog.isFoggy({ summary: 'Clear', visibility: 10 })).to.equal(false);
+        });
+
+        it('should find fog from low visibility', function() {
+            expect(fog.isFoggy({ visibility: 0.5 })).to.equal(true);
+            expect(fog.isFoggy({ visibility: 2, temperatureMin: 50, dewPoint: 48 })).to.equal(true);
+            expect(fog.isFoggy({ visibility: 2, temperatureMin: 50, dewPoint: 30 })).to.equal(false);
+        });
+
+        it('should not call low visibility from precipitation fog', function() {
+            expect(fog.isFoggy({ visibility: 0.5, precipProbability: 0.8, precipIntensityMax: 0.06 })).to.equal(false);
+        });
+
+    });
+
+    describe('fog daily text', function() {
+
+        it('should describe the visibility', function() {
+            let result = fog.dailyText(fogCondition, dailyData, TZ);
+            expect(result).to.equal('Fog could make for slow travel, with visibility down to about a mile.');
+        });
+
+        it('should not mention high average visibility', function() {
+            let data = Object.assign({}, dailyData, { visibility: 7 });
+            expect(fog.dailyText(fogCondition, data, TZ)).to.equal('Fog could make for slow travel at times.');
+        });
+
+        it('should describe the visibility in kilometres for metric units', function() {
+            let result = fog.dailyText(fogCondition, dailyData, TZ, { units: 'ca' });
+            expect(result).to.equal('Fog could make for slow travel, with visibility down to about 2 kilometres.');
+        });
+
+    });
+
+    describe('fog hourly text', function() {
+
+        it('should report when fog forms and burns off', function() {
+            let data = getFoggyHours({ 2: 0.8, 3: 0.4, 4: 0.2, 5: 0.5, 6: 0.9 });
+            let result = fog.hourlyText(data.hourly, data.timezone);
+            expect(result).to.equal(
+                'Fog should form around 4am and burn off by about 9am, so take it slow on the morning commute. ' +
+                'It could be dense, with visibility under a quarter mile around 6am.'
+            );
+        });
+
+        it('should report when fog burns off if it is already foggy', function() {
+            let data = getFoggyHours({ 0: 0.5, 1: 0.5, 2: 0.6 });
+            let result = fog.hourlyText(data.hourly, data.timezone);
+            expect(result).to.equal('Fog should burn off by about 5am.');
+        });
+
+        it('should not report low visibility when the air is not saturated', function() {
+            let data = getFoggyHours({ 2: 0.5, 3: 0.5 });
+            data.hourly[2].dewPoint = data.hourly[2].temperature - 10;
+            data.hourly[3].dewPoint = data.hourly[3].temperature - 10;
+            expect(fog.hourlyText(data.hourly, data.timezone)).to.equal('');
+        });
+
+    });
+
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    heatHumid = require('../../src/conditions/heat-humid');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-07-15T12:00:00', TZ).unix();
+
+let options = {
+        avgTemps: [
+            {high:40, low:30}, {high:45, low:30}, {high:55, low:40}, {high:65, low:45},
+            {high:75, low:55}, {high:85, low:65}, {high:90, low:70}, {high:85, low:70},
+            {high:80, low:65}, {high:70, low:50}, {high:60, low:40}, {high:45, low:35}
+        ],
+        dewPointBreak: 69,
+        humidityBreak: 0.70
+    },
+    heatCondition = {
+        topic: 'heat-humid',
+        probability: 1,
+        level: 12
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Hazy, hot, and humid.',
+        'temperatureMax':95.1,
+        'temperatureMaxTime':time + (60 * 60 * 3),
+        'apparentTemperatureMax':104.8,
+        'apparentTemperatureMaxTime':time + (60 * 60 * 4),
+        'dewPoint':74.2,
+        'humidity':0.78
+    };
+
+chai.should();
+let expect = chai.expect;
+
+describe('heat-humid module', function() {
+
+    describe('heat-humid headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = heatHumid.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('heat-humid daily text', function() {
+
+        it('should include the heat and the humidity', function() {
+            let result = heatHumid.dailyText(heatCondition, dailyData, TZ, options);
+            expect(result).to.be.a('string');
+            expect(result).to.contain('high of 95 degrees');
+            expect(result).to.contain('5 degrees above normal');
+            expect(result).to.contain('feel more like 105 around 4pm');
+            expect(result).to.contain('dew points around 74 and 78 percent humidity');
+        });
+
+        it('should only mention the dew point if humidity is under the break', function() {
+            let data = Object.assign({}, dailyData, { humidity: 0.55 });
+            let result = heatHumid.dailyText(heatCondition, data, TZ, options);
+            expect(result).to.contain('dew points around 74.');
+            expect(result).to.not.contain('percent humidity');
+        });
+
+        it('should respect the humidity break option', function() {
+            let data = Object.assign({}, dailyData, { dewPoint: 60 });
+            let result = heatHumid.dailyText(heatCondition, data, TZ, Object.assign({}, options, { humidityBreak: 0.8 }));
+            expect(result).to.not.contain('sticky');
+        });
+
+    });
+
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    heat = require('../../src/conditions/heat'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-07-15T12:00:00', TZ).unix();
+
+let options = {
+        avgTemps: [
+            {high:40, low:30}, {high:45, low:30}, {high:55, low:40}, {high:65, low:45},
+            {high:75, low:55}, {high:85, low:65}, {high:90, low:70}, {high:85, low:70},
+            {high:80, low:65}, {high:70, low:50}, {high:60, low:40}, {high:45, low:35}
+        ],
+        dewPointBreak: 69,
+        humidityBreak: 0.70
+    },
+    heatCondition = {
+        topic: 'heat',
+        probability: 1,
+        level: 10
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Sunny and hot.',
+        'temperatureMax':100.2,
+        'temperatureMaxTime':time + (60 * 60 * 3),
+        'apparentTemperatureMax':100.2,
+        'apparentTemperatureMaxTime':time + (60 * 60 * 3),
+        'dewPoint':55,
+        'humidity':0.35
+    };
+
+chai.should();
+let expect = chai.expect;
+
+describe('heat module', function() {
+
+    describe('heat headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = heat.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('heat daily text', function() {
+
+        it('should describe how far above normal the high will be', function() {
+            let result = heat.dailyText(heatCondition, dailyData, TZ, options);
+            expect(result).to.be.a('string');
+            expect(result).to.contain('high of 100 degrees');
+            expect(result).to.contain('a whopping 10 degrees above normal');
+            expect(result).to.not.contain('feel more like');
+        });
+
+        it('should include the peak heat index when it is higher than the temperature', function() {
+            let data = Object.assign({}, dailyData, { apparentTemperatureMax: 106.4 });
+            let result = heat.dailyText(heatCondition, data, TZ, options);
+            expect(result).to.contain('feel more like 106 around 3pm');
+            expect(result).to.contain('dangerous');
+        });
+
+        it('should use the normal high for the month of the data', function() {
+            let data = Object.assign({}, dailyData, {
+                time: moment.tz('2025-04-15T12:00:00', TZ).unix(),
+                temperatureMax: 72,
+                apparentTemperatureMax: 72
+            });
+            let result = heat.dailyText(heatCondition, data, TZ, options);
+            expect(result).to.contain('7 degrees above normal');
+        });
+
+    });
+
+    describe('heat hourly text', function() {
+
+        it('should report the hours with a high heat index', function() {
+            let data = weatherDataGenerate(null, {
+                maxTemp: 100,
+                minTemp: 80,
+                dayPeakHour: 15,
+                heatIndexPercent: 0.05,
+                conditions: []
+            }, '2025-07-15T00:30:00');
+            let hourly = data.hourly.data.slice(0,24);
+
+            let result = heat.hourlyText(hourly, data.timezone);
+            expect(result).to.be.a('string')
+                .and.contain('feel like 90 degrees or more from about 8am')
+                .and.contain('peaking at 105 around 3pm')
+                .and.contain('dangerous heat');
+        });
+
+        it('should not report anything when the heat index stays low', function() {
+            let data = weatherDataGenerate(null, {
+                maxTemp: 85,
+                minTemp: 65,
+                conditions: []
+            }, '2025-07-15T00:30:00');
+            let hourly = data.hourly.data.slice(0,24);
+
+            expect(heat.hourlyText(hourly, data.timezone)).to.equal('');
+        });
+
+    });
+
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+let nock = require('nock'),
+    chai = require('chai'),
+    chaiPromise = require('chai-as-promised'),
+    nodeHttp = require('http'),
+    http = require('../../src/http'),
+    errors = require('../../src/errors'),
+    weatherInit = require('../../src/weather'),
+    generator = require('../data/dc.weather');
+
+chai.use(chaiPromise);
+chai.should();
+let expect = chai.expect;
+
+const API_KEY = '1234567890';
+const LAT = 38.9649734;
+const LNG = -77.0207249;
+const FAST_RETRY = { retries: 2, backoff: 1, maxBackoff: 5, jitter: false };
+
+describe('http requests', function() {
+
+    afterEach(function() {
+        nock.cleanAll();
+    });
+
+    it('should resolve with parsed JSON', function() {
+        nock('https://weather.example.com').get('/forecast').reply(200, { temp: 42 });
+
+        return expect(http.getJSON({ url: 'https://weather.example.com/forecast' }, FAST_RETRY))
+            .to.eventually.deep.equal({ temp: 42 });
+    });
+
+    it('should reject with invalid JSON without retrying', function() {
+        let api = nock('https://weather.example.com').get('/forecast').reply(200, 'not json');
+
+        return expect(http.getJSON({ url: 'https://weather.example.com/forecast' }, FAST_RETRY))
+            .to.eventually.be.rejectedWith(errors.ParseError).and.have.property('attempts').that.has.length(1)
+            .then(function() { expect(api.isDone()).to.equal(true); });
+    });
+
+    it('should retry after a server error', function() {
+        nock('https://weather.example.com')
+            .get('/forecast').reply(503, 'Service Unavailable')
+            .get('/forecast').reply(200, { temp: 42 });
+
+        return expect(http.getJSON({ url: 'https://weather.example.com/forecast' }, FAST_RETRY))
+            .to.eventually.deep.equal({ temp: 42 });
+    });
+
+    it('should reject with the attempt history after all retries fail', function() {
+        nock('https://weather.example.com')
+            .get('/forecast').times(3).reply(500, 'Oops');
+
+        let p = http.getJSON({ url: 'https://weather.example.com/forecast' }, FAST_RETRY);
+
+        return Promise.all([
+            expect(p).to.eventually.be.rejectedWith(Error).and.have.property('message').that.contains('500'),
+            expect(p).to.eventually.be.rejectedWith(errors.ProviderError).and.have.property('statusCode').that.equals(500),
+            p.catch(function(err) {
+                expect(err.attempts).to.deep.equal([
+                    { attempt: 1, statusCode: 500, error: err.message, delay: 1 },
+                    { attempt: 2, statusCode: 500, error: err.message, delay: 2 },
+                    { attempt: 3, statusCode: 500, error: err.message, delay: null }
+                ]);
+            })
+        ]);
+    });
+
+    it('should not retry client errors', function() {
+        let api = nock('https://weather.example.com')
+            .get('/forecast').reply(403, 'Forbidden')
+            .get('/forecast').reply(200, { temp: 42 });
+
+        return expect(http.getJSON({ url: 'https://weather.example.com/forecast' }, FAST_RETRY))
+            .to.eventually.be.rejectedWith(Error).and.have.property('attempts').that.has.length(1)
+            .then(function() { expect(api.isDone()).to.equal(false); });
+    });
+
+    it('should honor the Retry-After header on 429 responses', function() {
+        this.timeout(3000);
+        nock('https://weather.example.com')
+            .get('/forecast').reply(429, 'Slow down', { 'Retry-After': '1' })
+            .get('/forecast').reply(500, 'Oops');
+
+        let p = http.getJSON({ url: 'https://weather.example.com/forecast' }, {
+            retries: 1,
+            backoff: 1,
+            maxBackoff: 2000
+        });
+
+        return p.then(
+            function() { throw new Error('Request should have failed'); },
+            function(err) {
+                expect(err.attempts[0]).to.have.property('statusCode').that.equals(429);
+                expect(err.attempts[0]).to.have.property('delay').that.equals(1000);
+            }
+        );
+    });
+
+    it('should time out slow responses', function() {
+        let server = nodeHttp.createServer(function(req, res) {
+            setTimeout(function() { res.end('{ "temp": 42 }'); }, 200);
+        });
+
+        return new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); })
+            .then(function() {
+                let url = `http://127.0.0.1:${server.address().port}/forecast`;
+                return expect(http.getJSON({ url: url }, { timeout: 20, retries: 0 }))
+                    .to.eventually.be.rejectedWith(Error).and.have.property('attempts').that.has.length(1);
+            })
+            .then(
+                function() { server.close(); },
+                function(err) { server.close(); throw err; }
+            );
+    });
+
+    it('should use the http options when getting weather', function() {
+        nock('https://api.darksky.net')
+            .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`)).reply(502, 'Bad Gateway')
+            .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`)).reply(200, generator());
+
+        let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, http: FAST_RETRY });
+        return expect(weather()).to.eventually.have.property('dailySummary').that.is.an('object');
+    });
+
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    humidity = require('../../src/conditions/humidity'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-07-15T00:00:00', TZ).unix();
+
+let options = {
+        dewPointBreak: 69,
+        humidityBreak: 0.70
+    },
+    humidCondition = {
+        topic: 'humidity',
+        probability: 1,
+        level: 2
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Humid throughout the day.',
+        'dewPoint':70.4,
+        'humidity':0.74
+    };
+
+chai.should();
+let expect = chai.expect;
+
+function getHumidHours(dewPoints, humidity) {
+    let data = weatherDataGenerate(null, {
+        maxTemp: 85,
+        minTemp: 70,
+        conditions: []
+    }, '2025-07-15T06:30:00');
+    let hourly = data.hourly.data.slice(0,18);
+    hourly.forEach(function(hour, i) {
+        hour.dewPoint = dewPoints[i] || 55;
+        hour.humidity = humidity || 0.5;
+    });
+    return { hourly: hourly, timezone: data.timezone };
+}
+
+function fill(dewPoint, length) {
+    let dewPoints = [];
+    for (let i=0; i<length; ++i) {
+        dewPoints.push(dewPoint);
+    }
+    return dewPoints;
+}
+
+describe('humidity module', function() {
+
+    describe('humidity headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = humidity.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('humidity daily text', function() {
+
+        it('should describe the comfort band of the day', function() {
+            let result = humidity.dailyText(humidCondition, dailyData, TZ, options);
+            expect(result).to.equal('The air will feel sticky {day}, with dew points around 70 and 74 percent humidity.');
+        });
+
+        it('should call very high dew points oppressive', function() {
+            let data = Object.assign({}, dailyData, { dewPoint: 76 });
+            expect(humidity.dailyText(humidCondition, data, TZ, options)).to.contain('feel oppressive');
+        });
+
+        it('should use the humidity break with lower dew points', function() {
+            let data = Object.assign({}, dailyData, { dewPoint: 63 });
+            expect(humidity.dailyText(humidCondition, data, TZ, options)).to.contain('feel sticky');
+            expect(humidity.dailyText(humidCondition, data, TZ, { dewPointBreak: 69, humidityBreak: 0.8 }))
+                .to.contain('feel comfortable');
+        });
+
+    });
+
+    describe('humidity hourly text', function() {
+
+        it('should report when it gets sticky', function() {
+            let data = getHumidHours(fill(60, 8).concat(fill(70, 10)));
+            let result = humidity.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal(`It'll get sticky after 2pm.`);
+        });
+
+        it('should report when the sticky stretch ends and when it is oppressive', function() {
+            let data = getHumidHours(fill(70, 3).concat([74, 76, 72], fill(58, 12)));
+            let result = humidity.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal(
+                'It will be sticky until about 12pm. The air will be oppressive around 10am, with dew points near 76.'
+            );
+        });
+
+        it('should report a muggy stretch in the middle of the day', function() {
+            let data = getHumidHours(fill(60, 5).concat(fill(71, 6), fill(60, 7)));
+            let result = humidity.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal(`It'll get sticky after 11am until about 5pm.`);
+        });
+
+        it('should report a muggy day', function() {
+            let data = getHumidHours(fill(66, 18), 0.85);
+            let result = humidity.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal('It will be sticky all {day}.');
+        });
+
+        it('should not report anything for comfortable air', function() {
+            let data = getHumidHours(fill(58, 18));
+            expect(humidity.hourlyText(data.hourly, data.timezone, dailyData, options)).to.equal('');
+        });
+
+    });
+
+});
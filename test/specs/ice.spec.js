@@ -0,0 +1,158 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    ice = require('../../src/conditions/ice'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-01-15T00:00:00', TZ).unix();
+
+let iceCondition = {
+        topic: 'ice',
+        probability: 0.6,
+        level: 16
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Freezing rain in the morning.',
+        'icon':'sleet',
+        'precipIntensityMax':0.04,
+        'precipIntensityMaxTime':time + (60 * 60 * 7),
+        'precipProbability':0.6,
+        'precipType':'rain',
+        'temperatureMin':29,
+        'temperatureMax':36
+    };
+
+chai.should();
+let expect = chai.expect;
+
+function getIcyHours(precip, temperature) {
+    let data = weatherDataGenerate(null, {
+        maxTemp: 36,
+        minTemp: 28,
+        conditions: []
+    }, '2025-01-15T02:30:00');
+    let hourly = data.hourly.data.slice(0,18);
+    hourly.forEach(function(hour) {
+        hour.temperature = temperature;
+    });
+    Object.keys(precip).forEach(function(i) {
+        Object.assign(hourly[i], precip[i], { precipProbability: 0.6 });
+    });
+    return { hourly: hourly, timezone: data.timezone };
+}
+
+describe('ice module', function() {
+
+    describe('ice headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = ice.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('ice detection', function() {
+
+        it('should find ice from sleet', function() {
+            expect(ice.isIcy({ precipType: 'sleet', precipProbability: 0.5, precipIntensityMax: 0.02 })).to.equal(true);
+            expect(ice.isIcy({ precipType: 'sleet', precipProbability: 0.05, precipIntensityMax: 0.02 })).to.equal(false);
+        });
+
+        it('should find ice from hours of rain at or below freezing', function() {
+            let rain = { 2: { precipType: 'rain', precipIntensity: 0.02 } };
+            expect(ice.isIcy(dailyData, getIcyHours(rain, 30).hourly)).to.equal(true);
+            expect(ice.isIcy(dailyData, getIcyHours(rain, 32).hourly)).to.equal(true);
+            expect(ice.isIcy(dailyData, getIcyHours(rain, 35).hourly)).to.equal(false);
+        });
+
+        it('should not find ice from rain above freezing on a day with a freezing low', function() {
+            // the low is overnight, the rain is in the afternoon
+            let data = getIcyHours({ 12: { precipType: 'rain', precipIntensity: 0.05 } }, 45);
+            data.hourly[1].temperature = 29;
+            expect(ice.isIcy(dailyData, data.hourly)).to.equal(false);
+        });
+
+        it('should not find freezing rain without hourly data', function() {
+            expect(ice.isIcy(dailyData)).to.equal(false);
+        });
+
+        it('should not call snow ice', function() {
+            expect(ice.isIcy(Object.assign({}, dailyData, { precipType: 'snow' }))).to.equal(false);
+        });
+
+    });
+
+    describe('ice daily text', function() {
+
+        it('should warn about icy roads', function() {
+            let result = ice.dailyText(iceCondition, dailyData, TZ);
+            expect(result).to.equal(
+                'Freezing rain is possible, most likely around 7am, with a 60 percent chance overall. ' +
+                'Expect icy roads and sidewalks, so take it slow.'
+            );
+        });
+
+        it('should warn about outages with heavy ice', function() {
+            let data = Object.assign({}, dailyData, { precipType: 'sleet', precipIntensityMax: 0.15 });
+            let result = ice.dailyText(iceCondition, data, TZ);
+            expect(result).to.contain('Sleet and freezing rain is possible');
+            expect(result).to.contain('icy roads');
+            expect(result).to.contain('be ready for outages');
+        });
+
+    });
+
+    describe('ice hourly text', function() {
+
+        it('should report the icy window with a light glaze', function() {
+            let data = getIcyHours({
+                2: { precipType: 'rain', precipIntensity: 0.02 },
+                3: { precipType: 'rain', precipIntensity: 0.03 },
+                4: { precipType: 'rain', precipIntensity: 0.02 }
+            }, 30);
+            let result = ice.hourlyText(data.hourly, data.timezone);
+            expect(result).to.equal(
+                'Expect freezing rain from about 4am until 7am. ' +
+                'Even a light glaze of ice will make the roads and sidewalks slippery.'
+            );
+        });
+
+        it('should report multiple windows and damaging ice', function() {
+            let data = getIcyHours({
+                1: { precipType: 'sleet', precipIntensity: 0.1 },
+                2: { precipType: 'rain', precipIntensity: 0.1 },
+                6: { precipType: 'rain', precipIntensity: 0.1 }
+            }, 31);
+            let result = ice.hourlyText(data.hourly, data.timezone);
+            expect(result).to.equal(
+                'Expect sleet and freezing rain from about 3am until 5am, and again from about 8am until 9am. ' +
+                'A quarter inch or more of ice could build up, which can bring down trees and power lines.'
+            );
+        });
+
+        it('should give ice amounts in millimetres for metric units', function() {
+            let data = getIcyHours({
+                1: { precipType: 'rain', precipIntensity: 0.1 },
+                2: { precipType: 'rain', precipIntensity: 0.1 },
+                3: { precipType: 'rain', precipIntensity: 0.1 }
+            }, 31);
+            let result = ice.hourlyText(data.hourly, data.timezone, {}, { units: 'si' });
+            expect(result).to.contain('6 millimetres or more of ice could build up');
+        });
+
+        it('should not report rain above freezing', function() {
+            let data = getIcyHours({
+                2: { precipType: 'rain', precipIntensity: 0.1 },
+                3: { precipType: 'rain', precipIntensity: 0.1 }
+            }, 34);
+            expect(ice.hourlyText(data.hourly, data.timezone)).to.equal('');
+        });
+
+    });
+
+});
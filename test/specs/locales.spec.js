@@ -0,0 +1,115 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    locales = require('../../src/locales'),
+    en = require('../../src/locales/en'),
+    es = require('../../src/locales/es');
+
+chai.should();
+let expect = chai.expect;
+
+const ES = { locale: 'es' };
+const TZ = 'America/New_York';
+
+describe('locales', function() {
+
+    describe('locale option', function() {
+
+        it('should default to English', function() {
+            expect(locales.getLocale()).to.equal('en');
+            expect(locales.getLocale(null)).to.equal('en');
+        });
+
+        it('should use the language of a regional locale', function() {
+            expect(locales.getLocale('ES')).to.equal('es');
+            expect(locales.getLocale('es-MX')).to.equal('es');
+            expect(locales.getLocale('en_GB')).to.equal('en');
+        });
+
+        it('should return null for an unknown locale', function() {
+            expect(locales.getLocale('fr')).to.equal(null);
+        });
+
+        it('should have every English message in Spanish', function() {
+            expect(Object.keys(es.messages)).to.have.members(Object.keys(en.messages));
+        });
+
+    });
+
+    describe('translating', function() {
+
+        it('should fill in the placeholders', function() {
+            expect(locales.translate(null, 'rain.heaviest', { hour: '3pm' }))
+                .to.equal('The heaviest bit should be around 3pm.');
+            expect(locales.translate(ES, 'rain.heaviest', { hour: 'las 15:00' }))
+                .to.equal('La lluvia más fuerte debería ser alrededor de las 15:00.');
+        });
+
+        it('should leave the day placeholder for later', function() {
+            expect(locales.translate(ES, 'rain.multiple')).to.contain('{day}');
+        });
+
+        it('should pick one of the headlines', function() {
+            expect(es.messages['rain.headline']).to.include(locales.translate(ES, 'rain.headline'));
+        });
+
+        it('should pick the plural form using the count', function() {
+            expect(locales.translate(null, 'units.milesPerHour', { count: 1 })).to.equal('1 mile per hour');
+            expect(locales.translate(null, 'units.milesPerHour', { count: 20 })).to.equal('20 miles per hour');
+            expect(locales.translate(ES, 'units.kilometresPerHour', { count: 32 })).to.equal('32 kilómetros por hora');
+        });
+
+        it('should format numbers for the locale', function() {
+            expect(locales.number(null, 1500)).to.equal('1,500');
+            expect(locales.number(ES, 1500.5)).to.equal('1500,5');
+        });
+
+        it('should spell out small numbers', function() {
+            expect(locales.numberWord(null, 2)).to.equal('two');
+            expect(locales.numberWord(ES, 2)).to.equal('dos');
+            expect(locales.numberWord(ES, 12)).to.equal('12');
+        });
+
+        it('should fall back to the id for an unknown message', function() {
+            expect(locales.translate(ES, 'nope.nothing')).to.equal('nope.nothing');
+        });
+
+    });
+
+    describe('dates and lists', function() {
+        let time = moment.tz('2025-06-20T15:30:00', TZ);
+
+        it('should format hours and times for the locale', function() {
+            expect(locales.hour(null, time)).to.equal('3pm');
+            expect(locales.hour(null, time, true)).to.equal('3 pm');
+            expect(locales.time(null, time)).to.equal('3:30pm');
+            expect(locales.hour(ES, time)).to.equal('las 15:00');
+            expect(locales.time(ES, time)).to.equal('las 15:30');
+        });
+
+        it('should use the singular article for one o\'clock in Spanish', function() {
+            let one = moment.tz('2025-06-20T01:00:00', TZ);
+            expect(locales.hour(ES, one)).to.equal('la 1:00');
+            expect(locales.translate(ES, 'rain.heaviest', { hour: locales.hour(ES, one) }))
+                .to.equal('La lluvia más fuerte debería ser alrededor de la 1:00.');
+        });
+
+        it('should name the day of the week for the locale', function() {
+            expect(locales.dayOfWeek(null, time.toDate())).to.equal('Friday');
+            expect(locales.dayOfWeek(ES, time.toDate())).to.equal('viernes');
+        });
+
+        it('should not change the global moment locale', function() {
+            expect(moment.locale()).to.equal('en');
+        });
+
+        it('should join lists for the locale', function() {
+            expect(locales.list(null, ['a', 'b'])).to.equal('a and b');
+            expect(locales.list(null, ['a', 'b', 'c'])).to.equal('a, b, and c');
+            expect(locales.list(ES, ['a', 'b', 'c'])).to.equal('a, b y c');
+        });
+
+    });
+
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+let nock = require('nock'),
+    chai = require('chai'),
+    chaiPromise = require('chai-as-promised'),
+    _ = require('lodash'),
+    moment = require('moment-timezone'),
+    nws = require('../../src/providers/nws'),
+    weatherInit = require('../../src/weather'),
+    pointsFixture = require('../data/nws.points.json'),
+    forecastFixture = require('../data/nws.forecast-hourly.json'),
+    alertsFixture = require('../data/nws.alerts.json');
+
+chai.use(chaiPromise);
+chai.should();
+let expect = chai.expect;
+
+const LAT = 38.9649734;
+const LNG = -77.0207249;
+
+/**
+ * The recorded fixtures are for a specific date in the past, so we shift all
+ * of the times in them to make the first forecast hour the current hour.
+ */
+function getCurrentFixtures() {
+    let forecast = _.cloneDeep(forecastFixture);
+    let alerts = _.cloneDeep(alertsFixture);
+    let offset = moment().startOf('hour').unix() - moment(forecast.properties.periods[0].startTime).unix();
+
+    function shift(time) {
+        return time && moment.parseZone(time).add(offset, 's').format();
+    }
+
+    forecast.properties.periods.forEach(function(period) {
+        period.startTime = shift(period.startTime);
+        period.endTime = shift(period.endTime);
+    });
+    alerts.features.forEach(function(feature) {
+        ['sent', 'effective', 'onset', 'expires', 'ends'].forEach(function(key) {
+            feature.properties[key] = shift(feature.properties[key]);
+        });
+    });
+
+    return { forecast, alerts };
+}
+
+describe('NWS provider', function() {
+
+    describe('normalizing data', function() {
+        let data = nws.normalize({ points: pointsFixture, forecast: forecastFixture, alerts: alertsFixture });
+
+        it('should have the forecast structure', function() {
+            expect(data).to.have.property('timezone').that.equals('America/New_York');
+            expect(data).to.have.property('currently').that.is.an('object');
+            expect(data).to.have.property('hourly').that.has.property('data').that.is.an('array').with.length(96);
+            expect(data).to.have.property('daily').that.has.property('data').that.is.an('array').with.length(5);
+            expect(data).to.have.property('alerts').that.is.an('array').with.length(2);
+        });
+
+        it('should convert hourly periods', function() {
+            let hour = data.hourly.data[7];
+            expect(hour.time).to.equal(moment('2025-07-15T16:00:00-04:00').unix());
+            expect(hour.summary).to.equal('Showers And Thunderstorms');
+            expect(hour.icon).to.equal('thunderstorm');
+            expect(hour.precipType).to.equal('rain');
+            expect(hour.precipProbability).to.equal(0.7);
+            expect(hour.precipIntensity).to.be.above(0.1);
+            expect(Math.round(hour.dewPoint)).to.equal(72);
+            expect(hour.humidity).to.equal(0.8);
+            expect(hour.windSpeed).to.be.within(10, 20);
+            expect(hour.windBearing).to.equal(202.5);
+        });
+
+        it('should only have a visibility when the forecast calls for fog', function() {
+            let forecast = _.cloneDeep(forecastFixture);
+            forecast.properties.periods[2].shortForecast = 'Patchy Fog';
+            let foggy = nws.normalize({ points: pointsFixture, forecast: forecast, alerts: alertsFixture });
+
+            expect(foggy.hourly.data[2].icon).to.equal('fog');
+            expect(foggy.hourly.data[2].visibility).to.be.below(1);
+            expect(foggy.hourly.data[3].visibility).to.equal(undefined);
+            expect(data.daily.data[1].visibility).to.equal(null);
+        });
+
+        it('should not have a wind bearing for a day without any wind directions', function() {
+            let forecast = _.cloneDeep(forecastFixture);
+            forecast.properties.periods.forEach(function(period) { period.windDirection = ''; });
+            let calm = nws.normalize({ points: pointsFixture, forecast: forecast, alerts: alertsFixture });
+
+            expect(calm.hourly.data[0].windBearing).to.equal(null);
+            expect(calm.daily.data[1].windBearing).to.equal(null);
+        });
+
+        it('should calculate the heat index for hot hours', function() {
+            let hottest = data.hourly.data[6];
+            expect(hottest.temperature).to.be.above(90);
+            expect(hottest.apparentTemperature).to.be.above(hottest.temperature);
+        });
+
+        it('should build daily data from the hourly periods', function() {
+            let day = data.daily.data[1];
+            expect(day.time).to.equal(moment.tz('2025-07-16', 'America/New_York').unix());
+            expect(day.precipProbability).to.equal(0.6);
+            expect(day.summary).to.equal('Rain Showers');
+            expect(day.temperatureMax).to.equal(92);
+            expect(day.temperatureMin).to.equal(68);
+        });
+
+        it('should convert alerts', function() {
+            let alert = data.alerts[0];
+            expect(alert.title).to.equal('Heat Advisory');
+            expect(alert.severity).to.equal('Moderate');
+            expect(alert.time).to.equal(moment('2025-07-15T08:00:00-04:00').unix());
+            expect(alert.expires).to.equal(moment('2025-07-15T20:00:00-04:00').unix());
+            expect(alert.description).to.contain('Heat index');
+        });
+    });
+
+    describe('getting weather', function() {
+        beforeEach(function() {
+            let fixtures = getCurrentFixtures();
+
+            nock('https://api.weather.gov')
+                .matchHeader('User-Agent', /fuzzy-weather/)
+                .get('/points/38.965,-77.0207')
+                .reply(200, pointsFixture)
+                .get('/gridpoints/LWX/96,75/forecast/hourly')
+                .reply(200, fixtures.forecast)
+                .get('/alerts/active')
+                .query({ point: '38.965,-77.0207' })
+                .reply(200, fixtures.alerts);
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should report NWS alerts in current conditions', function() {
+            let weather = weatherInit({ provider: 'nws', location: { lat: LAT, lng: LNG } });
+            let p = weather();
+
+            return Promise.all([
+                expect(p).to.eventually.have.keys('date', 'currently', 'dailySummary', 'detail'),
+                expect(p).to.eventually.have.property('currently').that.has.property('forecast').that.is.a('string')
+                    .that.contains('multiple weather alerts')
+                    .and.contains('Heat Advisory until')
+                    .and.contains('Scattered thunderstorms will develop')
+                    .and.not.contains('seek shelter'),
+                expect(p).to.eventually.have.property('dailySummary')
+                    .that.has.property('forecast').that.is.a('string')
+            ]);
+        });
+
+        it('should still get the forecast when the alerts are not available', function() {
+            let fixtures = getCurrentFixtures();
+            nock.cleanAll();
+            nock('https://api.weather.gov')
+                .get('/points/38.965,-77.0207')
+                .reply(200, pointsFixture)
+                .get('/gridpoints/LWX/96,75/forecast/hourly')
+                .reply(200, fixtures.forecast)
+                .get('/alerts/active')
+                .query({ point: '38.965,-77.0207' })
+                .reply(503, 'Service Unavailable');
+
+            let weather = weatherInit({ provider: 'nws', location: { lat: LAT, lng: LNG }, http: { retries: 0 } });
+            return weather().then(function(report) {
+                expect(report.currently.forecast).to.be.a('string').and.not.contain('weather alert');
+                expect(report.dailySummary.forecast).to.be.a('string');
+            });
+        });
+
+        it('should reject when the location is not covered by NWS', function() {
+            nock.cleanAll();
+            nock('https://api.weather.gov')
+                .get('/points/38.965,-77.0207')
+                .reply(404, { title: 'Data Unavailable For Requested Point' });
+
+            let weather = weatherInit({ provider: 'nws', location: { lat: LAT, lng: LNG } });
+            return weather().then(function() {
+                throw new Error('Expected the forecast to be rejected');
+            }, function(err) {
+                expect(err).to.be.an.instanceof(weatherInit.ProviderError);
+                expect(err.code).to.equal(weatherInit.errorCodes.LOCATION_NOT_SUPPORTED);
+                expect(err.statusCode).to.equal(404);
+            });
+        });
+    });
+
+});
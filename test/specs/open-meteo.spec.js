@@ -0,0 +1,146 @@
+'use strict';
+
+let nock = require('nock'),
+    chai = require('chai'),
+    chaiPromise = require('chai-as-promised'),
+    _ = require('lodash'),
+    moment = require('moment-timezone'),
+    openMeteo = require('../../src/providers/open-meteo'),
+    weatherInit = require('../../src/weather'),
+    fixture = require('../data/open-meteo.forecast.json');
+
+chai.use(chaiPromise);
+chai.should();
+let expect = chai.expect;
+
+const LAT = 38.9649734;
+const LNG = -77.0207249;
+
+/**
+ * The recorded fixture is for a specific date in the past, so we shift all of
+ * the times in it to make the first day of data today.
+ */
+function getCurrentFixture() {
+    let data = _.cloneDeep(fixture);
+    let offset = moment.tz(data.timezone).startOf('day').unix() - data.daily.time[0];
+
+    data.hourly.time = data.hourly.time.map(function(time) { return time + offset; });
+    ['time', 'sunrise', 'sunset'].forEach(function(key) {
+        data.daily[key] = data.daily[key].map(function(time) { return time + offset; });
+    });
+    data.current_weather.time = Math.round(Date.now() / 1000);
+    return data;
+}
+
+describe('Open-Meteo provider', function() {
+
+    describe('normalizing data', function() {
+        let data = openMeteo.normalize(fixture);
+
+        it('should have the forecast structure', function() {
+            expect(data).to.have.property('timezone').that.equals('America/New_York');
+            expect(data).to.have.property('currently').that.is.an('object');
+            expect(data).to.have.property('hourly').that.has.property('data').that.is.an('array').with.length(183);
+            expect(data).to.have.property('daily').that.has.property('data').that.is.an('array').with.length(8);
+            expect(data).to.have.property('alerts').that.is.an('array');
+        });
+
+        it('should convert hourly data points', function() {
+            let hour = data.hourly.data[6];
+            expect(hour.time).to.equal(fixture.hourly.time[15]);
+            expect(hour.temperature).to.equal(fixture.hourly.temperature_2m[15]);
+            expect(hour.precipProbability).to.equal(0.6);
+            expect(hour.precipIntensity).to.equal(0.09);
+            expect(hour.precipType).to.equal('rain');
+            expect(hour.icon).to.equal('rain');
+            expect(hour.humidity).to.be.within(0, 1);
+            expect(hour.cloudCover).to.equal(0.95);
+            expect(Math.round(hour.visibility)).to.equal(5);
+        });
+
+        it('should build daily data from daily and hourly values', function() {
+            let day = data.daily.data[0];
+            expect(day.time).to.equal(fixture.daily.time[0]);
+            expect(day.sunsetTime).to.equal(fixture.daily.sunset[0]);
+            expect(day.precipProbability).to.equal(0.6);
+            expect(day.precipIntensityMax).to.equal(0.09);
+            expect(day.precipIntensityMaxTime).to.equal(fixture.hourly.time[15]);
+            expect(day.temperatureMax).to.equal(Math.max.apply(null, fixture.hourly.temperature_2m.slice(0, 24)));
+            expect(day.temperatureMin).to.equal(Math.min.apply(null, fixture.hourly.temperature_2m.slice(0, 24)));
+            expect(day.windBearing).to.be.within(0, 360);
+        });
+
+        it('should start hourly data at the current hour', function() {
+            expect(data.hourly.data[0].time).to.equal(fixture.current_weather.time);
+        });
+
+        it('should map thunderstorm weather codes', function() {
+            expect(data.daily.data[2].icon).to.equal('thunderstorm');
+            expect(data.hourly.data[55].icon).to.equal('thunderstorm');
+        });
+
+        it('should include CAPE for hours and days', function() {
+            expect(data.hourly.data[55].cape).to.equal(fixture.hourly.cape[64]);
+            expect(data.daily.data[2].capeMax).to.equal(2800);
+        });
+
+        it('should fill in current conditions from the current hour', function() {
+            expect(data.currently.time).to.equal(fixture.current_weather.time);
+            expect(data.currently.temperature).to.equal(fixture.current_weather.temperature);
+            expect(data.currently.humidity).to.equal(data.hourly.data[0].humidity);
+        });
+    });
+
+    describe('getting weather', function() {
+        beforeEach(function() {
+            nock('https://api.open-meteo.com')
+                .get('/v1/forecast')
+                .query(function(qs) {
+                    return Number(qs.latitude) === LAT && Number(qs.longitude) === LNG && qs.timeformat === 'unixtime';
+                })
+                .reply(200, getCurrentFixture());
+        });
+
+        it('should not require an API key', function() {
+            let weather = weatherInit({ provider: 'openmeteo', location: { lat: LAT, lng: LNG } });
+            let p = weather();
+
+            return Promise.all([
+                expect(p).to.eventually.have.keys('date', 'currently', 'dailySummary', 'detail'),
+                expect(p).to.eventually.have.property('currently').that.has.property('forecast').that.is.a('string'),
+                expect(p).to.eventually.have.property('dailySummary')
+                    .that.has.property('forecast').that.contains('rain'),
+                expect(p).to.eventually.have.property('dailySummary')
+                    .that.has.property('conditions').that.has.property('rain'),
+                expect(p).to.eventually.have.property('detail')
+                    .that.has.property('data').that.is.an('array')
+            ]);
+        });
+
+        it('should narrate thunderstorms from the weather codes and CAPE', function() {
+            let weather = weatherInit({ provider: 'openmeteo', location: { lat: LAT, lng: LNG } });
+
+            return weather(Date.now() + (2 * 86400000)).then(function(data) {
+                expect(data.dailySummary.conditions).to.include.keys('storm', 'rain');
+                expect(data.dailySummary.forecast)
+                    .to.contain('Thunderstorms are possible, most likely around 5pm')
+                    .and.contain('some storms could be strong');
+                expect(data.dailySummary.forecast.indexOf('Thunderstorms'))
+                    .to.be.below(data.dailySummary.forecast.indexOf('rain peaking'));
+            });
+        });
+
+        it('should narrate strong sun from the UV index', function() {
+            let weather = weatherInit({ provider: 'openmeteo', location: { lat: LAT, lng: LNG } });
+
+            return weather(Date.now() + 86400000).then(function(data) {
+                expect(data.dailySummary.conditions).to.have.property('uv');
+                expect(data.dailySummary.forecast)
+                    .to.contain('The UV index will peak at 9, which is very high, around 12pm.')
+                    .and.contain('sunscreen');
+                expect(data.detail.forecast).to.contain('The sun will be strongest from about 10am until 4pm');
+            });
+        });
+    });
+
+});
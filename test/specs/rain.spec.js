@@ -132,5 +132,72 @@ describe('rain module', function() {
 
     });
 
+    describe('rain facts', function() {
+        let start = Math.round(new Date('2025-01-01T12:00:00Z').getTime() / 1000);
+
+        function getRainHours(hours) {
+            return hours.map(function(hour, i) {
+                return {
+                    time: start + (i * 3600),
+                    precipType: 'rain',
+                    precipProbability: hour[0],
+                    precipIntensity: hour[1]
+                };
+            });
+        }
+
+        it('should give each rain episode', function() {
+            let hourly = getRainHours([[0, 0], [0.4, 0.05], [0.8, 0.2], [0.6, 0.3], [0.1, 0], [0.5, 0.04], [0, 0]]);
+            let episodes = rain.hourlyFacts(hourly, 'America/New_York').filter(function(fact) {
+                return fact.type === 'rain-episode';
+            });
+
+            expect(episodes).to.deep.equal([
+                {
+                    type: 'rain-episode',
+                    start: start + 3600,
+                    end: start + (4 * 3600),
+                    peak: start + (2 * 3600),
+                    probability: 0.8,
+                    startProbability: 0.4,
+                    intensity: 0.3,
+                    intensityPeak: start + (3 * 3600)
+                },
+                {
+                    type: 'rain-episode',
+                    start: start + (5 * 3600),
+                    end: start + (6 * 3600),
+                    peak: start + (5 * 3600),
+                    probability: 0.5,
+                    startProbability: 0.5,
+                    intensity: 0.04,
+                    intensityPeak: start + (5 * 3600)
+                }
+            ]);
+        });
+
+        it('should narrate the facts it is given', function() {
+            let facts = [
+                { type: 'rain-trend', trend: 'decreasing' },
+                {
+                    type: 'rain-episode',
+                    start: start,
+                    end: start + (3 * 3600),
+                    peak: start + 3600,
+                    probability: 0.8,
+                    startProbability: 0.4,
+                    intensity: 0.3,
+                    intensityPeak: start + (2 * 3600)
+                }
+            ];
+            expect(rain.renderHourly(facts, 'America/New_York')).to.equal(
+                'Rain chances decrease through {day}. ' +
+                'Chances are good for rain starting about 7am with a 40 percent chance rising to 80 percent at 8am. ' +
+                'The heaviest bit should be around 9am.'
+            );
+        });
+
+    });
+
 
 });
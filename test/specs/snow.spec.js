@@ -0,0 +1,174 @@
+'use strict';
+
+let chai = require('chai'),
+    snow = require('../../src/conditions/snow'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+let now = new Date();
+let time = Math.round(now.getTime() / 1000);
+
+let snowCondition = {
+        topic: 'snow',
+        probability: 0.6,
+        level: 4
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Snow throughout the day.',
+        'precipIntensity':0.02,
+        'precipIntensityMax':0.0459,
+        'precipIntensityMaxTime':time + (60 * 60 * 2),
+        'precipProbability':0.60,
+        'precipType':'snow',
+        'precipAccumulation':3.8,
+        'visibility':5.2
+    };
+
+chai.should();
+let expect = chai.expect;
+
+describe('snow module', function() {
+
+    describe('snow headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = snow.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('snow daily text', function() {
+
+        it('should return empty string for low probability', function() {
+            let result = snow.dailyText({}, { precipProbability: 0.05 }, 'America/New_York');
+            expect(result).to.be.a('string').and.have.property('length').that.equals(0);
+        });
+
+        it('should return correct text for snow', function() {
+            let result = snow.dailyText(snowCondition, dailyData, 'America/New_York');
+            expect(result).to.be.a('string');
+            expect(result).to.contain('60 percent');
+            expect(result).to.contain('moderate snow');
+            expect(result).to.contain('about 4 inches of accumulation');
+            expect(result).to.not.contain('Visibility');
+        });
+
+        it('should include a range for large accumulations', function() {
+            let data = Object.assign({}, dailyData, { precipIntensityMax: 0.09, precipAccumulation: 9.2 });
+            let result = snow.dailyText(snowCondition, data, 'America/New_York');
+            expect(result).to.contain('heavy snow');
+            expect(result).to.contain('8 to 10 inches');
+        });
+
+        it('should warn about low visibility', function() {
+            let data = Object.assign({}, dailyData, { visibility: 0.5 });
+            let result = snow.dailyText(snowCondition, data, 'America/New_York');
+            expect(result).to.contain('below a mile');
+        });
+
+        it('should give accumulations in centimetres for metric units', function() {
+            let data = Object.assign({}, dailyData, { visibility: 0.5 });
+            let result = snow.dailyText(snowCondition, data, 'America/New_York', { units: 'si' });
+            expect(result).to.contain('about 10 centimetres of accumulation');
+            expect(result).to.contain('below a kilometre and a half');
+        });
+
+    });
+
+    describe('snow hourly text', function() {
+
+        it('should be able to get hourly snow data with one snow event', function() {
+            let data = weatherDataGenerate(null, {
+                maxTemp: 30,
+                minTemp: 20,
+                conditions: [
+                    { type: 'snow', delay: 7, length: 8, form: 'even' }
+                ]
+            }, '2025-01-01T00:30:00');
+            let snowHourly = data.hourly.data.slice(0,24);
+
+            let result = snow.hourlyText(snowHourly, data.timezone);
+            expect(result).to.be.a('string')
+                .and.contain('starting about 7am')
+                .and.contain('until about 3pm')
+                .and.contain('accumulation')
+                .and.contain('heaviest snow');
+            expect(result).to.not.contain('multiple');
+        });
+
+        it('should be able to get hourly snow data with two snow events', function() {
+            let data = weatherDataGenerate(null, {
+                maxTemp: 30,
+                minTemp: 20,
+                conditions: [
+                    { type: 'snow', delay: 3, length: 4, form: 'even' },
+                    { type: 'snow', delay: 14, length: 6, form: 'even' }
+                ]
+            }, '2025-01-01T00:30:00');
+            let snowHourly = data.hourly.data.slice(0,24);
+
+            let result = snow.hourlyText(snowHourly, data.timezone);
+            expect(result).to.be.a('string')
+                .and.contain('multiple rounds of snow')
+                .and.contain('More snow could start around 2pm and last until about 8pm');
+        });
+
+        it('should not report anything for rain', function() {
+            let data = weatherDataGenerate(null, {
+                maxTemp: 75,
+                minTemp: 55,
+                conditions: [
+                    { type: 'rain', delay: 7, length: 8, form: 'even' }
+                ]
+            }, '2025-01-01T00:30:00');
+            let hourly = data.hourly.data.slice(0,24);
+
+            expect(snow.hourlyText(hourly, data.timezone)).to.equal('');
+        });
+
+    });
+
+    describe('snow facts', function() {
+
+        it('should give the facts the daily text is built from', function() {
+            let facts = snow.dailyFacts(snowCondition, dailyData, 'America/New_York');
+            expect(facts).to.deep.equal([{
+                type: 'snow-day',
+                probability: 0.6,
+                intensity: 0.0459,
+                intensityPeak: time + (60 * 60 * 2),
+                accumulation: 3.8,
+                visibility: 5.2
+            }]);
+            expect(snow.renderDaily(facts, 'America/New_York')).to.equal(snow.dailyText(snowCondition, dailyData, 'America/New_York'));
+        });
+
+        it('should not have any daily facts for low probability', function() {
+            expect(snow.dailyFacts({}, { precipProbability: 0.05 }, 'America/New_York')).to.deep.equal([]);
+        });
+
+        it('should give a fact for each snow episode', function() {
+            let data = weatherDataGenerate(null, {
+                maxTemp: 30,
+                minTemp: 20,
+                conditions: [
+                    { type: 'snow', delay: 3, length: 4, form: 'even' },
+                    { type: 'snow', delay: 14, length: 6, form: 'even' }
+                ]
+            }, '2025-01-01T00:30:00');
+            let snowHourly = data.hourly.data.slice(0,24);
+
+            let facts = snow.hourlyFacts(snowHourly, data.timezone);
+            expect(facts).to.have.length(2);
+            facts.forEach(function(fact) {
+                expect(fact).to.have.property('type', 'snow-episode');
+                expect(fact.end).to.be.above(fact.start);
+                expect(fact.accumulation).to.be.above(0);
+            });
+            expect(snow.renderHourly(facts, data.timezone)).to.equal(snow.hourlyText(snowHourly, data.timezone));
+        });
+
+    });
+
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    ssml = require('../../src/ssml'),
+    locales = require('../../src/locales'),
+    units = require('../../src/units');
+
+chai.should();
+let expect = chai.expect;
+
+const SSML = { output: 'ssml' };
+const TZ = 'America/New_York';
+
+describe('ssml', function() {
+
+    describe('output option', function() {
+
+        it('should default to text', function() {
+            expect(ssml.getOutput()).to.equal('text');
+            expect(ssml.getOutput(null)).to.equal('text');
+        });
+
+        it('should know each output', function() {
+            expect(ssml.getOutput('SSML')).to.equal('ssml');
+            expect(ssml.getOutput('text')).to.equal('text');
+        });
+
+        it('should return null for an unknown output', function() {
+            expect(ssml.getOutput('html')).to.equal(null);
+        });
+
+    });
+
+    describe('text output', function() {
+
+        it('should leave the text alone', function() {
+            let text = ssml.sections(null, [`It's ${ssml.cardinal(null, '72')} degrees`, '', ssml.emphasis(null, 'Wind & Rain')]);
+            expect(text).to.equal(`It's 72 degrees  Wind & Rain`);
+            expect(ssml.speak(null, text)).to.equal(text);
+            expect(ssml.speak({ output: 'text' }, text)).to.equal(text);
+        });
+
+    });
+
+    describe('ssml output', function() {
+        let time = moment.tz('2025-06-20T15:00:00', TZ);
+
+        it('should wrap the forecast in speak and escape the text', function() {
+            expect(ssml.speak(SSML, 'Heat & Air Quality Alert <test>'))
+                .to.equal('<speak>Heat &amp; Air Quality Alert &lt;test&gt;</speak>');
+        });
+
+        it('should say times and temperatures', function() {
+            let text = locales.translate(SSML, 'heat.feelsLikeAround', {
+                temp: units.temperatureText(101, SSML),
+                hour: locales.hour(SSML, time)
+            });
+            expect(ssml.speak(SSML, text)).to.equal(
+                '<speak>It will feel more like <say-as interpret-as="cardinal">101</say-as> around ' +
+                '<say-as interpret-as="time" format="hms12">3pm</say-as>.</speak>'
+            );
+        });
+
+        it('should use the 24 hour clock for the locale', function() {
+            let o = { output: 'ssml', locale: 'es' };
+            expect(ssml.speak(o, locales.time(o, time)))
+                .to.equal('<speak>las <say-as interpret-as="time" format="hms24">15:00</say-as></speak>');
+        });
+
+        it('should add a break between sections, skipping empty ones', function() {
+            let text = ssml.sections(SSML, ['Windy.', '', ' ', ssml.emphasis(SSML, 'Wind Advisory')]);
+            expect(ssml.speak(SSML, text)).to.equal(
+                '<speak>Windy. <break strength="strong"/> <emphasis level="strong">Wind Advisory</emphasis></speak>'
+            );
+        });
+
+        it('should give plain text without the marks', function() {
+            let text = `around ${locales.hour(SSML, time)} with a high of ${units.temperatureText(101, SSML)}`;
+            expect(ssml.plain(text)).to.equal('around 3pm with a high of 101');
+        });
+
+    });
+
+});
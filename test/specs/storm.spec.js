@@ -0,0 +1,117 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    storm = require('../../src/conditions/storm'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-07-15T00:00:00', TZ).unix();
+
+let stormCondition = {
+        topic: 'storm',
+        probability: 0.7,
+        level: 20
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Thunderstorms in the afternoon.',
+        'icon':'rain',
+        'precipIntensityMax':0.42,
+        'precipIntensityMaxTime':time + (60 * 60 * 16),
+        'precipProbability':0.7,
+        'precipType':'rain'
+    };
+
+chai.should();
+let expect = chai.expect;
+
+function getStormHours(storms) {
+    let data = weatherDataGenerate(null, {
+        maxTemp: 90,
+        minTemp: 72,
+        conditions: []
+    }, '2025-07-15T06:30:00');
+    let hourly = data.hourly.data.slice(0,18);
+    Object.keys(storms).forEach(function(i) {
+        Object.assign(hourly[i], { icon: 'thunderstorm', precipProbability: 0.6, precipIntensity: storms[i] });
+    });
+    return { hourly: hourly, timezone: data.timezone };
+}
+
+describe('storm module', function() {
+
+    describe('storm headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = storm.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('storm detection', function() {
+
+        it('should find storms from the icon or summary', function() {
+            expect(storm.isStormy({ icon: 'thunderstorm' })).to.equal(true);
+            expect(storm.isStormy({ summary: 'Chance Showers And Thunderstorms' })).to.equal(true);
+            expect(storm.isStormy({ summary: 'Light rain', icon: 'rain', precipProbability: 0.8, precipIntensity: 0.05 }))
+                .to.equal(false);
+        });
+
+        it('should find storms from CAPE', function() {
+            let data = { precipType: 'rain', precipProbability: 0.5, precipIntensity: 0.08 };
+            expect(storm.isStormy(Object.assign({ cape: 1800 }, data))).to.equal(true);
+            expect(storm.isStormy(Object.assign({ cape: 400 }, data))).to.equal(false);
+            expect(storm.isStormy(Object.assign({ capeMax: 1800, precipIntensityMax: 0.08 }, data))).to.equal(true);
+        });
+
+        it('should find storms from bursts of heavy rain', function() {
+            expect(storm.isStormy({ precipType: 'rain', precipProbability: 0.6, precipIntensityMax: 0.45 })).to.equal(true);
+            expect(storm.isStormy({ precipType: 'rain', precipProbability: 0.2, precipIntensityMax: 0.45 })).to.equal(false);
+            expect(storm.isStormy({ precipType: 'snow', precipProbability: 0.6, precipIntensityMax: 0.45 })).to.equal(false);
+        });
+
+    });
+
+    describe('storm daily text', function() {
+
+        it('should describe when storms are most likely', function() {
+            let result = storm.dailyText(stormCondition, dailyData, TZ);
+            expect(result).to.equal('Thunderstorms are possible, most likely around 4pm.');
+        });
+
+        it('should warn about strong storms with a high CAPE', function() {
+            let data = Object.assign({ capeMax: 3100 }, dailyData);
+            let result = storm.dailyText(stormCondition, data, TZ);
+            expect(result).to.contain('some storms could be strong');
+        });
+
+    });
+
+    describe('storm hourly text', function() {
+
+        it('should describe a storm window', function() {
+            let data = getStormHours({ 8: 0.2, 9: 0.5, 10: 0.3 });
+            let result = storm.hourlyText(data.hourly, data.timezone);
+            expect(result).to.equal('Thunderstorms are most likely from about 2pm until 5pm. The strongest storms should be around 3pm.');
+        });
+
+        it('should describe multiple storm windows', function() {
+            let data = getStormHours({ 4: 0.2, 5: 0.2, 12: 0.6 });
+            let result = storm.hourlyText(data.hourly, data.timezone);
+            expect(result).to.equal(
+                'Thunderstorms are most likely from about 10am until 12pm, and again from about 6pm until 7pm. ' +
+                'The strongest storms should be around 6pm.'
+            );
+        });
+
+        it('should not report anything without storms', function() {
+            let data = getStormHours({});
+            expect(storm.hourlyText(data.hourly, data.timezone)).to.equal('');
+        });
+
+    });
+
+});
@@ -25,6 +25,13 @@ let dailyData = {
 chai.should();
 let expect = chai.expect;
 
+function getTempHours(temps) {
+    let start = moment.tz('2018-07-01T05:00:00', 'America/New_York').unix();
+    return temps.map(function(temperature, i) {
+        return { time: start + (i * 3600), temperature: temperature };
+    });
+}
+
 describe('temp module', function() {
 
     describe('temp daily text', function() {
@@ -101,4 +108,90 @@ describe('temp module', function() {
 
     });
 
+    describe('temp detail text', function() {
+
+        it('should narrate the normal temp curve', function() {
+            let hourly = getTempHours([61, 60, 62, 65, 68, 71, 74, 77, 80, 81, 82, 81, 81, 80, 77, 74, 71, 69, 67, 65]);
+            let result = temp.detail(hourly, 'America/New_York');
+            expect(result).to.equal(
+                'It\'ll be about 60 degrees around 6am, then warm up about 2 degrees an hour to a high of 82 around 3pm. ' +
+                'Temperatures will hold near 82 until about 7pm. After that it will cool off to about 71 by 9pm.'
+            );
+        });
+
+        it('should narrate temps dropping all day', function() {
+            let hourly = getTempHours([70, 69, 68, 67, 66, 64, 63, 62, 61, 60]);
+            let result = temp.detail(hourly, 'America/New_York');
+            expect(result).to.equal('Temperatures will drop from about 70 degrees at 5am to 60 by 2pm.');
+        });
+
+        it('should not narrate warming when temps are flat', function() {
+            let hourly = getTempHours([74.6, 74.8, 75, 75.2, 75, 74, 71, 68, 66]);
+            let result = temp.detail(hourly, 'America/New_York');
+            expect(result).to.equal('Temperatures will hold near 75 until about 11am. After that it will cool off to about 66 by 1pm.');
+        });
+
+        it('should call out a cold front', function() {
+            let hourly = getTempHours([62, 66, 70, 74, 77, 79, 80, 72, 66, 65, 64, 63, 62]);
+            let result = temp.detail(hourly, 'America/New_York');
+            expect(result)
+                .to.contain('warm up about 3 degrees an hour to a high of 80 around 11am')
+                .and.contain('cool off to about 62 by 5pm')
+                .and.contain('Watch for a sharp drop of about 14 degrees around 1pm as a cold front moves through.');
+        });
+
+        it('should call out a sudden warm up', function() {
+            let hourly = getTempHours([40, 40, 41, 52, 53, 54]);
+            let result = temp.detail(hourly, 'America/New_York');
+            expect(result).to.contain('Temperatures could jump about 12 degrees around 8am as warmer air moves in.');
+        });
+
+        it('should not narrate without hourly data', function() {
+            expect(temp.detail([], 'America/New_York')).to.equal('');
+        });
+
+    });
+
+    describe('temp facts', function() {
+
+        it('should give the facts for the temp curve', function() {
+            let hourly = getTempHours([62, 66, 70, 74, 77, 79, 80, 72, 66, 65, 64, 63, 62]);
+            let facts = temp.detailFacts(hourly, 'America/New_York');
+            expect(facts.map(function(fact) { return fact.type; }))
+                .to.deep.equal(['temperature-warming', 'temperature-drop', 'temperature-change']);
+            expect(facts[0]).to.deep.equal({
+                type: 'temperature-warming',
+                start: hourly[0].time,
+                low: 62,
+                end: hourly[6].time,
+                high: 80,
+                rate: 3
+            });
+            expect(facts[2]).to.deep.equal({ type: 'temperature-change', start: hourly[6].time, end: hourly[8].time, change: -14 });
+        });
+
+        it('should narrate the facts it is given', function() {
+            let start = moment.tz('2018-07-01T05:00:00', 'America/New_York').unix();
+            let facts = [
+                { type: 'temperature-plateau', temperature: 75.2, end: start + (6 * 3600) },
+                { type: 'temperature-drop', start: start, high: 75.2, end: start + (8 * 3600), temperature: 66 }
+            ];
+            expect(temp.renderDetail(facts, 'America/New_York')).to.equal(
+                'Temperatures will hold near 75 until about 11am. After that it will cool off to about 66 by 1pm.'
+            );
+        });
+
+        it('should give the range of temps for the day', function() {
+            expect(temp.summaryFacts(dailyData)).to.deep.equal([{
+                type: 'temperature-range',
+                low: dailyData.temperatureMin,
+                lowTime: dailyData.temperatureMinTime,
+                high: dailyData.temperatureMax,
+                highTime: dailyData.temperatureMaxTime
+            }]);
+            expect(temp.summaryFacts()).to.deep.equal([]);
+        });
+
+    });
+
 });
@@ -0,0 +1,166 @@
+'use strict';
+
+let chai = require('chai'),
+    units = require('../../src/units');
+
+chai.should();
+let expect = chai.expect;
+
+let forecast = {
+    currently: { temperature: 50, windSpeed: 10, visibility: 5, precipIntensity: 0.1 },
+    hourly: { data: [ { temperature: 32, dewPoint: 14, windGust: 20 } ] },
+    daily: { data: [ { temperatureMax: 212, temperatureMin: -40, precipIntensityMax: 1, precipAccumulation: 10 } ] },
+    flags: { units: 'us', source: 'test' }
+};
+
+describe('units', function() {
+
+    describe('unit systems', function() {
+
+        it('should default to US units', function() {
+            expect(units.getSystem()).to.equal('us');
+            expect(units.getSystem(null)).to.equal('us');
+        });
+
+        it('should know each system (and the Dark Sky alias for UK)', function() {
+            expect(units.getSystem('SI')).to.equal('si');
+            expect(units.getSystem('ca')).to.equal('ca');
+            expect(units.getSystem('uk2')).to.equal('uk');
+        });
+
+        it('should return null for an unknown system', function() {
+            expect(units.getSystem('metric')).to.equal(null);
+        });
+
+    });
+
+    describe('converting data', function() {
+
+        it('should convert a forecast to SI units', function() {
+            let si = units.convertForecast(forecast, 'us', 'si');
+            expect(si.flags).to.deep.equal({ units: 'si', source: 'test' });
+            expect(si.currently.temperature).to.be.closeTo(10, 0.01);
+            expect(si.currently.windSpeed).to.be.closeTo(4.47, 0.01);
+            expect(si.currently.visibility).to.be.closeTo(8.05, 0.01);
+            expect(si.currently.precipIntensity).to.be.closeTo(2.54, 0.01);
+            expect(si.hourly.data[0].temperature).to.be.closeTo(0, 0.01);
+            expect(si.hourly.data[0].dewPoint).to.be.closeTo(-10, 0.01);
+            expect(si.daily.data[0].temperatureMax).to.be.closeTo(100, 0.01);
+            expect(si.daily.data[0].temperatureMin).to.be.closeTo(-40, 0.01);
+            expect(si.daily.data[0].precipIntensityMax).to.be.closeTo(25.4, 0.01);
+            expect(si.daily.data[0].precipAccumulation).to.be.closeTo(25.4, 0.01);
+        });
+
+        it('should not change the original forecast', function() {
+            units.convertForecast(forecast, 'us', 'si');
+            expect(forecast.currently.temperature).to.equal(50);
+            expect(forecast.flags.units).to.equal('us');
+        });
+
+        it('should use kilometres per hour for CA and miles for UK', function() {
+            let ca = units.convertDataPoint(forecast.currently, 'us', 'ca');
+            expect(ca.windSpeed).to.be.closeTo(16.09, 0.01);
+            let uk = units.convertDataPoint(forecast.currently, 'us', 'uk');
+            expect(uk.windSpeed).to.equal(10);
+            expect(uk.visibility).to.equal(5);
+            expect(uk.temperature).to.be.closeTo(10, 0.01);
+        });
+
+        it('should convert back to US units', function() {
+            let us = units.convertForecast(units.convertForecast(forecast, 'us', 'si'), 'si', 'us');
+            expect(us.currently.temperature).to.be.closeTo(50, 0.01);
+            expect(us.currently.windSpeed).to.be.closeTo(10, 0.01);
+            expect(us.daily.data[0].precipAccumulation).to.be.closeTo(10, 0.01);
+        });
+
+    });
+
+    describe('converting facts', function() {
+
+        it('should convert the temperatures, changes, and intensities in facts', function() {
+            let facts = [
+                { type: 'temperature-warming', start: 1, low: 50, end: 2, high: 68, rate: 9 },
+                { type: 'rain-episode', start: 1, end: 2, peak: 1, probability: 0.8, intensity: 0.1 }
+            ];
+            let converted = units.convertFacts(facts, 'us', 'si');
+
+            expect(converted[0]).to.deep.equal({ type: 'temperature-warming', start: 1, low: 10, end: 2, high: 20, rate: 5 });
+            expect(converted[1].intensity).to.be.closeTo(2.54, 0.001);
+            expect(converted[1].probability).to.equal(0.8);
+            expect(facts[0].low).to.equal(50);
+        });
+
+        it('should convert the speeds, amounts, and distances in condition facts', function() {
+            let facts = [
+                { type: 'wind-day', speed: 20, bearing: 270, gust: 30, gustTime: 1 },
+                { type: 'snow-day', probability: 0.6, intensity: 0.05, intensityPeak: 1, accumulation: 4, visibility: 2 },
+                { type: 'cold-day', low: 14, normal: 32, feelsLike: 5, feelsLikeTime: 1 }
+            ];
+            let converted = units.convertFacts(facts, 'us', 'si');
+
+            expect(converted[0].speed).to.be.closeTo(8.941, 0.001);
+            expect(converted[0].gust).to.be.closeTo(13.411, 0.001);
+            expect(converted[0].bearing).to.equal(270);
+            expect(converted[1].intensity).to.be.closeTo(1.27, 0.001);
+            expect(converted[1].accumulation).to.be.closeTo(10.16, 0.001);
+            expect(converted[1].visibility).to.be.closeTo(3.219, 0.001);
+            expect(converted[2]).to.deep.equal({ type: 'cold-day', low: -10, normal: 0, feelsLike: -15, feelsLikeTime: 1 });
+        });
+
+        it('should leave facts in the same units alone', function() {
+            let facts = [{ type: 'temperature-range', low: 50, high: 68 }];
+            expect(units.convertFacts(facts, 'us', 'us')).to.equal(facts);
+        });
+
+    });
+
+    describe('converting options', function() {
+
+        it('should convert the thresholds given in metric units', function() {
+            let o = units.convertOptions({ units: 'si', avgTemps: [ { high: 30, low: 20 } ], dewPointBreak: 20, windBreak: 10 });
+            expect(o.avgTemps).to.deep.equal([ { high: 86, low: 68 } ]);
+            expect(o.dewPointBreak).to.equal(68);
+            expect(o.windBreak).to.be.closeTo(22.37, 0.01);
+        });
+
+        it('should leave US options (and options not given) alone', function() {
+            expect(units.convertOptions({ windBreak: 15 })).to.deep.equal({ windBreak: 15 });
+            expect(units.convertOptions({ units: 'uk', windBreak: 15 })).to.deep.equal({ units: 'uk', windBreak: 15 });
+        });
+
+    });
+
+    describe('spoken values', function() {
+
+        it('should speak US units without any options', function() {
+            expect(units.temperature(72.4)).to.equal(72);
+            expect(units.temperatureDifference(9)).to.equal(9);
+            expect(units.speedText(19.76)).to.equal('20 miles per hour');
+        });
+
+        it('should speak metric temperatures and differences', function() {
+            expect(units.temperature(72.4, { units: 'si' })).to.equal(22);
+            expect(units.temperatureDifference(9, { units: 'uk' })).to.equal(5);
+        });
+
+        it('should give temperatures as text for the forecast', function() {
+            expect(units.temperatureText(72.4)).to.equal('72');
+            expect(units.temperatureText(20.5, { units: 'si' })).to.equal('-6');
+        });
+
+        it('should speak wind in kilometres per hour for SI and CA', function() {
+            expect(units.speedText(19.76, { units: 'si' })).to.equal('32 kilometres per hour');
+            expect(units.speedText(19.76, { units: 'ca' })).to.equal('32 kilometres per hour');
+            expect(units.speedText(19.76, { units: 'uk' })).to.equal('20 miles per hour');
+        });
+
+        it('should give distances and amounts in metric units', function() {
+            expect(units.distance(1, { units: 'si' })).to.be.closeTo(1.61, 0.01);
+            expect(units.distance(1, { units: 'uk' })).to.equal(1);
+            expect(units.precipitation(0.25, { units: 'uk' })).to.be.closeTo(6.35, 0.01);
+            expect(units.snowDepth(4, { units: 'ca' })).to.be.closeTo(10.16, 0.01);
+        });
+
+    });
+
+});
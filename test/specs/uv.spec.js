@@ -0,0 +1,97 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    uv = require('../../src/conditions/uv'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-06-15T00:00:00', TZ).unix();
+
+let o = { uvBreak: 6 },
+    uvCondition = {
+        topic: 'uv',
+        probability: 1,
+        level: 3
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Clear throughout the day.',
+        'icon':'clear-day',
+        'uvIndex':8.4,
+        'uvIndexTime':time + (60 * 60 * 13)
+    };
+
+chai.should();
+let expect = chai.expect;
+
+function getSunnyHours(uvIndexes) {
+    let data = weatherDataGenerate(null, {
+        maxTemp: 85,
+        minTemp: 65,
+        conditions: []
+    }, '2025-06-15T06:30:00');
+    let hourly = data.hourly.data.slice(0,18);
+    hourly.forEach(function(hour, i) {
+        hour.uvIndex = uvIndexes[i] || 0;
+    });
+    return { hourly: hourly, timezone: data.timezone };
+}
+
+describe('uv module', function() {
+
+    describe('uv headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = uv.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('uv daily text', function() {
+
+        it('should report the peak with a sunscreen reminder', function() {
+            let result = uv.dailyText(uvCondition, dailyData, TZ, o);
+            expect(result).to.equal(
+                'The UV index will peak at 8, which is very high, around 1pm. ' +
+                'Don\'t forget the sunscreen if you\'ll be outside.'
+            );
+        });
+
+        it('should warn about extreme UV', function() {
+            let data = Object.assign({}, dailyData, { uvIndex: 11.2 });
+            let result = uv.dailyText(uvCondition, data, TZ, o);
+            expect(result).to.contain('which is extreme').and.contain('Unprotected skin can burn in minutes');
+        });
+
+        it('should skip the reminder below the uvBreak', function() {
+            let result = uv.dailyText(uvCondition, dailyData, TZ, { uvBreak: 9 });
+            expect(result).to.equal('The UV index will peak at 8, which is very high, around 1pm.');
+        });
+
+    });
+
+    describe('uv hourly text', function() {
+
+        it('should report the window above the uvBreak', function() {
+            let data = getSunnyHours({ 3: 5, 4: 6.2, 5: 7.5, 6: 8.1, 7: 7.4, 8: 6, 9: 4.5 });
+            let result = uv.hourlyText(data.hourly, data.timezone, dailyData, o);
+            expect(result).to.equal('The sun will be strongest from about 10am until 3pm, with the UV index peaking at 8 around 12pm.');
+        });
+
+        it('should use the uvBreak option', function() {
+            let data = getSunnyHours({ 3: 5, 4: 6.2, 5: 7.5, 6: 8.1, 7: 7.4, 8: 6, 9: 4.5 });
+            let result = uv.hourlyText(data.hourly, data.timezone, dailyData, { uvBreak: 7.5 });
+            expect(result).to.equal('The sun will be strongest from about 11am until 1pm, with the UV index peaking at 8 around 12pm.');
+        });
+
+        it('should not report a low UV day', function() {
+            let data = getSunnyHours({ 5: 3, 6: 4 });
+            expect(uv.hourlyText(data.hourly, data.timezone, dailyData, o)).to.equal('');
+        });
+
+    });
+
+});
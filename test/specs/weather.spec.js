@@ -5,7 +5,9 @@ let nock = require('nock'),
     chai = require('chai'),
     chaiPromise = require('chai-as-promised'),
     _ = require('lodash'),
+    moment = require('moment-timezone'),
     weatherInit = require('../../src/weather'),
+    units = require('../../src/units'),
     generator = require('../data/dc.weather'),
     weatherData = generator(null, {
         maxTemp: 75,
@@ -34,6 +36,13 @@ const locationData = {
 const generatedReqDate = new Date();
 generatedReqDate.setHours(7);
 
+function getDailyData(data, time) {
+    let simpleDate = moment(time).format('YYYY-MM-DD');
+    return data.daily.data.filter(function(day) {
+        return moment(day.time * 1000).format('YYYY-MM-DD') === simpleDate;
+    })[0];
+}
+
 describe('Weather core', function() {
 
     afterEach(function() {
@@ -85,6 +94,174 @@ describe('Weather core', function() {
         });
     });
 
+    describe('error types', function() {
+        it('should reject with a ConfigError for no API key', function() {
+            return weatherInit()().then(
+                function() { throw new Error('Should have rejected'); },
+                function(err) {
+                    expect(err).to.be.an.instanceof(weatherInit.ConfigError);
+                    expect(err).to.be.an.instanceof(weatherInit.FuzzyWeatherError);
+                    expect(err.code).to.equal(weatherInit.errorCodes.MISSING_API_KEY);
+                    expect(err.option).to.equal('apiKey');
+                }
+            );
+        });
+
+        it('should reject with a ConfigError for a bad location', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lng: 42 } });
+            return expect(weather()).to.eventually.be.rejectedWith(weatherInit.ConfigError)
+                    .and.have.property('code').that.equals('INVALID_LOCATION');
+        });
+
+        it('should reject with a DateRangeError for an invalid date', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            return weather('asdfghjkl').then(
+                function() { throw new Error('Should have rejected'); },
+                function(err) {
+                    expect(err).to.be.an.instanceof(weatherInit.DateRangeError);
+                    expect(err.code).to.equal('INVALID_DATE');
+                    expect(err.requestedDate).to.equal('asdfghjkl');
+                }
+            );
+        });
+
+        it('should reject with a DateRangeError with the allowed range for a date too far out', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            return weather(Date.now() + (8 * 86400000)).then(
+                function() { throw new Error('Should have rejected'); },
+                function(err) {
+                    expect(err).to.be.an.instanceof(weatherInit.DateRangeError);
+                    expect(err.code).to.equal('DATE_TOO_FAR');
+                    expect(err.requestedDate).to.be.an.instanceof(Date);
+                    expect(err.allowedRange).to.have.property('start').that.is.an.instanceof(Date);
+                    expect(err.allowedRange).to.have.property('end').that.is.an.instanceof(Date);
+                    expect(err.requestedDate.getTime()).to.be.above(err.allowedRange.end.getTime());
+                }
+            );
+        });
+
+        it('should reject with a DateRangeError for a date in the past', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            return expect(weather('1/1/2000')).to.eventually.be.rejectedWith(weatherInit.DateRangeError)
+                    .and.have.property('code').that.equals('DATE_IN_PAST');
+        });
+
+        it('should reject with a ProviderError with the status code for a bad response', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(403, 'Forbidden');
+
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            return weather().then(
+                function() { throw new Error('Should have rejected'); },
+                function(err) {
+                    expect(err).to.be.an.instanceof(weatherInit.ProviderError);
+                    expect(err.code).to.equal('BAD_STATUS');
+                    expect(err.statusCode).to.equal(403);
+                    expect(err.provider).to.equal('darksky');
+                    expect(err.attempts).to.have.length(1);
+                }
+            );
+        });
+
+        it('should reject with a ParseError for invalid JSON', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, 'this is not JSON');
+
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            return expect(weather()).to.eventually.be.rejectedWith(weatherInit.ParseError)
+                    .and.have.property('code').that.equals('INVALID_RESPONSE');
+        });
+
+        it('should wrap errors from custom providers', function() {
+            let weather = weatherInit({
+                provider: {
+                    name: 'custom',
+                    fetch: function() { return Promise.reject(new Error('Nope')); },
+                    normalize: function(raw) { return raw; }
+                },
+                location: { lat: LAT, lng: LNG }
+            });
+            return weather().then(
+                function() { throw new Error('Should have rejected'); },
+                function(err) {
+                    expect(err).to.be.an.instanceof(weatherInit.ProviderError);
+                    expect(err.code).to.equal('REQUEST_FAILED');
+                    expect(err.provider).to.equal('custom');
+                    expect(err.cause).to.have.property('message').that.equals('Nope');
+                }
+            );
+        });
+
+        it('should reject with a ParseError when custom providers cannot normalize data', function() {
+            let weather = weatherInit({
+                provider: {
+                    name: 'custom',
+                    fetch: function() { return Promise.resolve({}); },
+                    normalize: function() { throw new TypeError('Bad data'); }
+                },
+                location: { lat: LAT, lng: LNG }
+            });
+            return expect(weather()).to.eventually.be.rejectedWith(weatherInit.ParseError)
+                    .and.have.property('code').that.equals('INVALID_DATA');
+        });
+    });
+
+    describe('weather providers', function() {
+        it('should reject with an unknown provider', function() {
+            let weather = weatherInit({ provider: 'foobar', location: { lat: LAT, lng: LNG } });
+            return expect(weather()).to.eventually.be.rejectedWith(Error)
+                    .and.have.property('message').that.contains('provider');
+        });
+
+        it('should reject with a custom provider missing normalize()', function() {
+            let weather = weatherInit({
+                provider: { name: 'custom', fetch: function() { return Promise.resolve({}); } },
+                location: { lat: LAT, lng: LNG }
+            });
+            return expect(weather()).to.eventually.be.rejectedWith(Error)
+                    .and.have.property('message').that.contains('provider');
+        });
+
+        it('should reject with the error from provider validation', function() {
+            let weather = weatherInit({
+                provider: {
+                    name: 'custom',
+                    validate: function() { return new Error('Custom validation failed'); },
+                    fetch: function() { return Promise.resolve({}); },
+                    normalize: function(raw) { return raw; }
+                },
+                location: { lat: LAT, lng: LNG }
+            });
+            return expect(weather()).to.eventually.be.rejectedWith(Error)
+                    .and.have.property('message').that.contains('Custom validation');
+        });
+
+        it('should use a custom provider to fetch and normalize data', function() {
+            let fetched = false;
+            let weather = weatherInit({
+                provider: {
+                    name: 'custom',
+                    fetch: function(o) {
+                        fetched = (o.location.lat === LAT);
+                        return Promise.resolve({ forecast: weatherData });
+                    },
+                    normalize: function(raw) { return raw.forecast; }
+                },
+                location: { lat: LAT, lng: LNG }
+            });
+            let p = weather();
+
+            return Promise.all([
+                expect(p).to.eventually.have.keys('date', 'currently', 'dailySummary', 'detail'),
+                expect(p).to.eventually.have.property('dailySummary')
+                    .that.has.property('forecast').that.is.a('string'),
+                p.then(function() { expect(fetched).to.equal(true); })
+            ]);
+        });
+    });
+
     describe('getting daily weather data', function() {
         beforeEach(function() {
             nock('https://api.darksky.net')
@@ -163,6 +340,692 @@ describe('Weather core', function() {
 
     });
 
+    describe('getting astronomy data', function() {
+        beforeEach(function() {
+            let data = generator(locationData, {
+                maxTemp: 75,
+                minTemp: 55,
+                conditions: []
+            }, generatedReqDate.getTime());
+
+            // the provider doesn't give us the sunrise or sunset for today
+            let day = getDailyData(data, generatedReqDate.getTime());
+            delete day.sunriseTime;
+            delete day.sunsetTime;
+
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should not narrate astronomy by default', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather(generatedReqDate.getTime()).then(function(data) {
+                expect(data.dailySummary.conditions).to.not.have.property('astronomy');
+                expect(data.dailySummary.forecast).to.not.contain('The sun rises');
+            });
+        });
+
+        it('should narrate sunrise, sunset, and the moon phase when asked', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, astronomy: true });
+
+            return weather(generatedReqDate.getTime()).then(function(data) {
+                debugOutput('DAILY', data.dailySummary.forecast);
+
+                let values = data.dailySummary.conditions.astronomy;
+                expect(values).to.have.keys('sunriseTime', 'sunsetTime', 'sunsetChange', 'moonPhase', 'moonPhaseName');
+                expect(values.sunriseTime).to.be.below(values.sunsetTime);
+                expect(moment.tz(values.sunsetTime * 1000, TZ).format('YYYY-MM-DD'))
+                    .to.equal(moment.tz(generatedReqDate, TZ).format('YYYY-MM-DD'));
+                expect(data.dailySummary.forecast)
+                    .to.match(/The sun rises at \d{1,2}:\d\dam and sets at \d{1,2}:\d\dpm, about (.+ than|the same time as) yesterday\./)
+                    .and.contain(`The moon will be ${values.moonPhaseName}.`);
+            });
+        });
+    });
+
+    describe('getting snowy weather data', function() {
+        beforeEach(function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, generator(locationData, {
+                    maxTemp: 30,
+                    minTemp: 20,
+                    conditions: [ { type: 'snow', length: 8, delay: 1 } ]
+                }, generatedReqDate.getTime()));
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should narrate snow for a snowy day', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather(generatedReqDate.getTime()).then(function(data) {
+                debugOutput('DAILY', data.dailySummary.forecast);
+                debugOutput('HOURLY', data.detail && data.detail.forecast);
+
+                expect(data.dailySummary.conditions).to.have.property('snow');
+                expect(data.dailySummary.forecast).to.contain('snow').and.contain('accumulation');
+            });
+        });
+    });
+
+    describe('getting icy weather data', function() {
+        beforeEach(function() {
+            let data = generator(locationData, {
+                maxTemp: 31,
+                minTemp: 24,
+                conditions: [ { type: 'rain', length: 8, delay: 1 } ]
+            }, generatedReqDate.getTime());
+
+            // the rain is falling on a day that stays below freezing
+            let day = getDailyData(data, generatedReqDate.getTime());
+            day.temperatureMax = 31;
+            day.apparentTemperatureMax = 27;
+            day.temperatureMin = 24;
+            day.apparentTemperatureMin = 18;
+            day.dewPoint = 22;
+            day.humidity = 0.8;
+            // the generated intensity is random, keep it to a steady freezing rain
+            day.precipIntensityMax = 0.08;
+            data.hourly.data.slice(1, 9).forEach(function(hour) {
+                hour.precipIntensity = 0.05;
+            });
+
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should narrate ice ahead of rain for rain below freezing', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather(generatedReqDate.getTime()).then(function(data) {
+                debugOutput('DAILY', data.dailySummary.forecast);
+                debugOutput('HOURLY', data.detail && data.detail.forecast);
+
+                expect(data.dailySummary.conditions).to.include.keys('ice', 'rain');
+                expect(data.dailySummary.forecast).to.contain('icy roads');
+                expect(data.dailySummary.forecast.indexOf('Freezing rain is possible'))
+                    .to.be.below(data.dailySummary.forecast.indexOf('You should expect'));
+                expect(data.detail.forecast).to.contain('Expect freezing rain from about');
+            });
+        });
+    });
+
+    describe('getting hot weather data', function() {
+        let reqDate = generatedReqDate.getTime() + (2 * 86400000);
+
+        beforeEach(function() {
+            let data = generator(locationData, {
+                maxTemp: 75,
+                minTemp: 55,
+                heatIndexPercent: 0.05,
+                conditions: [ { type: 'rain', length: 5, delay: 1 } ]
+            }, generatedReqDate.getTime());
+
+            // a rainy day that is also hot and sticky
+            let day = getDailyData(data, reqDate);
+            day.temperatureMax = 101;
+            day.apparentTemperatureMax = 109;
+            day.dewPoint = 75;
+            day.humidity = 0.8;
+
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should narrate both the heat and the rain', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather(reqDate).then(function(data) {
+                debugOutput('DAILY', data.dailySummary.forecast);
+
+                expect(data.dailySummary.conditions).to.include.keys('heat-humid', 'rain');
+                expect(data.dailySummary.forecast)
+                    .to.contain('high of 101 degrees')
+                    .and.contain('feel more like 109')
+                    .and.contain('dew points around 75')
+                    .and.contain('light rain');
+            });
+        });
+    });
+
+    describe('using other unit systems', function() {
+        let reqDate = generatedReqDate.getTime() + (2 * 86400000);
+        let data;
+
+        beforeEach(function() {
+            data = generator(locationData, {
+                maxTemp: 75,
+                minTemp: 55,
+                conditions: []
+            }, generatedReqDate.getTime());
+
+            // a hot and sticky day
+            let day = getDailyData(data, reqDate);
+            day.temperatureMax = 101;
+            day.apparentTemperatureMax = 109;
+            day.dewPoint = 75;
+            day.humidity = 0.8;
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should throw a ConfigError for an unknown unit system', function() {
+            expect(function() {
+                weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'metric' });
+            }).to.throw(weatherInit.ConfigError).with.property('code', weatherInit.errorCodes.INVALID_UNITS);
+        });
+
+        it('should narrate and respond in metric units', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'si' });
+
+            return weather(reqDate).then(function(report) {
+                debugOutput('DAILY', report.dailySummary.forecast);
+
+                expect(report.dailySummary.forecast)
+                    .to.contain('high of 38 degrees')
+                    .and.contain('feel more like 43')
+                    .and.contain('dew points around 24');
+                expect(report.dailySummary.data.temperatureMax).to.be.closeTo(38.3, 0.1);
+                expect(report.dailySummary.data.windSpeed)
+                    .to.be.closeTo(getDailyData(data, reqDate).windSpeed * 0.44704, 0.01);
+            });
+        });
+
+        it('should take the thresholds in the requested units', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let avgTemps = _.times(12, function() { return { high: 30, low: 20 }; });
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'ca', avgTemps: avgTemps });
+
+            return weather(reqDate).then(function(report) {
+                // 101F is 38C, which is 8 degrees (C) above the 30 degree normal
+                expect(report.dailySummary.forecast).to.contain('high of 38 degrees, which is a whopping 8 degrees above normal');
+            });
+        });
+
+        it('should speak wind speeds in kilometres per hour', function() {
+            weatherData.currently = _.clone(origCurrently);
+            weatherData.currently.windSpeed = 19.76;
+            weatherData.currently.windBearing = 180;
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, weatherData);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'ca' });
+
+            return weather().then(function(report) {
+                expect(report.currently.forecast).to.contain('32 kilometres per hour out of the south');
+                expect(report.currently.data.windSpeed).to.be.closeTo(31.8, 0.1);
+            });
+        });
+
+        it('should convert provider data that is not in US units', function() {
+            let siData = units.convertForecast(data, 'us', 'si');
+            let day = getDailyData(siData, reqDate);
+            day.temperatureMax = 38.5;
+            expect(siData.flags.units).to.equal('si');
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, siData);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather(reqDate).then(function(report) {
+                expect(report.dailySummary.conditions).to.include.keys('heat-humid');
+                expect(report.dailySummary.forecast).to.contain('high of 101 degrees');
+                expect(report.dailySummary.data.temperatureMax).to.be.closeTo(101.3, 0.1);
+            });
+        });
+    });
+
+    describe('using other locales', function() {
+        let reqDate = generatedReqDate.getTime() + (2 * 86400000);
+        let data;
+
+        beforeEach(function() {
+            data = generator(locationData, {
+                maxTemp: 75,
+                minTemp: 55,
+                conditions: []
+            }, generatedReqDate.getTime());
+
+            // a hot and sticky day
+            let day = getDailyData(data, reqDate);
+            day.temperatureMax = 101;
+            day.apparentTemperatureMax = 109;
+            day.dewPoint = 75;
+            day.humidity = 0.8;
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should throw a ConfigError for an unknown locale', function() {
+            expect(function() {
+                weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, locale: 'fr' });
+            }).to.throw(weatherInit.ConfigError).with.property('code', weatherInit.errorCodes.INVALID_LOCALE);
+        });
+
+        it('should narrate in Spanish', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'si', locale: 'es' });
+
+            return weather(reqDate).then(function(report) {
+                debugOutput('DAILY', report.dailySummary.forecast);
+
+                expect(report.dailySummary.forecast)
+                    .to.contain('Se espera una máxima de 38 grados')
+                    .and.contain('La sensación térmica será de 43')
+                    .and.contain('puntos de rocío de alrededor de 24')
+                    .and.not.contain('degrees');
+                expect(report.dailySummary.conditions['heat-humid']).to.contain('80 por ciento de humedad');
+            });
+        });
+
+        it('should accept a regional locale', function() {
+            weatherData.currently = _.clone(origCurrently);
+            weatherData.currently.windSpeed = 19.76;
+            weatherData.currently.windBearing = 180;
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, weatherData);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, locale: 'es-MX' });
+
+            return weather().then(function(report) {
+                debugOutput('CURRENT', report.currently.forecast);
+                expect(report.currently.forecast).to.contain('Y el viento sopla a 20 millas por hora del sur.');
+            });
+        });
+
+        it('should use the Spanish day names', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, locale: 'es' });
+            let later = generatedReqDate.getTime() + (3 * 86400000);
+
+            return weather.getRange(reqDate, later).then(function(range) {
+                debugOutput('RANGE', range.overview);
+                expect(range.overview).to.contain(`De aquí hasta el ${moment(later).locale('es').format('dddd')},`);
+            });
+        });
+    });
+
+    describe('getting forecast facts', function() {
+        let reqDate = generatedReqDate.getTime() + 86400000;
+        let data;
+
+        beforeEach(function() {
+            data = generator(locationData, {
+                maxTemp: 75,
+                minTemp: 55,
+                conditions: []
+            }, generatedReqDate.getTime());
+
+            // a hot and sticky day
+            let day = getDailyData(data, reqDate);
+            day.temperatureMax = 101;
+            day.apparentTemperatureMax = 109;
+            day.dewPoint = 75;
+            day.humidity = 0.8;
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        function getFacts(section, type) {
+            return section.facts.filter(function(fact) { return fact.type === type; });
+        }
+
+        it('should give the facts for the daily summary and the detail', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather(reqDate).then(function(report) {
+                let day = report.dailySummary.data;
+
+                expect(getFacts(report.dailySummary, 'condition')[0]).to.include({ topic: 'heat-humid', probability: 1 });
+                expect(getFacts(report.dailySummary, 'temperature-range')).to.deep.equal([{
+                    type: 'temperature-range',
+                    low: day.temperatureMin,
+                    lowTime: day.temperatureMinTime,
+                    high: 101,
+                    highTime: day.temperatureMaxTime
+                }]);
+                expect(getFacts(report.dailySummary, 'heat-day')[0]).to.include({ high: 101, feelsLike: 109 });
+                expect(getFacts(report.dailySummary, 'humidity-day')).to.deep.equal([
+                    { type: 'humidity-day', dewPoint: 75, humidity: 0.8 }
+                ]);
+                expect(report.dailySummary.forecast).to.contain('feel more like 109').and.contain('dew points around 75');
+
+                let warming = getFacts(report.detail, 'temperature-warming');
+                expect(warming).to.have.length(1);
+                expect(report.detail.forecast)
+                    .to.contain(`It'll be about ${warming[0].low} degrees`)
+                    .and.contain(`to a high of ${warming[0].high} around`);
+                expect(getFacts(report.detail, 'condition').map(function(fact) { return fact.topic; })).to.include('heat-humid');
+                expect(getFacts(report.detail, 'heat-day')).to.deep.equal(getFacts(report.dailySummary, 'heat-day'));
+                expect(report.detail.conditions['heat-humid']).to.equal(report.dailySummary.conditions['heat-humid']);
+                expect(report.detail.forecast).to.not.match(/\s\s/);
+            });
+        });
+
+        it('should give the facts in the requested units', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'si' });
+
+            return weather(reqDate).then(function(report) {
+                let range = getFacts(report.dailySummary, 'temperature-range')[0];
+                expect(range.high).to.be.closeTo(38.3, 0.1);
+                expect(range.low).to.be.closeTo(report.dailySummary.data.temperatureMin, 0.001);
+                let heat = getFacts(report.dailySummary, 'heat-day')[0];
+                expect(heat.feelsLike).to.be.closeTo(42.8, 0.1);
+                expect(getFacts(report.dailySummary, 'humidity-day')[0].dewPoint).to.be.closeTo(23.9, 0.1);
+            });
+        });
+
+        it('should give the facts for the weather right now', function() {
+            weatherData.currently = Object.assign(_.clone(origCurrently), {
+                precipProbability: 0,
+                cloudCover: 0.2,
+                temperature: 88,
+                apparentTemperature: 96,
+                dewPoint: 74,
+                humidity: 0.82,
+                windSpeed: 22,
+                windBearing: 270
+            });
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, weatherData);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'si' });
+
+            return weather().then(function(report) {
+                let facts = report.currently.facts;
+                expect(facts.map(function(fact) { return fact.type; }))
+                    .to.deep.equal(['current-clouds', 'current-temp', 'current-humidity', 'current-wind']);
+                expect(getFacts(report.currently, 'current-temp')[0].temperature).to.be.closeTo(31.1, 0.1);
+                expect(getFacts(report.currently, 'current-temp')[0].feelsLike).to.be.closeTo(35.6, 0.1);
+                expect(getFacts(report.currently, 'current-humidity')[0]).to.include({ humidity: 0.82 });
+                expect(getFacts(report.currently, 'current-wind')[0].speed).to.be.closeTo(9.8, 0.1);
+                expect(getFacts(report.currently, 'current-wind')[0].bearing).to.equal(270);
+                expect(report.currently.forecast)
+                    .to.contain('but it feels like 36')
+                    .and.contain('82 percent humidity')
+                    .and.contain('out of the west');
+            });
+        });
+
+        it('should give the precipitation right now instead of the clouds', function() {
+            weatherData.currently = Object.assign(_.clone(origCurrently), {
+                precipProbability: 0.9,
+                precipIntensity: 0.1,
+                precipType: 'rain',
+                windSpeed: 5
+            });
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, weatherData);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather().then(function(report) {
+                expect(getFacts(report.currently, 'current-precip')).to.deep.equal([
+                    { type: 'current-precip', precipType: 'rain', probability: 0.9, intensity: 0.1 }
+                ]);
+                expect(getFacts(report.currently, 'current-clouds')).to.deep.equal([]);
+                expect(getFacts(report.currently, 'current-wind')).to.deep.equal([]);
+                expect(report.currently.forecast).to.contain('There is moderate rain right now');
+            });
+        });
+
+        it('should give the alerts in effect right now', function() {
+            weatherData.currently = _.clone(origCurrently);
+            weatherData.alerts = [
+                {
+                    'title': 'Heat Advisory',
+                    'time': weatherData.currently.time - (60 * 60),
+                    'expires': weatherData.currently.time + (60 * 60 * 4),
+                    'description': 'It will be hot.\n\nStay inside.'
+                },
+                {
+                    'title': 'Heat Advisory',
+                    'time': weatherData.currently.time - (60 * 60),
+                    'expires': weatherData.currently.time + (60 * 60 * 4),
+                    'description': 'It will be hot for the next county too.'
+                },
+                {
+                    'title': 'Flood Watch',
+                    'time': weatherData.currently.time + (60 * 60),
+                    'expires': null,
+                    'description': 'Later on.'
+                }
+            ];
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, weatherData);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather().then(function(report) {
+                expect(getFacts(report.currently, 'alert')).to.deep.equal([{
+                    type: 'alert',
+                    title: 'Heat Advisory',
+                    start: weatherData.currently.time - (60 * 60),
+                    expires: weatherData.currently.time + (60 * 60 * 4),
+                    description: 'It will be hot.'
+                }]);
+                expect(report.currently.forecast).to.contain('There is a weather alert: Heat Advisory until');
+            });
+        });
+    });
+
+    describe('speaking with SSML', function() {
+        let reqDate = generatedReqDate.getTime() + 86400000;
+        let data;
+
+        beforeEach(function() {
+            data = generator(locationData, {
+                maxTemp: 75,
+                minTemp: 55,
+                conditions: []
+            }, generatedReqDate.getTime());
+
+            // a hot and sticky day
+            let day = getDailyData(data, reqDate);
+            day.temperatureMax = 101;
+            day.apparentTemperatureMax = 109;
+            day.dewPoint = 75;
+            day.humidity = 0.8;
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should throw a ConfigError for an unknown output', function() {
+            expect(function() {
+                weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, output: 'html' });
+            }).to.throw(weatherInit.ConfigError).with.property('code', weatherInit.errorCodes.INVALID_OUTPUT);
+        });
+
+        it('should speak the current conditions and emphasize alerts', function() {
+            weatherData.currently = _.clone(origCurrently);
+            weatherData.currently.windSpeed = 19.76;
+            weatherData.alerts = [
+                {
+                    'title': 'Heat & Air Quality Alert',
+                    'time': Math.round(Date.now() / 1000) - (60 * 60),
+                    'expires': Math.round(Date.now() / 1000) + (60 * 60 * 4),
+                    'description': '... EXCESSIVELY LONG DESCRIPTION ...'
+                }
+            ];
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, weatherData);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, output: 'ssml' });
+            let temp = Math.round(weatherData.currently.temperature);
+
+            return weather().then(function(report) {
+                debugOutput('CURRENT', report.currently.forecast);
+
+                expect(report.currently.forecast)
+                    .to.match(/^<speak>It's .+<\/speak>$/)
+                    .and.contain(`and it's currently <say-as interpret-as="cardinal">${temp}</say-as> degrees.`)
+                    .and.contain('<break strength="strong"/> And the wind is up around')
+                    .and.contain('<emphasis level="strong">Heat &amp; Air Quality Alert until ' +
+                        '<say-as interpret-as="time" format="hms12">')
+                    .and.not.contain('\u0002');
+                expect(report.currently.conditions.wind).to.equal('And the wind is up around 20 miles per hour out of the south.');
+            });
+        });
+
+        it('should speak the daily summary and the detail', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, output: 'ssml' });
+
+            return weather(reqDate).then(function(report) {
+                debugOutput('DAILY', report.dailySummary.forecast);
+                debugOutput('DETAIL', report.detail.forecast);
+
+                expect(report.dailySummary.forecast)
+                    .to.match(/^<speak>.+<\/speak>$/)
+                    .and.contain('Expect a high of <say-as interpret-as="cardinal">101</say-as> degrees')
+                    .and.contain('<break strength="strong"/>');
+                expect(report.dailySummary.conditions['heat-humid'])
+                    .to.contain('Expect a high of 101 degrees')
+                    .and.not.contain('<');
+                expect(report.detail.forecast)
+                    .to.match(/^<speak>.+<\/speak>$/)
+                    .and.contain('<say-as interpret-as="time" format="hms12">');
+            });
+        });
+
+        it('should use the 24 hour clock for Spanish', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, locale: 'es', output: 'ssml' });
+
+            return weather(reqDate).then(function(report) {
+                debugOutput('DETAIL', report.detail.forecast);
+                expect(report.detail.forecast)
+                    .to.contain('<say-as interpret-as="time" format="hms24">')
+                    .and.not.contain('format="hms12"');
+            });
+        });
+
+        it('should speak the range overview', function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, output: 'ssml' });
+
+            return weather.getRange(generatedReqDate.getTime(), reqDate + 86400000).then(function(range) {
+                debugOutput('RANGE', range.overview);
+                expect(range.overview)
+                    .to.match(/^<speak>.+<\/speak>$/)
+                    .and.contain('<say-as interpret-as="cardinal">101</say-as>');
+            });
+        });
+    });
+
+    describe('reporting multiple conditions', function() {
+        let reqDate = generatedReqDate.getTime() + (2 * 86400000);
+
+        beforeEach(function() {
+            let data = generator(locationData, {
+                maxTemp: 75,
+                minTemp: 55,
+                heatIndexPercent: 0.05,
+                conditions: [ { type: 'rain', length: 5, delay: 1 } ]
+            }, generatedReqDate.getTime());
+
+            // a rainy day that is also cold and windy
+            let day = getDailyData(data, reqDate);
+            day.temperatureMax = 38;
+            day.apparentTemperatureMax = 30;
+            day.temperatureMin = 20;
+            day.apparentTemperatureMin = 10;
+            day.windSpeed = 30;
+            day.dewPoint = 15;
+            day.humidity = 0.5;
+
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, data);
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should narrate each condition, most severe first', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather(reqDate).then(function(data) {
+                debugOutput('DAILY', data.dailySummary.forecast);
+
+                expect(data.dailySummary.conditions).to.include.keys('cold-wind', 'rain');
+                expect(data.dailySummary.forecast)
+                    .to.contain('low of 20 degrees')
+                    .and.contain('Winds around 30 miles per hour')
+                    .and.contain('light rain');
+                expect(data.dailySummary.forecast.indexOf('low of 20 degrees'))
+                    .to.be.below(data.dailySummary.forecast.indexOf('light rain'));
+            });
+        });
+
+        it('should only narrate the most severe conditions', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, maxConditions: 1 });
+
+            return weather(reqDate).then(function(data) {
+                expect(data.dailySummary.conditions).to.have.keys('cold-wind');
+                expect(data.dailySummary.forecast).to.not.contain('light rain');
+            });
+        });
+
+        it('should not narrate more conditions than the maxConditions option', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, maxConditions: 0 });
+
+            return weather(reqDate).then(function(data) {
+                expect(data.dailySummary.conditions).to.deep.equal({});
+                expect(data.dailySummary.forecast).to.not.contain('rain');
+            });
+        });
+    });
+
     describe('getting hourly weather data', function() {
         beforeEach(function() {
             nock('https://api.darksky.net')
@@ -184,7 +1047,7 @@ describe('Weather core', function() {
             return Promise.all([
                 expect(p).to.eventually.have.keys('date', 'currently', 'dailySummary', 'detail'),
                 expect(p).to.eventually.have.property('detail').that.is.a('object'),
-                expect(p).to.eventually.have.property('detail').that.has.keys('data', 'forecast', 'conditions'),
+                expect(p).to.eventually.have.property('detail').that.has.keys('data', 'forecast', 'conditions', 'facts'),
                 expect(p).to.eventually.have.property('detail')
                     .that.has.property('forecast').that.is.a('string')
                     .and.contains('rain'),
@@ -203,7 +1066,7 @@ describe('Weather core', function() {
                 expect(p).to.eventually.have.keys('date', 'currently', 'dailySummary', 'detail'),
                 expect(p).to.eventually.have.property('currently').that.is.null,
                 expect(p).to.eventually.have.property('detail').that.is.an('object'),
-                expect(p).to.eventually.have.property('detail').that.has.keys('data', 'forecast', 'conditions'),
+                expect(p).to.eventually.have.property('detail').that.has.keys('data', 'forecast', 'conditions', 'facts'),
                 expect(p).to.eventually.have.property('detail')
                     .that.has.property('forecast').that.is.a('string'),
                 expect(p).to.eventually.have.property('detail').that.has.property('forecast')
@@ -225,7 +1088,7 @@ describe('Weather core', function() {
                 expect(p).to.eventually.have.keys('date', 'currently', 'dailySummary', 'detail'),
                 expect(p).to.eventually.have.property('date').that.is.an.instanceof(Date),
                 expect(p).to.eventually.have.property('detail').that.is.an('object'),
-                expect(p).to.eventually.have.property('detail').that.has.keys('data', 'forecast', 'conditions'),
+                expect(p).to.eventually.have.property('detail').that.has.keys('data', 'forecast', 'conditions', 'facts'),
                 expect(p).to.eventually.have.property('detail')
                     .that.has.property('forecast').that.is.a('string'),
                 expect(p).to.eventually.have.property('detail')
@@ -241,6 +1104,245 @@ describe('Weather core', function() {
 
     });
 
+    describe('reporting custom conditions', function() {
+        beforeEach(function() {
+            nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, weatherData);
+
+            weatherInit.registerCondition('pollen', {
+                detect: function(data) {
+                    return (data.temperatureMax > 50) ? { level: 100, probability: 0.9 } : null;
+                },
+                headline: function() { return 'Allergies could act up {day}.'; },
+                dailyText: function() { return 'Tree pollen will be high.'; },
+                hourlyText: function() { return 'Pollen counts will peak in the afternoon.'; },
+                currentText: function() { return 'Pollen is high right now.'; },
+                overview: 'high pollen'
+            });
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+            weatherInit.unregisterCondition('pollen');
+        });
+
+        it('should narrate a custom condition with the built-in ones', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather().then(function(data) {
+                debugOutput('DAILY', data.dailySummary.forecast);
+
+                expect(data.dailySummary.conditions).to.have.property('pollen', 'Tree pollen will be high.');
+                expect(data.dailySummary.forecast).to.match(/^Allergies could act up today\. Tree pollen will be high\./);
+                expect(data.detail.conditions).to.have.property('pollen', 'Tree pollen will be high.');
+                expect(data.detail.forecast).to.contain('Pollen counts will peak in the afternoon.');
+                expect(data.currently.conditions).to.have.property('pollen', 'Pollen is high right now.');
+                expect(data.currently.forecast).to.contain('Pollen is high right now.');
+            });
+        });
+
+        it('should narrate the facts from a custom condition', function() {
+            weatherInit.registerCondition('pollen', {
+                detect: function() { return { level: 100 }; },
+                headline: function() { return 'Allergies could act up {day}.'; },
+                dailyText: function() { return 'Tree pollen will be high.'; },
+                hourlyFacts: function(hourly) {
+                    return [{ type: 'pollen-peak', time: hourly[0].time, count: 1200 }];
+                },
+                renderHourly: function(facts) { return `Pollen counts will peak at ${facts[0].count}.`; }
+            });
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather().then(function(data) {
+                let facts = data.detail.facts.filter(function(fact) { return fact.type === 'pollen-peak'; });
+                expect(facts).to.deep.equal([{ type: 'pollen-peak', time: data.detail.data[0].time, count: 1200 }]);
+                expect(data.detail.forecast).to.contain('Pollen counts will peak at 1200.');
+            });
+        });
+
+        it('should narrate the daily facts from a custom condition', function() {
+            weatherInit.registerCondition('pollen', {
+                detect: function() { return { level: 100 }; },
+                headline: function() { return 'Allergies could act up {day}.'; },
+                dailyText: function() { return 'Tree pollen will be high.'; },
+                dailyFacts: function() { return [{ type: 'pollen-day', count: 900 }]; },
+                renderDaily: function(facts) { return `The pollen count will be ${facts[0].count}.`; }
+            });
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather().then(function(data) {
+                let facts = data.dailySummary.facts.filter(function(fact) { return fact.type === 'pollen-day'; });
+                expect(facts).to.deep.equal([{ type: 'pollen-day', count: 900 }]);
+                expect(data.dailySummary.conditions).to.have.property('pollen', 'The pollen count will be 900.');
+                expect(data.dailySummary.forecast).to.contain('The pollen count will be 900.');
+            });
+        });
+
+        it('should skip a custom condition whose daily text throws', function() {
+            weatherInit.registerCondition('pollen', {
+                detect: function() { return { level: 100 }; },
+                headline: function() { return 'Allergies could act up {day}.'; },
+                dailyText: function() { throw new Error('No pollen count'); }
+            });
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather().then(function(data) {
+                debugOutput('DAILY', data.dailySummary.forecast);
+
+                expect(data.dailySummary.conditions).to.not.have.property('pollen');
+                expect(data.dailySummary.forecast).to.be.a('string').and.not.contain('Allergies');
+                expect(data.dailySummary.forecast).to.contain('degrees');
+            });
+        });
+
+        it('should skip a custom condition whose daily text is not a string', function() {
+            weatherInit.registerCondition('pollen', {
+                detect: function() { return { level: 100 }; },
+                headline: function() { return 'Allergies could act up {day}.'; },
+                dailyText: function() { return undefined; },
+                hourlyText: function() { return { count: 1200 }; }
+            });
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather().then(function(data) {
+                debugOutput('DAILY', data.dailySummary.forecast);
+
+                expect(data.dailySummary.conditions).to.not.have.property('pollen');
+                expect(data.dailySummary.forecast).to.not.contain('undefined').and.not.contain('Allergies');
+                expect(data.dailySummary.forecast).to.contain('degrees');
+                expect(data.detail.conditions).to.not.have.property('pollen');
+                expect(data.detail.forecast).to.not.contain('object');
+            });
+        });
+
+        it('should include custom conditions in the range overview', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+
+            return weather.getWeek().then(function(data) {
+                expect(data.overview).to.contain('expect high pollen every day');
+            });
+        });
+
+        it('should not narrate a custom condition once it is removed', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            weatherInit.unregisterCondition('pollen');
+
+            return weather().then(function(data) {
+                expect(data.dailySummary.conditions).to.not.have.property('pollen');
+                expect(data.currently.forecast).to.not.contain('Pollen');
+            });
+        });
+
+        it('should throw a ConfigError for an invalid custom condition', function() {
+            expect(function() {
+                weatherInit.registerCondition('pollen', { headline: function() { return ''; } });
+            }).to.throw(weatherInit.ConfigError).with.property('code', weatherInit.errorCodes.INVALID_CONDITION);
+        });
+    });
+
+    describe('getting weather for a range of days', function() {
+        let api;
+
+        beforeEach(function() {
+            api = nock('https://api.darksky.net')
+                .get(new RegExp(`forecast/${API_KEY}/${LAT},${LNG}`))
+                .reply(200, weatherData);
+        });
+
+        afterEach(function() {
+            nock.cleanAll();
+        });
+
+        it('should get the whole week from one request', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, cache: { ttl: 0 } });
+            let p = weather.getWeek();
+
+            return p.then(function(data) {
+                debugOutput('WEEK', data.overview);
+
+                expect(api.isDone()).to.equal(true);
+                expect(data).to.have.keys('start', 'end', 'days', 'overview');
+                expect(data.start).to.be.an.instanceof(Date);
+                expect(data.end).to.be.an.instanceof(Date);
+                expect(data.days).to.be.an('array').with.length(7);
+                data.days.forEach(function(day) {
+                    expect(day).to.have.keys('date', 'currently', 'dailySummary', 'detail');
+                    expect(day.dailySummary).to.have.property('forecast').that.is.a('string');
+                });
+                expect(data.days[0].currently).to.be.an('object');
+                expect(data.days[0].detail).to.be.an('object');
+                expect(data.days[1].currently).to.equal(null);
+                expect(data.days[1].detail).to.be.an('object');
+                expect(data.days[2].detail).to.equal(null);
+                expect(data.days[3].dailySummary.forecast).to.contain(DAYS_OF_WEEK[data.days[3].date.getDay()]);
+                expect(data.overview).to.be.a('string')
+                    .and.contain('week ahead')
+                    .and.contain('warmest day')
+                    .and.contain('rain');
+            });
+        });
+
+        it('should get a range of days', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            let start = Date.now() + 86400000;
+            let p = weather.getRange(start, start + (2 * 86400000));
+
+            return p.then(function(data) {
+                expect(data.days).to.be.an('array').with.length(3);
+                expect(data.days[0].date.getDay()).to.equal((new Date(start)).getDay());
+                expect(data.overview).to.be.a('string')
+                    .and.contain(`through ${DAYS_OF_WEEK[(new Date(start + (2 * 86400000))).getDay()]}`);
+            });
+        });
+
+        it('should give the week overview in metric units', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'si' });
+
+            return weather.getWeek().then(function(data) {
+                debugOutput('WEEK', data.overview);
+
+                let highs = data.days.map(function(day) { return day.dailySummary.data.temperatureMax; });
+                expect(data.overview)
+                    .to.contain('week ahead')
+                    .and.contain(`warmest day will be ${DAYS_OF_WEEK[data.days[highs.indexOf(Math.max(...highs))].date.getDay()]}`)
+                    .and.contain(`with a high of ${Math.round(Math.max(...highs))} degrees`)
+                    .and.not.contain('cold')
+                    .and.not.contain('icy');
+            });
+        });
+
+        it('should give the week overview in UK units', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG }, units: 'uk' });
+
+            return weather.getWeek().then(function(data) {
+                debugOutput('WEEK', data.overview);
+
+                let highs = data.days.map(function(day) { return day.dailySummary.data.temperatureMax; });
+                expect(data.overview)
+                    .to.contain('week ahead')
+                    .and.contain(`with a high of ${Math.round(Math.max(...highs))} degrees`)
+                    .and.not.contain('cold')
+                    .and.not.contain('icy');
+                expect(data.days[0].dailySummary.data.temperatureMax).to.be.below(50);
+            });
+        });
+
+        it('should reject when the range ends before it starts', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            let start = Date.now() + (2 * 86400000);
+            return expect(weather.getRange(start, Date.now())).to.eventually.be.rejectedWith(weatherInit.DateRangeError)
+                    .and.have.property('code').that.equals('INVALID_RANGE');
+        });
+
+        it('should reject when the range goes too far', function() {
+            let weather = weatherInit({ apiKey: API_KEY, location: { lat: LAT, lng: LNG } });
+            return expect(weather.getRange(Date.now(), Date.now() + (10 * 86400000)))
+                    .to.eventually.be.rejectedWith(weatherInit.DateRangeError)
+                    .and.have.property('code').that.equals('DATE_TOO_FAR');
+        });
+    });
+
     describe('getting current weather data', function() {
         it('should get current conditions for today with all sorts of activity', function() {
             weatherData.currently = _.clone(weatherData.currently);
@@ -270,13 +1372,13 @@ describe('Weather core', function() {
 
             return Promise.all([
                 expect(p).to.eventually.have.keys('date', 'currently', 'dailySummary', 'detail'),
-                expect(p).to.eventually.have.property('currently').that.has.keys('data', 'forecast', 'conditions'),
+                expect(p).to.eventually.have.property('currently').that.has.keys('data', 'forecast', 'conditions', 'facts'),
                 expect(p).to.eventually.have.property('currently').that.has.property('forecast').that.is.a('string')
                     .that.contains(Math.round(weatherData.currently.temperature) + ' degrees')
                     .and.contains('feels like ' + Math.round(weatherData.currently.apparentTemperature))
                     .and.contains('75 percent humidity')
                     .and.contains('moderate rain')
-                    .and.contains('wind').and.contains('20 miles per hour')
+                    .and.contains('wind').and.contains('20 miles per hour out of the south')
                     .and.contains('weather alert').and.contains('Red Flag')
             ]);
         });
@@ -293,9 +1395,10 @@ describe('Weather core', function() {
 
             return Promise.all([
                 expect(p).to.eventually.have.keys('date', 'currently', 'dailySummary', 'detail'),
-                expect(p).to.eventually.have.property('currently').that.has.keys('data', 'forecast', 'conditions'),
+                expect(p).to.eventually.have.property('currently').that.has.keys('data', 'forecast', 'conditions', 'facts'),
                 expect(p).to.eventually.have.property('currently').that.has.property('forecast').that.is.a('string')
                     .that.contains(Math.round(weatherData.currently.temperature) + ' degrees')
+                    .and.contains(`It's mostly clear right now`)
                     .and.to.not.contain('rain')
                     .and.to.not.contain('humidity')
                     .and.to.not.contain('feels like')
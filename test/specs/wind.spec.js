@@ -0,0 +1,187 @@
+'use strict';
+
+let chai = require('chai'),
+    moment = require('moment-timezone'),
+    wind = require('../../src/conditions/wind'),
+    weatherDataGenerate = require('../data/dc.weather');
+
+const TZ = 'America/New_York';
+
+let time = moment.tz('2025-03-15T00:00:00', TZ).unix();
+
+let options = {
+        windBreak: 15
+    },
+    windCondition = {
+        topic: 'wind',
+        probability: 1,
+        level: 4
+    },
+    dailyData = {
+        'time':time,
+        'summary':'Breezy throughout the day.',
+        'windSpeed':22.6,
+        'windGust':36.1,
+        'windGustTime':time + (60 * 60 * 14),
+        'windBearing':312
+    };
+
+chai.should();
+let expect = chai.expect;
+
+function getWindyHours(speeds) {
+    let data = weatherDataGenerate(null, {
+        maxTemp: 60,
+        minTemp: 45,
+        conditions: []
+    }, '2025-03-15T00:30:00');
+    let hourly = data.hourly.data.slice(0,24);
+    hourly.forEach(function(hour, i) {
+        hour.windSpeed = speeds[i] || 5;
+        hour.windGust = hour.windSpeed + 3;
+        hour.windBearing = 270;
+    });
+    return { hourly: hourly, timezone: data.timezone };
+}
+
+describe('wind module', function() {
+
+    describe('wind headline', function() {
+
+        it('should return a headline string with replaceable "day"', function() {
+            let result = wind.headline();
+            expect(result).to.be.a('string');
+            expect(result).to.contain('{day}');
+        });
+    });
+
+    describe('wind direction', function() {
+
+        it('should return compass words for a bearing', function() {
+            expect(wind.directionText(0)).to.equal('north');
+            expect(wind.directionText(359)).to.equal('north');
+            expect(wind.directionText(140)).to.equal('southeast');
+            expect(wind.directionText(190)).to.equal('south');
+            expect(wind.directionText(312)).to.equal('northwest');
+        });
+
+        it('should return null without a bearing', function() {
+            expect(wind.directionText(null)).to.equal(null);
+            expect(wind.directionText(undefined)).to.equal(null);
+        });
+    });
+
+    describe('wind daily text', function() {
+
+        it('should describe the wind speed, direction, and gusts', function() {
+            let result = wind.dailyText(windCondition, dailyData, TZ, options);
+            expect(result).to.be.a('string');
+            expect(result).to.contain('winds around 23 miles per hour out of the northwest');
+            expect(result).to.contain('gusts up to 36 around 2pm');
+            expect(result).to.contain('blustery');
+        });
+
+        it('should not mention gusts close to the wind speed', function() {
+            let data = Object.assign({}, dailyData, { windGust: 24, windBearing: null });
+            let result = wind.dailyText(windCondition, data, TZ, options);
+            expect(result).to.equal('Expect winds around 23 miles per hour.');
+        });
+
+        it('should describe the wind in kilometres per hour for metric units', function() {
+            let result = wind.dailyText(windCondition, dailyData, TZ, Object.assign({}, options, { units: 'si' }));
+            expect(result).to.contain('winds around 36 kilometres per hour out of the northwest');
+            expect(result).to.contain('gusts up to 58 around 2pm');
+        });
+
+    });
+
+    describe('wind hourly text', function() {
+
+        it('should describe one windy period and the gust peak', function() {
+            let speeds = [];
+            speeds[10] = 18;
+            speeds[11] = 24;
+            speeds[12] = 28;
+            speeds[13] = 21;
+            let data = getWindyHours(speeds);
+            data.hourly[12].windGust = 44;
+
+            let result = wind.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.equal(
+                'It will be windiest from about 10am until 2pm, with winds out of the west peaking around ' +
+                '28 miles per hour at 12pm. Gusts could reach 44 miles per hour around 12pm.'
+            );
+        });
+
+        it('should describe multiple windy periods', function() {
+            let speeds = [];
+            speeds[3] = 20;
+            speeds[4] = 20;
+            speeds[16] = 25;
+            let data = getWindyHours(speeds);
+
+            let result = wind.hourlyText(data.hourly, data.timezone, dailyData, options);
+            expect(result).to.contain('multiple windy periods')
+                .and.contain('from about 3am until 5am')
+                .and.contain('windy again from about 4pm until 5pm');
+            expect(result).to.not.contain('Gusts');
+        });
+
+        it('should respect the wind break option', function() {
+            let speeds = [];
+            speeds[10] = 18;
+            let data = getWindyHours(speeds);
+
+            expect(wind.hourlyText(data.hourly, data.timezone, dailyData, { windBreak: 20 })).to.equal('');
+        });
+
+    });
+
+    describe('wind facts', function() {
+
+        it('should give the facts the daily text is built from', function() {
+            let facts = wind.dailyFacts(windCondition, dailyData, TZ, options);
+            expect(facts).to.deep.equal([{
+                type: 'wind-day',
+                speed: 22.6,
+                bearing: 312,
+                gust: 36.1,
+                gustTime: time + (60 * 60 * 14)
+            }]);
+            expect(wind.renderDaily(facts, TZ, options)).to.equal(wind.dailyText(windCondition, dailyData, TZ, options));
+        });
+
+        it('should give a fact for each windy period and the gust peak', function() {
+            let speeds = [];
+            speeds[10] = 18;
+            speeds[11] = 24;
+            speeds[12] = 28;
+            speeds[16] = 25;
+            let data = getWindyHours(speeds);
+            data.hourly[12].windGust = 44;
+
+            let facts = wind.hourlyFacts(data.hourly, data.timezone, dailyData, options);
+            expect(facts).to.deep.equal([
+                {
+                    type: 'wind-period',
+                    start: data.hourly[10].time,
+                    end: data.hourly[13].time,
+                    speed: 28,
+                    speedTime: data.hourly[12].time,
+                    bearing: 270
+                },
+                {
+                    type: 'wind-period',
+                    start: data.hourly[16].time,
+                    end: data.hourly[17].time,
+                    speed: 25,
+                    speedTime: data.hourly[16].time,
+                    bearing: 270
+                },
+                { type: 'wind-gust', gust: 44, time: data.hourly[12].time }
+            ]);
+        });
+
+    });
+
+});